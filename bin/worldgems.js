@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { CATEGORIES } from "../src/lib/categories.js";
+import { csvCell, osmUrl } from "../src/lib/formats.js";
+import { findPlaces } from "../src/lib/search.js";
+import { createCustomProvider, createOsmProvider } from "../src/providers/osm.js";
+import { createFixtureProvider } from "../src/providers/fixture.js";
+
+/**
+ * worldgems – the explorer's search from the command line (see src/lib/search.js).
+ * Several locations run one after another, e.g. for a batch of city reports.
+ */
+const USAGE = `Usage: worldgems [options] <location>...
+
+A location is a place name ("Lisbon, Portugal") or "lat,lon".
+
+Options:
+  -c, --categories <keys>  comma-separated categories (${CATEGORIES.map((c) => c.key).join(", ")})
+      --no-gems            leave out Hidden Gems (included by default)
+  -r, --radius <km>        search radius (default 6)
+  -n, --limit <n>          places per location, best first (default 20, 0 = all)
+  -f, --format <format>    table (default), json or csv
+  -l, --lang <code>        language for geocoding and place names (default en)
+      --provider <name>    osm (default), custom or fixture
+      --overpass-url <url> Overpass endpoint(s) for "custom", comma-separated
+      --nominatim-url <url> Nominatim endpoint for "custom"
+      --fixture <file>     recorded data for "fixture" (default src/fixtures/paris.json)
+  -h, --help               show this help
+
+The provider options fall back to VITE_DATA_PROVIDER, VITE_OVERPASS_URL and
+VITE_NOMINATIM_URL, like the web app.`;
+
+const FORMATS = ["table", "json", "csv"];
+// Nominatim and Overpass ask scripts to identify themselves.
+const USER_AGENT = "worldgems-map-cli";
+
+async function main(argv) {
+  const { values: opts, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      categories: { type: "string", short: "c", default: "" },
+      "no-gems": { type: "boolean", default: false },
+      radius: { type: "string", short: "r", default: "6" },
+      limit: { type: "string", short: "n", default: "20" },
+      format: { type: "string", short: "f", default: "table" },
+      lang: { type: "string", short: "l", default: "en" },
+      provider: { type: "string", default: process.env.VITE_DATA_PROVIDER || "osm" },
+      "overpass-url": { type: "string" },
+      "nominatim-url": { type: "string" },
+      fixture: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const keys = opts.categories.split(",").map((k) => k.trim()).filter(Boolean);
+  const unknown = keys.filter((k) => !CATEGORIES.some((c) => c.key === k));
+  const radiusKm = Number(opts.radius);
+  const limit = Number(opts.limit);
+  const problems = [
+    !positionals.length && "give at least one location",
+    unknown.length && `unknown categories: ${unknown.join(", ")}`,
+    !(radiusKm > 0) && "--radius must be a positive number of km",
+    !(Number.isInteger(limit) && limit >= 0) && "--limit must be a whole number",
+    !FORMATS.includes(opts.format) && `--format must be one of ${FORMATS.join(", ")}`,
+    !keys.length && opts["no-gems"] && "--no-gems needs --categories",
+  ].filter(Boolean);
+  if (problems.length) {
+    for (const p of problems) console.error(`worldgems: ${p}`);
+    console.error(`\n${USAGE}`);
+    return 2;
+  }
+
+  const provider = await createCliProvider(opts);
+  const categories = CATEGORIES.filter((c) => keys.includes(c.key));
+  const reports = [];
+  for (const query of positionals) {
+    const { location, places } = await findPlaces({
+      provider,
+      location: parseLocation(query),
+      categories,
+      gems: !opts["no-gems"],
+      radiusKm,
+      lang: opts.lang,
+      onProgress: (e) => {
+        if (e.type === "retry") console.error(`worldgems: ${e.reason || e.status} from ${e.url}, retrying…`);
+      },
+    });
+    if (!location) console.error(`worldgems: no location found for "${query}"`);
+    reports.push({ query, location, total: places.length, places: limit ? places.slice(0, limit) : places });
+  }
+
+  process.stdout.write(FORMATTERS[opts.format](reports));
+  return reports.some((r) => !r.location) ? 1 : 0;
+}
+
+function createCliProvider(opts) {
+  switch (opts.provider) {
+    case "osm":
+      return createOsmProvider({ userAgent: USER_AGENT });
+    case "custom":
+      return createCustomProvider({
+        overpassUrl: opts["overpass-url"] ?? process.env.VITE_OVERPASS_URL,
+        nominatimUrl: opts["nominatim-url"] ?? process.env.VITE_NOMINATIM_URL,
+        userAgent: USER_AGENT,
+      });
+    case "fixture":
+      return loadFixtures(opts.fixture).then((fixtures) => createFixtureProvider({ fixtures, latencyMs: 0 }));
+    default:
+      throw new Error(`Unknown data provider: ${opts.provider}`);
+  }
+}
+
+async function loadFixtures(file) {
+  const path = file || fileURLToPath(new URL("../src/fixtures/paris.json", import.meta.url));
+  return JSON.parse(await readFile(path, "utf8"));
+}
+
+// "38.72,-9.14" searches around a point; anything else is geocoded.
+function parseLocation(query) {
+  const m = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(query);
+  return m ? { lat: Number(m[1]), lon: Number(m[2]) } : query;
+}
+
+function summary(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    kind: p.kind,
+    score: p.score,
+    quality: p.scores.quality,
+    gem: p.scores.gem,
+    distanceKm: Math.round(p.distanceKm * 1000) / 1000,
+    lat: p.lat,
+    lon: p.lon,
+    address: p.address,
+    osmUrl: osmUrl(p.id),
+  };
+}
+
+const FORMATTERS = {
+  json(reports) {
+    const out = reports.map(({ query, location, total, places }) => ({
+      query,
+      location,
+      total,
+      places: places.map((p) => ({ ...summary(p), tags: p.tags })),
+    }));
+    return JSON.stringify(out, null, 2) + "\n";
+  },
+
+  csv(reports) {
+    const columns = ["location", "rank", "id", "name", "kind", "score", "quality", "gem", "distance_km", "lat", "lon", "address", "osm_url"];
+    const rows = reports.flatMap(({ query, places }) =>
+      places.map((p, i) => {
+        const s = summary(p);
+        return [query, i + 1, s.id, s.name, s.kind, s.score, s.quality, s.gem, s.distanceKm, s.lat, s.lon, s.address, s.osmUrl];
+      })
+    );
+    return [columns, ...rows].map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+  },
+
+  table(reports) {
+    return reports
+      .filter((r) => r.location)
+      .map(({ location, total, places }) => {
+        const title = `${location.name} – ${places.length} of ${total} places`;
+        const rows = places.map((p, i) => [
+          String(i + 1),
+          String(p.score),
+          String(p.scores.gem),
+          truncate(p.name, 40),
+          truncate(p.kind, 18),
+          `${p.distanceKm.toFixed(2)} km`,
+          p.id,
+        ]);
+        return `${title}\n\n${table(["#", "Score", "Gem", "Name", "Kind", "Distance", "OSM id"], rows)}`;
+      })
+      .join("\n");
+  },
+};
+
+function table(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd() + "\n";
+  return line(header) + line(widths.map((w) => "-".repeat(w))) + rows.map(line).join("");
+}
+
+function truncate(s, max) {
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (e) => {
+    console.error(`worldgems: ${e.message}`);
+    process.exitCode = 1;
+  }
+);
@@ -1,5 +1,11 @@
 import ExploreMap from "./pages/ExploreMap.jsx";
+import CompareView from "./pages/CompareView.jsx";
+import JournalView from "./pages/JournalView.jsx";
+import { isCompareView, isJournalView } from "./lib/urlState.js";
 
 export default function App() {
+  const search = window.location.search;
+  if (isCompareView(search)) return <CompareView />;
+  if (isJournalView(search)) return <JournalView />;
   return <ExploreMap />;
 }
@@ -0,0 +1,94 @@
+import React from "react";
+import { BASEMAPS, validateTileUrl } from "../lib/basemaps.js";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+
+/**
+ * Accent colors and custom map tiles (see lib/themes.js and lib/basemaps.js).
+ * The theme itself is picked in the header and the basemap on the map.
+ */
+export default function AppearancePanel({ theme, accents, onAccentsChange, basemapSettings, onBasemapChange }) {
+  const { t } = useI18n();
+  const { custom } = basemapSettings;
+  const errors = custom.url.trim() ? validateTileUrl(custom.url) : [];
+
+  function setAccent(which, value) {
+    onAccentsChange({ accent: theme.colors.accent, accent2: theme.colors.accent2, [which]: value });
+  }
+
+  function setCustom(field, value) {
+    onBasemapChange({ ...basemapSettings, custom: { ...custom, [field]: value } });
+  }
+
+  return (
+    <details style={{ marginTop: 12 }}>
+      <summary style={{ cursor: "pointer", fontWeight: 700, fontSize: 14 }}>🎨 {t("appearance.title")}</summary>
+
+      <div style={{ display: "grid", gap: 8, marginTop: 10, fontSize: 12 }}>
+        <div style={{ fontWeight: 700, opacity: 0.8 }}>{t("appearance.accents")}</div>
+        <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+          {[
+            ["accent", t("appearance.accent")],
+            ["accent2", t("appearance.accent2")],
+          ].map(([which, label]) => (
+            <label key={which} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <input type="color" value={theme.colors[which]} onChange={(e) => setAccent(which, e.target.value)} />
+              <span style={{ opacity: 0.8 }}>{label}</span>
+            </label>
+          ))}
+          <button
+            style={{ ...styles.button(theme), padding: "6px 10px" }}
+            onClick={() => onAccentsChange(null)}
+            disabled={!accents}
+          >
+            {t("appearance.resetColors")}
+          </button>
+        </div>
+
+        <div style={{ fontWeight: 700, opacity: 0.8, marginTop: 6 }}>{t("appearance.customTiles")}</div>
+        <label style={{ display: "grid", gap: 4 }}>
+          <span style={{ opacity: 0.8 }}>{t("appearance.tileUrl")}</span>
+          <input
+            style={{ ...styles.input(theme), padding: "8px 10px" }}
+            value={custom.url}
+            onChange={(e) => setCustom("url", e.target.value)}
+            placeholder="https://tiles.example.com/{z}/{x}/{y}.png"
+            spellCheck={false}
+            aria-invalid={errors.length > 0}
+            aria-describedby={errors.length ? "tile-url-errors" : undefined}
+          />
+        </label>
+        {errors.length > 0 && (
+          <div id="tile-url-errors" role="alert" style={{ color: "#ff6b6b" }}>
+            {errors.map((code) => (
+              <div key={code}>{t(`basemap.error.${code}`)}</div>
+            ))}
+          </div>
+        )}
+        <label style={{ display: "grid", gap: 4 }}>
+          <span style={{ opacity: 0.8 }}>{t("appearance.attribution")}</span>
+          <input
+            style={{ ...styles.input(theme), padding: "8px 10px" }}
+            value={custom.attribution}
+            onChange={(e) => setCustom("attribution", e.target.value)}
+            placeholder="© OpenStreetMap contributors"
+          />
+        </label>
+        <button
+          style={{ ...styles.button(theme), justifySelf: "start" }}
+          onClick={() => onBasemapChange({ ...basemapSettings, key: "custom" })}
+          disabled={!custom.url.trim() || errors.length > 0 || basemapSettings.key === "custom"}
+        >
+          {basemapSettings.key === "custom" ? t("appearance.customInUse") : t("appearance.useCustom")}
+        </button>
+      </div>
+    </details>
+  );
+}
+
+/**
+ * Basemap names: providers keep their own, "auto" and "custom" are translated.
+ */
+export function basemapLabel(key, t) {
+  return key === "auto" || key === "custom" ? t(`basemap.${key}`) : BASEMAPS[key].label;
+}
@@ -0,0 +1,202 @@
+import React, { useState } from "react";
+import { HIDDEN_GEMS, normalizeSelector, validateCategory, validateSelectors } from "../lib/categories.js";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+
+const EMPTY = { key: null, label: "", icon: "📌", color: "#00a3ff", selectors: "" };
+
+/**
+ * Create/edit custom categories and the Hidden Gems selector set.
+ * Works on { custom, gems } (see lib/categories.js) and hands back a new one.
+ */
+export default function CategoryEditor({ theme, settings, onChange, onClose }) {
+  const [draft, setDraft] = useState(EMPTY);
+  const [gemsText, setGemsText] = useState((settings.gems || HIDDEN_GEMS.overpass).join("\n"));
+  const { t } = useI18n();
+
+  const draftCategory = {
+    key: draft.key,
+    label: draft.label.trim(),
+    icon: draft.icon.trim() || "📌",
+    color: draft.color,
+    overpass: splitLines(draft.selectors),
+  };
+  const draftErrors = validateCategory(draftCategory);
+  const gemsSelectors = splitLines(gemsText);
+  const gemsErrors = gemsSelectors.length
+    ? validateSelectors(gemsSelectors)
+    : [{ index: -1, code: "needSelector" }];
+
+  function saveDraft() {
+    if (draftErrors.length) return;
+    const key = draft.key || `custom:${slug(draftCategory.label)}-${Date.now().toString(36)}`;
+    const cat = { ...draftCategory, key };
+    const custom = draft.key
+      ? settings.custom.map((c) => (c.key === draft.key ? cat : c))
+      : [...settings.custom, cat];
+    onChange({ ...settings, custom });
+    setDraft(EMPTY);
+  }
+
+  function edit(cat) {
+    setDraft({ key: cat.key, label: cat.label, icon: cat.icon, color: cat.color, selectors: cat.overpass.join("\n") });
+  }
+
+  function remove(cat) {
+    onChange({ ...settings, custom: settings.custom.filter((c) => c.key !== cat.key) });
+    if (draft.key === cat.key) setDraft(EMPTY);
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 12, marginTop: 12, fontSize: 13 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ fontWeight: 800 }}>{t("categories.title")}</div>
+        <button style={styles.button(theme)} onClick={onClose}>
+          {t("categories.done")}
+        </button>
+      </div>
+
+      {settings.custom.length ? (
+        settings.custom.map((c) => (
+          <div key={c.key} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <span style={{ width: 10, height: 10, borderRadius: "50%", background: c.color }} aria-hidden="true" />
+            <span aria-hidden="true">{c.icon}</span>
+            <span style={{ fontWeight: 700, flex: 1 }}>{c.label}</span>
+            <span style={{ opacity: 0.6 }}>{t("categories.selectors", { count: c.overpass.length })}</span>
+            <button
+              style={styles.button(theme)}
+              onClick={() => edit(c)}
+              aria-label={t("categories.editNamed", { name: c.label })}
+            >
+              {t("categories.edit")}
+            </button>
+            <button
+              style={styles.button(theme)}
+              onClick={() => remove(c)}
+              aria-label={t("categories.deleteNamed", { name: c.label })}
+            >
+              {t("categories.delete")}
+            </button>
+          </div>
+        ))
+      ) : (
+        <div style={{ opacity: 0.7 }}>{t("categories.none")}</div>
+      )}
+
+      <div style={{ display: "grid", gap: 8 }}>
+        <div style={{ fontWeight: 700 }}>{draft.key ? t("categories.editTitle") : t("categories.newTitle")}</div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 64px 48px", gap: 8 }}>
+          <input
+            style={styles.input(theme)}
+            placeholder={t("categories.labelPlaceholder")}
+            aria-label={t("categories.labelPlaceholder")}
+            value={draft.label}
+            onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+          />
+          <input
+            style={{ ...styles.input(theme), textAlign: "center" }}
+            placeholder="📚"
+            value={draft.icon}
+            onChange={(e) => setDraft({ ...draft, icon: e.target.value })}
+            title={t("categories.emoji")}
+            aria-label={t("categories.emoji")}
+          />
+          <input
+            type="color"
+            style={{ ...styles.input(theme), padding: 4, height: "100%" }}
+            value={draft.color}
+            onChange={(e) => setDraft({ ...draft, color: e.target.value })}
+            title={t("categories.color")}
+            aria-label={t("categories.color")}
+          />
+        </div>
+        <textarea
+          style={{ ...styles.input(theme), minHeight: 80, fontFamily: "ui-monospace, monospace", fontSize: 12 }}
+          placeholder={t("categories.selectorsPlaceholder")}
+          aria-label={t("categories.selectorsLabel")}
+          value={draft.selectors}
+          onChange={(e) => setDraft({ ...draft, selectors: e.target.value })}
+        />
+        <ErrorList errors={draft.label || draft.selectors ? draftErrors : []} />
+        <div style={{ display: "flex", gap: 8 }}>
+          <button style={styles.button(theme)} onClick={saveDraft} disabled={!!draftErrors.length}>
+            {draft.key ? t("categories.saveChanges") : t("categories.add")}
+          </button>
+          {draft.key && (
+            <button style={styles.button(theme)} onClick={() => setDraft(EMPTY)}>
+              {t("categories.cancel")}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div style={{ display: "grid", gap: 8 }}>
+        <label htmlFor="gems-selectors" style={{ fontWeight: 700 }}>
+          <span aria-hidden="true">{HIDDEN_GEMS.icon}</span>{" "}
+          {settings.gems ? t("categories.gemsCustomised") : t("categories.gemsDefault")}
+        </label>
+        <textarea
+          id="gems-selectors"
+          style={{ ...styles.input(theme), minHeight: 120, fontFamily: "ui-monospace, monospace", fontSize: 12 }}
+          value={gemsText}
+          onChange={(e) => setGemsText(e.target.value)}
+        />
+        <ErrorList errors={gemsErrors} />
+        <div style={{ display: "flex", gap: 8 }}>
+          <button
+            style={styles.button(theme)}
+            disabled={!!gemsErrors.length}
+            onClick={() => onChange({ ...settings, gems: gemsSelectors })}
+          >
+            {t("categories.saveGems")}
+          </button>
+          <button
+            style={styles.button(theme)}
+            onClick={() => {
+              setGemsText(HIDDEN_GEMS.overpass.join("\n"));
+              onChange({ ...settings, gems: null });
+            }}
+          >
+            {t("categories.resetGems")}
+          </button>
+        </div>
+      </div>
+
+      <div style={{ opacity: 0.6, fontSize: 12 }}>
+        {t("categories.syntax")}
+      </div>
+    </div>
+  );
+}
+
+function ErrorList({ errors }) {
+  const { t } = useI18n();
+  if (!errors.length) return null;
+  return (
+    <div style={{ color: "#e5484d", fontSize: 12, display: "grid", gap: 2 }}>
+      {errors.map((e, i) => (
+        <div key={i}>
+          {e.index >= 0
+            ? t("categories.lineError", { line: e.index + 1, message: t(`categories.error.${e.code}`, { selector: e.selector }) })
+            : t(`categories.error.${e.code}`)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function splitLines(text) {
+  return text
+    .split("\n")
+    .map((l) => normalizeSelector(l))
+    .filter(Boolean);
+}
+
+function slug(text) {
+  return (
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "category"
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useMemo, useState } from "react";
+import { Marker, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { clusterPoints } from "../lib/cluster.js";
+import { useI18n } from "./I18n.jsx";
+
+/**
+ * Renders places as zoom-dependent clusters. Only what is (nearly) in view is
+ * mounted, so thousands of results stay cheap. The selected place is always
+ * drawn as its own marker so its popup can open. `renderFootprint` (optional)
+ * draws a place's outline, only while it has its own marker.
+ */
+export default function ClusteredMarkers({ places, selectedId, renderPlace, renderFootprint }) {
+  const map = useMap();
+  const [view, setView] = useState(() => readView(map));
+  const { t } = useI18n();
+
+  useMapEvents({
+    zoomend: () => setView(readView(map)),
+    moveend: () => setView(readView(map)),
+  });
+
+  const selected = places.find((p) => p.id === selectedId);
+
+  function zoomTo(n) {
+    map.flyToBounds(
+      [
+        [n.bounds.south, n.bounds.west],
+        [n.bounds.north, n.bounds.east],
+      ],
+      { padding: [40, 40], duration: 0.6, maxZoom: 18 }
+    );
+  }
+
+  function single(p) {
+    return (
+      <React.Fragment key={p.id}>
+        {renderFootprint?.(p)}
+        {renderPlace(p)}
+      </React.Fragment>
+    );
+  }
+
+  const nodes = useMemo(
+    () =>
+      clusterPoints(
+        places.filter((p) => p.id !== selectedId),
+        view
+      ),
+    [places, selectedId, view]
+  );
+
+  return (
+    <>
+      {nodes.map((n) =>
+        n.type === "cluster" ? (
+          <Marker
+            key={n.id}
+            position={[n.lat, n.lon]}
+            icon={clusterIcon(n.count)}
+            title={t("map.cluster", { count: n.count })}
+            eventHandlers={{
+              click: () => zoomTo(n),
+              keypress: (e) => e.originalEvent.key === "Enter" && zoomTo(n),
+            }}
+          />
+        ) : (
+          single(n.item)
+        )
+      )}
+      {selected ? single(selected) : null}
+    </>
+  );
+}
+
+function readView(map) {
+  const b = map.getBounds();
+  return {
+    zoom: map.getZoom(),
+    bounds: { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() },
+  };
+}
+
+const iconCache = new Map();
+
+function clusterIcon(count) {
+  const label = count >= 1000 ? `${Math.floor(count / 1000)}k+` : String(count);
+  if (iconCache.has(label)) return iconCache.get(label);
+
+  const size = count < 10 ? 34 : count < 100 ? 40 : count < 1000 ? 48 : 56;
+  const icon = L.divIcon({
+    className: "",
+    iconSize: [size, size],
+    html: `<div style="width:${size}px;height:${size}px;border-radius:50%;display:flex;align-items:center;justify-content:center;font:800 13px system-ui,sans-serif;color:#fff;background:radial-gradient(circle at 35% 30%, var(--wm-accent2, #00c8ff), var(--wm-accent, #8c50ff));box-shadow:0 0 0 4px var(--wm-accent-soft, rgba(140,80,255,0.25)),0 6px 18px rgba(0,0,0,0.35)">${label}</div>`,
+  });
+  iconCache.set(label, icon);
+  return icon;
+}
@@ -0,0 +1,133 @@
+import React, { useEffect } from "react";
+import { Circle, CircleMarker, MapContainer, TileLayer, Tooltip, useMap } from "react-leaflet";
+import L from "leaflet";
+import { HIDDEN_GEMS, categoryOf } from "../lib/categories.js";
+import LocationSearch from "./LocationSearch.jsx";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+
+const TOP_COUNT = 5;
+
+/**
+ * One location in the compare view: its own search box, map and best places.
+ * The search itself runs in the page (see pages/CompareView.jsx).
+ */
+export default function ComparePane({
+  theme,
+  basemap,
+  provider,
+  pane,
+  index,
+  radiusKm,
+  compiled,
+  canRemove,
+  onQueryChange,
+  onPick,
+  onSearch,
+  onRemove,
+}) {
+  const { t, formatDistance } = useI18n();
+  const { result } = pane;
+
+  return (
+    <section
+      style={{ ...styles.card(theme), padding: 12, display: "grid", gap: 10, alignContent: "start", minWidth: 0 }}
+      aria-label={result ? result.location.name : t("compare.pane", { n: index + 1 })}
+    >
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <LocationSearch
+          theme={theme}
+          provider={provider}
+          value={pane.query}
+          onChange={onQueryChange}
+          onPick={onPick}
+          onSubmit={onSearch}
+          loading={pane.loading}
+        />
+        {canRemove && (
+          <button
+            style={{ ...styles.button(theme), padding: "10px 12px" }}
+            onClick={onRemove}
+            aria-label={t("compare.remove")}
+            title={t("compare.remove")}
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      <div style={{ height: 240, borderRadius: 14, overflow: "hidden", border: styles.divider(theme) }}>
+        <MapContainer center={[20, 0]} zoom={2} style={{ width: "100%", height: "100%" }} scrollWheelZoom={false} preferCanvas>
+          <TileLayer
+            key={`${basemap.url}|${basemap.attribution}`}
+            attribution={basemap.attribution}
+            url={basemap.url}
+            maxZoom={basemap.maxZoom}
+          />
+          {result && (
+            <>
+              <FitArea location={result.location} radiusKm={radiusKm} />
+              <Circle
+                center={[result.location.lat, result.location.lon]}
+                radius={radiusKm * 1000}
+                pathOptions={{ color: theme.colors.accent, weight: 1, fillOpacity: 0.04 }}
+                interactive={false}
+              />
+              {result.places.map((p) => (
+                <CircleMarker
+                  key={p.id}
+                  center={[p.lat, p.lon]}
+                  radius={4}
+                  pathOptions={{
+                    color: theme.colors.markerBorder,
+                    weight: 1,
+                    fillColor: (categoryOf(p, compiled) || HIDDEN_GEMS).color,
+                    fillOpacity: 0.9,
+                  }}
+                >
+                  <Tooltip>
+                    {p.name} · {p.score}
+                  </Tooltip>
+                </CircleMarker>
+              ))}
+            </>
+          )}
+        </MapContainer>
+      </div>
+
+      {pane.status && (
+        <div role="status" style={{ fontSize: 12, opacity: 0.8 }}>
+          {pane.status}
+        </div>
+      )}
+
+      {result && (
+        <div>
+          <div style={{ fontSize: 12, opacity: 0.75, marginBottom: 6 }}>{result.location.name}</div>
+          <ol style={{ margin: 0, paddingLeft: 20, display: "grid", gap: 4, fontSize: 13 }}>
+            {result.places.slice(0, TOP_COUNT).map((p) => (
+              <li key={p.id}>
+                <span style={{ fontWeight: 700 }}>{p.name}</span>
+                <span style={{ opacity: 0.7 }}>
+                  {" "}
+                  · {p.score} · {formatDistance(p.distanceKm)}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </section>
+  );
+}
+
+/**
+ * Zooms the map to the searched circle whenever the location changes.
+ */
+function FitArea({ location, radiusKm }) {
+  const map = useMap();
+  useEffect(() => {
+    map.fitBounds(L.latLng(location.lat, location.lon).toBounds(radiusKm * 2000));
+  }, [map, location, radiusKm]);
+  return null;
+}
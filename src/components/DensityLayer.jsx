@@ -0,0 +1,80 @@
+import React from "react";
+import { Polygon, Tooltip } from "react-leaflet";
+import { heatColor } from "../lib/hexgrid.js";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+
+/**
+ * Hex cells from hexBin(), shaded by score-weighted gem density.
+ * Must be rendered inside the MapContainer.
+ */
+export default function DensityLayer({ cells, maxWeight, onCellClick }) {
+  const { t, formatNumber } = useI18n();
+  return cells.map((cell) => {
+    const level = maxWeight ? cell.weight / maxWeight : 0;
+    return (
+      <Polygon
+        key={cell.id}
+        positions={cell.corners}
+        pathOptions={{
+          color: heatColor(level),
+          weight: 1,
+          opacity: 0.6,
+          fillColor: heatColor(level),
+          fillOpacity: 0.15 + 0.5 * level,
+        }}
+        eventHandlers={{ click: () => onCellClick(cell) }}
+      >
+        <Tooltip sticky>
+          {t("density.cell", { count: cell.count, density: formatNumber(cell.weight) })}
+        </Tooltip>
+      </Polygon>
+    );
+  });
+}
+
+/**
+ * Color scale + status for the density layer, drawn over the map.
+ */
+export function DensityLegend({ theme, density, loading, onRecompute }) {
+  const { t } = useI18n();
+  return (
+    <div
+      style={{
+        ...styles.card(theme),
+        position: "absolute",
+        left: 10,
+        bottom: 10,
+        zIndex: 1000,
+        padding: "8px 10px",
+        fontSize: 12,
+        display: "grid",
+        gap: 6,
+        minWidth: 180,
+      }}
+    >
+      <div style={{ fontWeight: 800 }}>💎 {t("density.title")}</div>
+      <div
+        style={{
+          height: 8,
+          borderRadius: 4,
+          background: `linear-gradient(90deg, ${[0, 0.25, 0.5, 0.75, 1].map(heatColor).join(", ")})`,
+        }}
+      />
+      <div style={{ display: "flex", justifyContent: "space-between", opacity: 0.75 }}>
+        <span>{t("density.low")}</span>
+        <span>{t("density.high")}</span>
+      </div>
+      <div style={{ opacity: 0.75 }}>
+        {loading
+          ? t("density.loading")
+          : density
+            ? t("density.summary", { count: density.total, cells: density.cells.length })
+            : t("density.empty")}
+      </div>
+      <button style={{ ...styles.button(theme), padding: "6px 10px" }} onClick={onRecompute} disabled={loading}>
+        {t("density.recompute")}
+      </button>
+    </div>
+  );
+}
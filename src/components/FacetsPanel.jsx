@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { FACETS, SORTS, facetValueLabel, toggleFacetValue } from "../lib/facets.js";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+
+const COLLAPSED_VALUES = 8;
+
+/**
+ * Text filter, sort order and facet chips for the results list.
+ * `counts` comes from facetCounts(); the selection is { [facetKey]: [value] }.
+ */
+export default function FacetsPanel({ theme, text, onTextChange, sort, onSortChange, selection, onSelectionChange, counts }) {
+  const [expanded, setExpanded] = useState({});
+  const i18n = useI18n();
+  const { t } = i18n;
+  const anySelected = Object.values(selection).some((v) => v.length);
+
+  return (
+    <div style={{ display: "grid", gap: 10, marginBottom: 12, fontSize: 13 }}>
+      <div style={{ display: "flex", gap: 8 }}>
+        <input
+          style={{ ...styles.input(theme), padding: "8px 12px" }}
+          placeholder={t("facets.text")}
+          aria-label={t("facets.text")}
+          value={text}
+          onChange={(e) => onTextChange(e.target.value)}
+        />
+        <select style={styles.button(theme)} value={sort} onChange={(e) => onSortChange(e.target.value)} title={t("facets.sortBy")} aria-label={t("facets.sortBy")}>
+          {Object.keys(SORTS).map((key) => (
+            <option key={key} value={key}>
+              {t(`sort.${key}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <details>
+        <summary style={{ cursor: "pointer", fontWeight: 700 }}>
+          {anySelected ? t("facets.titleActive", { count: Object.values(selection).flat().length }) : t("facets.title")}
+        </summary>
+        <div style={{ display: "grid", gap: 10, marginTop: 8 }}>
+          {FACETS.map((facet) => {
+            const values = counts[facet.key] || [];
+            if (!values.length) return null;
+            const shown = expanded[facet.key] ? values : values.slice(0, COLLAPSED_VALUES);
+            return (
+              <div key={facet.key} role="group" aria-labelledby={`facet-${facet.key}`}>
+                <div id={`facet-${facet.key}`} style={{ fontWeight: 700, opacity: 0.8, marginBottom: 4 }}>
+                  {t(`facet.${facet.key}`)}
+                </div>
+                <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                  {shown.map((v) => (
+                    <button
+                      key={v.value}
+                      style={styles.chip(theme, v.selected)}
+                      disabled={!v.count && !v.selected}
+                      aria-pressed={v.selected}
+                      onClick={() => onSelectionChange(toggleFacetValue(selection, facet.key, v.value))}
+                    >
+                      {facetValueLabel(facet.key, v.value, i18n)} <span style={{ opacity: 0.6 }}>{v.count}</span>
+                    </button>
+                  ))}
+                  {values.length > COLLAPSED_VALUES && (
+                    <button
+                      style={{ ...styles.chip(theme, false), opacity: 0.75 }}
+                      aria-expanded={!!expanded[facet.key]}
+                      onClick={() => setExpanded((e) => ({ ...e, [facet.key]: !e[facet.key] }))}
+                    >
+                      {expanded[facet.key] ? t("facets.less") : t("facets.more", { count: values.length - COLLAPSED_VALUES })}
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          {anySelected && (
+            <button style={styles.button(theme)} onClick={() => onSelectionChange({})}>
+              {t("facets.clear")}
+            </button>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+}
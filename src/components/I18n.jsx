@@ -0,0 +1,12 @@
+import { createContext, useContext } from "react";
+import { createI18n } from "../lib/i18n.js";
+
+/**
+ * Current locale helpers ({ t, formatNumber, formatDistance, … } from
+ * createI18n), provided by ExploreMap.
+ */
+export const I18nContext = createContext(createI18n());
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
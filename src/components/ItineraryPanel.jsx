@@ -0,0 +1,163 @@
+import React from "react";
+import { deletePlan, formatMinutes, optimizeOrder, planToHtml, upsertPlan, walkingLegs } from "../lib/itinerary.js";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+
+/**
+ * The day plan being edited: stops in walking order with per-leg times,
+ * manual reordering, route optimisation, saving and printing.
+ * `plan` is { id|null, name, stops }; saved plans live in `plans`.
+ */
+export default function ItineraryPanel({ theme, plan, plans, onPlanChange, onPlansChange, onFocus }) {
+  const i18n = useI18n();
+  const { t, formatDistance } = i18n;
+  const { legs, totalKm, totalMinutes } = walkingLegs(plan.stops);
+
+  function move(index, delta) {
+    const stops = [...plan.stops];
+    const [stop] = stops.splice(index, 1);
+    stops.splice(index + delta, 0, stop);
+    onPlanChange({ ...plan, stops });
+  }
+
+  function remove(id) {
+    onPlanChange({ ...plan, stops: plan.stops.filter((s) => s.id !== id) });
+  }
+
+  function save() {
+    const name = plan.id ? plan.name : window.prompt(t("plan.namePrompt"), plan.name || t("plan.defaultName"));
+    if (name == null) return;
+    const next = upsertPlan(plans, { ...plan, name });
+    onPlansChange(next.plans);
+    onPlanChange(next.plan);
+  }
+
+  function open(id) {
+    if (!id) onPlanChange({ id: null, name: "", stops: [] });
+    else onPlanChange(plans.find((p) => p.id === id));
+  }
+
+  function removePlan() {
+    if (!plan.id || !window.confirm(t("plan.deleteConfirm", { name: plan.name }))) return;
+    onPlansChange(deletePlan(plans, plan.id));
+    onPlanChange({ id: null, name: "", stops: [] });
+  }
+
+  function print() {
+    const w = window.open("", "_blank");
+    if (!w) return;
+    w.document.write(planToHtml({ ...plan, name: plan.name || t("plan.defaultName") }, i18n));
+    w.document.close();
+    w.focus();
+    w.print();
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 10, fontSize: 13 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <select
+          style={{ ...styles.button(theme), flex: 1 }}
+          value={plan.id || ""}
+          onChange={(e) => open(e.target.value)}
+          aria-label={t("plan.choose")}
+        >
+          <option value="">{plan.id ? t("plan.new") : t("plan.unsaved")}</option>
+          {plans.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name} ({p.stops.length})
+            </option>
+          ))}
+        </select>
+        {plan.id && (
+          <button style={styles.button(theme)} onClick={removePlan} title={t("plan.delete")} aria-label={t("plan.delete")}>
+            🗑️
+          </button>
+        )}
+      </div>
+
+      {plan.stops.length ? (
+        <ol style={{ display: "grid", gap: 4, listStyle: "none", margin: 0, padding: 0 }}>
+          {plan.stops.map((s, i) => (
+            <li key={s.id}>
+              {i > 0 && (
+                <div style={{ opacity: 0.6, fontSize: 12, paddingLeft: 28, marginBottom: 4 }}>
+                  ↓ {formatDistance(legs[i - 1].km)} · {formatMinutes(legs[i - 1].minutes, t)}
+                </div>
+              )}
+              <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                <span style={{ width: 22, textAlign: "center", fontWeight: 900 }} aria-hidden="true">
+                  {i + 1}
+                </span>
+                <button
+                  style={{
+                    ...styles.plainButton,
+                    flex: 1,
+                    fontWeight: 700,
+                    minWidth: 0,
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    whiteSpace: "nowrap",
+                  }}
+                  onClick={() => onFocus(s)}
+                  title={t("common.showOnMap")}
+                >
+                  {s.name}
+                </button>
+                <button
+                  style={styles.button(theme)}
+                  onClick={() => move(i, -1)}
+                  disabled={i === 0}
+                  title={t("plan.moveUp")}
+                  aria-label={t("plan.moveUpStop", { name: s.name })}
+                >
+                  ↑
+                </button>
+                <button
+                  style={styles.button(theme)}
+                  onClick={() => move(i, 1)}
+                  disabled={i === plan.stops.length - 1}
+                  title={t("plan.moveDown")}
+                  aria-label={t("plan.moveDownStop", { name: s.name })}
+                >
+                  ↓
+                </button>
+                <button
+                  style={styles.button(theme)}
+                  onClick={() => remove(s.id)}
+                  title={t("plan.removeStop")}
+                  aria-label={t("plan.removeStopNamed", { name: s.name })}
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <div style={{ opacity: 0.7 }}>{t("plan.empty")}</div>
+      )}
+      {legs.length > 0 && (
+        <div style={{ fontWeight: 700 }}>
+          {t("plan.total", { distance: formatDistance(totalKm), time: formatMinutes(totalMinutes, t) })}
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <button
+          style={styles.button(theme)}
+          onClick={() => onPlanChange({ ...plan, stops: optimizeOrder(plan.stops) })}
+          disabled={plan.stops.length < 3}
+          title={t("plan.optimizeHint")}
+        >
+          🧭 {t("plan.optimize")}
+        </button>
+        <button style={styles.button(theme)} onClick={save} disabled={!plan.stops.length}>
+          💾 {plan.id ? t("plan.save") : t("plan.saveAs")}
+        </button>
+        <button style={styles.button(theme)} onClick={print} disabled={!plan.stops.length}>
+          🖨️ {t("plan.print")}
+        </button>
+      </div>
+    </div>
+  );
+}
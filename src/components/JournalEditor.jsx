@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { RATINGS, parseTags } from "../lib/journal.js";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+
+/**
+ * The user's own annotations for one place: visited date, 1–5 rating, notes
+ * and tags. `entry` is its journal entry (lib/journal.js) or null; changes go
+ * out as patches for annotate(). Mount with `key={placeId}` so the tag draft
+ * resets between places.
+ */
+export default function JournalEditor({ theme, entry, onChange }) {
+  const { t } = useI18n();
+  const [tagDraft, setTagDraft] = useState(() => entry?.tags.join(", ") || "");
+  const rating = entry?.rating || 0;
+
+  function commitTags() {
+    const tags = parseTags(tagDraft);
+    setTagDraft(tags.join(", "));
+    if (tags.join(",") !== (entry?.tags || []).join(",")) onChange({ tags });
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 8, fontSize: 13 }}>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+        <label style={{ display: "flex", gap: 6, alignItems: "center", fontWeight: 700 }}>
+          <input
+            type="checkbox"
+            checked={!!entry?.visitedOn}
+            onChange={(e) => onChange({ visitedOn: e.target.checked ? today() : null })}
+          />
+          {t("journal.visited")}
+        </label>
+        {entry?.visitedOn && (
+          <input
+            type="date"
+            style={{ ...styles.input(theme), padding: "4px 8px", width: "auto" }}
+            value={entry.visitedOn}
+            max={today()}
+            onChange={(e) => e.target.value && onChange({ visitedOn: e.target.value })}
+            aria-label={t("journal.visitedOn")}
+          />
+        )}
+      </div>
+
+      <div style={{ display: "flex", gap: 2, alignItems: "center" }} role="group" aria-label={t("journal.rating")}>
+        <span style={{ opacity: 0.65, marginRight: 6 }}>{t("journal.rating")}</span>
+        {RATINGS.map((n) => (
+          <button
+            key={n}
+            style={{ ...styles.plainButton, fontSize: 18, padding: "0 2px", color: n <= rating ? "#e6a700" : "inherit" }}
+            onClick={() => onChange({ rating: n === rating ? null : n })}
+            aria-pressed={n === rating}
+            aria-label={t("journal.rate", { count: n })}
+            title={n === rating ? t("journal.clearRating") : t("journal.rate", { count: n })}
+          >
+            {n <= rating ? "★" : "☆"}
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        style={{ ...styles.input(theme), padding: "8px 10px", minHeight: 64, resize: "vertical", font: "inherit" }}
+        value={entry?.notes || ""}
+        onChange={(e) => onChange({ notes: e.target.value })}
+        placeholder={t("journal.notesPlaceholder")}
+        aria-label={t("journal.notes")}
+      />
+
+      <input
+        style={{ ...styles.input(theme), padding: "8px 10px" }}
+        value={tagDraft}
+        onChange={(e) => setTagDraft(e.target.value)}
+        onBlur={commitTags}
+        onKeyDown={(e) => e.key === "Enter" && commitTags()}
+        placeholder={t("journal.tagsPlaceholder")}
+        aria-label={t("journal.tags")}
+      />
+    </div>
+  );
+}
+
+// Local calendar date as "YYYY-MM-DD", the format of <input type="date">.
+function today(d = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * One-line summary of an entry for popups and result cards, e.g. "✓ 12/10/2026 · ★ 4/5".
+ */
+export function journalSummary(entry, { t, locale }) {
+  if (!entry) return "";
+  const parts = [];
+  if (entry.visitedOn) {
+    const [y, m, d] = entry.visitedOn.split("-").map(Number);
+    parts.push(`✓ ${t("journal.visitedDate", { date: new Date(y, m - 1, d).toLocaleDateString(locale) })}`);
+  }
+  if (entry.rating) parts.push(`★ ${entry.rating}/5`);
+  if (entry.notes.trim() || entry.tags.length) parts.push("📝");
+  return parts.join(" · ");
+}
@@ -0,0 +1,142 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+
+const MIN_CHARS = 3;
+const DEBOUNCE_MS = 400;
+
+/**
+ * Search input with type-ahead geocoding suggestions.
+ * Calls onPick(candidate) when a suggestion is chosen, onSubmit() for a plain search.
+ */
+export default function LocationSearch({ theme, provider, value, onChange, onPick, onSubmit, loading }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlight, setHighlight] = useState(-1);
+  const [fetching, setFetching] = useState(false);
+  const { t, locale } = useI18n();
+  const listId = useId();
+  const expanded = open && suggestions.length > 0;
+
+  const requestId = useRef(0);
+  const typed = useRef(false);
+
+  useEffect(() => {
+    if (!typed.current) return;
+    const q = value.trim();
+    if (q.length < MIN_CHARS) {
+      setSuggestions([]);
+      return;
+    }
+
+    const id = ++requestId.current;
+    const timer = setTimeout(async () => {
+      setFetching(true);
+      try {
+        const list = await provider.geocode(q, { limit: 6, lang: locale, cache: false });
+        if (id !== requestId.current) return;
+        setSuggestions(list);
+        setHighlight(-1);
+        setOpen(true);
+      } catch {
+        if (id === requestId.current) setSuggestions([]);
+      } finally {
+        if (id === requestId.current) setFetching(false);
+      }
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [value, provider, locale]);
+
+  function pick(candidate) {
+    typed.current = false;
+    requestId.current++;
+    setOpen(false);
+    setSuggestions([]);
+    setFetching(false);
+    onPick(candidate);
+  }
+
+  function submit() {
+    typed.current = false;
+    requestId.current++;
+    setOpen(false);
+    setFetching(false);
+    onSubmit();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown" && expanded) {
+      e.preventDefault();
+      setHighlight((h) => (h + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp" && expanded) {
+      e.preventDefault();
+      setHighlight((h) => (h <= 0 ? suggestions.length - 1 : h - 1));
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    } else if (e.key === "Enter") {
+      if (expanded && highlight >= 0) pick(suggestions[highlight]);
+      else submit();
+    }
+  }
+
+  return (
+    <div style={{ display: "flex", gap: 10, alignItems: "center", width: "100%" }}>
+      <div style={{ position: "relative", width: "100%" }}>
+        <input
+          style={styles.input(theme)}
+          value={value}
+          onChange={(e) => {
+            typed.current = true;
+            onChange(e.target.value);
+          }}
+          onFocus={() => suggestions.length && setOpen(true)}
+          onBlur={() => setTimeout(() => setOpen(false), 150)}
+          onKeyDown={onKeyDown}
+          placeholder={t("search.placeholder")}
+          autoComplete="off"
+          role="combobox"
+          aria-label={t("search.label")}
+          aria-autocomplete="list"
+          aria-expanded={expanded}
+          aria-controls={listId}
+          aria-activedescendant={expanded && highlight >= 0 ? `${listId}-${highlight}` : undefined}
+        />
+
+        {expanded && (
+          <div id={listId} role="listbox" aria-label={t("search.suggestions")} style={styles.dropdown(theme)}>
+            {suggestions.map((c, i) => (
+              <div
+                key={`${c.osm_type}:${c.osm_id}:${c.place_id}`}
+                id={`${listId}-${i}`}
+                role="option"
+                aria-selected={i === highlight}
+                style={styles.option(theme, i === highlight)}
+                onMouseEnter={() => setHighlight(i)}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(c);
+                }}
+              >
+                <div style={{ fontWeight: 700, fontSize: 14 }}>{c.name || c.display_name.split(",")[0]}</div>
+                <div style={{ opacity: 0.7, fontSize: 12, marginTop: 2 }}>
+                  {candidateType(c)}
+                  {c.address?.country ? ` • ${c.address.country}` : ""}
+                </div>
+                <div style={{ opacity: 0.55, fontSize: 11, marginTop: 2 }}>{c.display_name}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <button style={styles.button(theme)} onClick={submit} disabled={loading}>
+        {loading || fetching ? "…" : t("search.button")}
+      </button>
+    </div>
+  );
+}
+
+function candidateType(c) {
+  const t = String(c.addresstype || c.type || c.class || "place").replaceAll("_", " ");
+  return t.charAt(0).toUpperCase() + t.slice(1);
+}
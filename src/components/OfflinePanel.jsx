@@ -0,0 +1,244 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  AVG_TILE_BYTES,
+  MAX_AREA_TILES,
+  MAX_DOWNLOAD_ZOOM,
+  countTiles,
+  prefetchTiles,
+  removeTiles,
+  storageEstimate,
+  tileUrls,
+} from "../lib/tiles.js";
+import { MAX_RESULTS } from "../lib/search.js";
+import { isAbort } from "../lib/http.js";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+import { useOnline } from "./useOnline.js";
+
+const DETAIL_LEVELS = [0, 1, 2, 3, 4];
+
+/**
+ * "Download this area": saves the visible map tiles (current zoom and a few
+ * levels deeper) and the places for the picked categories, so the area can be
+ * explored offline (see providers/offline.js). Also lists the downloaded
+ * areas with their size and the site's storage use.
+ */
+export default function OfflinePanel({ theme, provider, viewport, basemap, selectors, defaultName, onOpen }) {
+  const areas = provider.offlineAreas;
+  const { t, locale } = useI18n();
+  const [list, setList] = useState([]);
+  const [estimate, setEstimate] = useState(null);
+  const online = useOnline();
+  const [name, setName] = useState("");
+  const [depth, setDepth] = useState(2);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const download = useRef(null);
+
+  useEffect(() => {
+    const refresh = () => {
+      areas.list().then(setList, () => setList([]));
+      storageEstimate().then(setEstimate);
+    };
+    refresh();
+    return areas.subscribe(refresh);
+  }, [areas]);
+
+  const zoomCap = Math.min(MAX_DOWNLOAD_ZOOM, basemap.maxZoom);
+  const minZoom = Math.min(Math.round(viewport?.zoom ?? 0), zoomCap);
+  const levels = DETAIL_LEVELS.filter((d) => minZoom + d <= zoomCap);
+  const maxZoom = minZoom + Math.min(depth, levels[levels.length - 1] ?? 0);
+  const tileCount = viewport ? countTiles(viewport.bounds, minZoom, maxZoom) : 0;
+  const tooLarge = tileCount > MAX_AREA_TILES;
+  const size = (bytes) => formatBytes(bytes, locale);
+
+  async function start() {
+    const controller = new AbortController();
+    download.current = controller;
+    const { signal } = controller;
+    const bounds = viewport.bounds;
+    setError("");
+    try {
+      setProgress({ done: 0, total: 0 });
+      const elements = await provider.pois({ area: { type: "bbox", ...bounds }, selectors, limit: MAX_RESULTS, signal });
+      const timezone = await provider
+        .timezone({ lat: viewport.center.lat, lon: viewport.center.lng, signal })
+        .catch(() => null);
+
+      const urls = tileUrls(basemap.url, bounds, { minZoom, maxZoom });
+      setProgress({ done: 0, total: urls.length });
+      const { bytes, failed } = await prefetchTiles(urls, { signal, onProgress: setProgress });
+      navigator.storage?.persist?.().catch(() => {});
+
+      await areas.put({
+        id: `area-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: name.trim() || defaultName || t("offline.untitled"),
+        bounds,
+        minZoom,
+        maxZoom,
+        selectors,
+        elements: [...elements],
+        timezone,
+        tileTemplate: basemap.url,
+        tiles: urls,
+        tileBytes: bytes,
+        dataBytes: JSON.stringify(elements).length,
+        createdAt: Date.now(),
+      });
+      setName("");
+      if (failed) setError(t("offline.tilesFailed", { count: failed }));
+    } catch (e) {
+      if (!isAbort(e, signal)) setError(t("offline.failed", { message: e.message }));
+    } finally {
+      download.current = null;
+      setProgress(null);
+    }
+  }
+
+  async function remove(area) {
+    if (!window.confirm(t("offline.deleteConfirm", { name: area.name }))) return;
+    // Overlapping areas can share tiles; keep the ones still in use.
+    const kept = new Set(list.filter((a) => a.id !== area.id).flatMap((a) => a.tiles));
+    try {
+      await removeTiles(area.tiles.filter((url) => !kept.has(url)));
+      await areas.remove(area.id);
+    } catch (e) {
+      setError(t("offline.failed", { message: e.message }));
+    }
+  }
+
+  return (
+    <details style={{ marginTop: 12 }}>
+      <summary style={{ cursor: "pointer", fontWeight: 700, fontSize: 14 }}>
+        📦 {t("offline.title")}
+        {!online && <span style={{ fontWeight: 400, opacity: 0.8 }}> · 📴 {t("offline.offlineNow")}</span>}
+      </summary>
+
+      <div style={{ display: "grid", gap: 8, marginTop: 10, fontSize: 12 }}>
+        <div style={{ opacity: 0.75 }}>{t("offline.hint")}</div>
+        {!basemap.allowsDownload && (
+          <div role="note" style={{ color: "#ff9f43" }}>
+            {t("offline.basemapForbids", { name: basemap.label })}
+          </div>
+        )}
+
+        <label style={{ display: "grid", gap: 4 }}>
+          <span style={{ opacity: 0.8 }}>{t("offline.name")}</span>
+          <input
+            style={{ ...styles.input(theme), padding: "8px 10px" }}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={defaultName || t("offline.untitled")}
+          />
+        </label>
+
+        <label style={{ display: "grid", gap: 4 }}>
+          <span style={{ opacity: 0.8 }}>{t("offline.detail")}</span>
+          <select
+            style={{ ...styles.button(theme), padding: "8px 10px" }}
+            value={Math.min(depth, levels[levels.length - 1] ?? 0)}
+            onChange={(e) => setDepth(Number(e.target.value))}
+            disabled={!viewport}
+          >
+            {levels.map((d) => (
+              <option key={d} value={d}>
+                {t("offline.zoomRange", { from: minZoom, to: minZoom + d })}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div style={{ opacity: 0.8 }}>
+          {t("offline.estimate", { count: tileCount, size: size(tileCount * AVG_TILE_BYTES) })}
+        </div>
+        {tooLarge && (
+          <div style={{ color: "#ff6b6b" }}>{t("offline.tooLarge", { max: MAX_AREA_TILES })}</div>
+        )}
+
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {progress ? (
+            <button style={styles.button(theme)} onClick={() => download.current?.abort()}>
+              {t("offline.cancel")}
+            </button>
+          ) : (
+            <button
+              style={{ ...styles.button(theme), fontWeight: 700 }}
+              onClick={start}
+              disabled={!basemap.allowsDownload || !viewport || !online || tooLarge || !selectors.length}
+              title={!online ? t("offline.needsNetwork") : undefined}
+            >
+              ⬇ {t("offline.download")}
+            </button>
+          )}
+        </div>
+
+        {progress && (
+          <div role="status" style={{ display: "grid", gap: 4 }}>
+            <progress value={progress.done} max={progress.total || undefined} style={{ width: "100%" }} />
+            <span style={{ opacity: 0.8 }}>
+              {progress.total
+                ? t("offline.progressTiles", { done: progress.done, total: progress.total })
+                : t("offline.progressData")}
+            </span>
+          </div>
+        )}
+        {error && (
+          <div role="alert" style={{ color: "#ff6b6b" }}>
+            {error}
+          </div>
+        )}
+
+        {estimate && (
+          <div style={{ display: "grid", gap: 4, marginTop: 6 }}>
+            <span style={{ fontWeight: 700, opacity: 0.8 }}>
+              {t("offline.storage", { used: size(estimate.usage), quota: size(estimate.quota) })}
+            </span>
+            <progress value={estimate.usage} max={estimate.quota || 1} style={{ width: "100%" }} />
+          </div>
+        )}
+
+        {list.length > 0 && (
+          <ul style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 6 }}>
+            {list.map((area) => (
+              <li
+                key={area.id}
+                style={{ display: "flex", gap: 8, alignItems: "center", paddingTop: 6, borderTop: styles.divider(theme) }}
+              >
+                <button style={{ ...styles.plainButton, flex: 1, minWidth: 0 }} onClick={() => onOpen(area)}>
+                  <div style={{ fontWeight: 700, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    {area.name}
+                  </div>
+                  <div style={{ opacity: 0.7 }}>
+                    {t("offline.areaInfo", {
+                      date: new Date(area.createdAt).toLocaleDateString(locale),
+                      size: size(area.tileBytes + area.dataBytes),
+                      count: area.elements.length,
+                    })}
+                  </div>
+                </button>
+                <button
+                  style={{ ...styles.button(theme), padding: "4px 8px" }}
+                  onClick={() => remove(area)}
+                  aria-label={t("offline.delete", { name: area.name })}
+                  title={t("offline.delete", { name: area.name })}
+                >
+                  🗑
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </details>
+  );
+}
+
+function formatBytes(bytes, locale) {
+  const gb = bytes >= 1e9;
+  return new Intl.NumberFormat(locale, {
+    style: "unit",
+    unit: gb ? "gigabyte" : "megabyte",
+    unitDisplay: "short",
+    maximumFractionDigits: 1,
+  }).format(bytes / (gb ? 1e9 : 1e6));
+}
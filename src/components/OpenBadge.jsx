@@ -0,0 +1,36 @@
+import React from "react";
+
+const COLORS = {
+  open: "#1fbf75",
+  "closing-soon": "#f0a020",
+  closed: "#e5484d",
+  unknown: "#8a8aa0",
+};
+
+/**
+ * Open / closing soon / closed pill from an openingStatus() result.
+ */
+export default function OpenBadge({ status }) {
+  if (!status) return null;
+  const color = COLORS[status.state] || COLORS.unknown;
+  return (
+    <span
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: 6,
+        padding: "2px 8px",
+        borderRadius: 999,
+        fontSize: 11,
+        fontWeight: 700,
+        color,
+        border: `1px solid ${color}55`,
+        background: `${color}1a`,
+        whiteSpace: "nowrap",
+      }}
+    >
+      <span style={{ width: 6, height: 6, borderRadius: "50%", background: color }} />
+      {status.label}
+    </span>
+  );
+}
@@ -0,0 +1,48 @@
+import React from "react";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+
+/**
+ * Row of dropped-pin buttons under the map (see usePins): open a pin, drop
+ * one at the map centre, or clear them all.
+ */
+export default function PinsBar({ theme, pins, activePinId, onOpen, onAddAtCenter, onClear, disabled }) {
+  const { t } = useI18n();
+  return (
+    <div
+      role="group"
+      aria-label={t("pins.title")}
+      style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", padding: "10px 10px 0", fontSize: 13 }}
+    >
+      <span style={{ opacity: 0.75 }}>{t("pins.title")}</span>
+      {pins.map((pin) => (
+        <button
+          key={pin.id}
+          style={{
+            ...styles.button(theme),
+            padding: "4px 10px",
+            ...(pin.id === activePinId ? { borderColor: theme.colors.accent2, fontWeight: 800 } : {}),
+          }}
+          onClick={() => onOpen(pin)}
+          aria-pressed={pin.id === activePinId}
+          title={pin.address || t("pins.label", { n: pin.id })}
+        >
+          📌 {pin.id}
+        </button>
+      ))}
+      <button
+        style={{ ...styles.button(theme), padding: "4px 10px" }}
+        onClick={onAddAtCenter}
+        disabled={disabled}
+        title={t("pins.atCenterHint")}
+      >
+        ＋ {t("pins.atCenter")}
+      </button>
+      {pins.length > 0 && (
+        <button style={{ ...styles.button(theme), padding: "4px 10px" }} onClick={onClear}>
+          {t("pins.clear")}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import React from "react";
+import { describeTags } from "../lib/placeDetails.js";
+import { prettyType } from "../lib/facets.js";
+import { styles } from "../styles.js";
+import OpenBadge from "./OpenBadge.jsx";
+import { useI18n } from "./I18n.jsx";
+
+/**
+ * Everything we know about one place, from its OSM tags (see lib/placeDetails.js),
+ * plus the raw tags for power users.
+ */
+export default function PlaceDetails({ theme, place, hours, onClose }) {
+  const { contact, facts, payment, links, images } = describeTags(place.tags, place.id);
+  const tags = Object.entries(place.tags || {}).sort(([a], [b]) => a.localeCompare(b));
+  const linkStyle = { color: theme.colors.link, wordBreak: "break-all" };
+  const { t } = useI18n();
+
+  return (
+    <div style={{ display: "grid", gap: 10, fontSize: 13 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 10, alignItems: "start" }}>
+        <div>
+          <h2 id="place-details-title" style={{ fontWeight: 900, fontSize: 16, margin: 0 }}>
+            {place.name}
+          </h2>
+          <div style={{ opacity: 0.75 }}>{prettyType(place.kind)}</div>
+        </div>
+        <button style={styles.button(theme)} onClick={onClose} title={t("details.close")} aria-label={t("details.close")}>
+          ✕
+        </button>
+      </div>
+
+      {images.length > 0 && (
+        <div style={{ display: "flex", gap: 8, overflowX: "auto" }}>
+          {images.map((img) => (
+            <a key={img.src} href={img.href} target="_blank" rel="noreferrer">
+              <img
+                src={img.src}
+                alt={place.name}
+                loading="lazy"
+                style={{ height: 120, borderRadius: 10, display: "block", objectFit: "cover" }}
+              />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {hours && <OpenBadge status={hours} />}
+      {place.tags?.opening_hours && <Row label={t("details.hours")} text={place.tags.opening_hours} />}
+      {place.address && <Row label={t("details.address")} text={place.address} />}
+
+      {contact.map((c) => (
+        <Row key={c.href} label={t(c.label)}>
+          <a href={c.href} target="_blank" rel="noreferrer" style={linkStyle}>
+            {c.text}
+          </a>
+        </Row>
+      ))}
+
+      {facts.map((f) => (
+        <Row key={f.label} label={t(f.label)} text={f.value ? t(f.value, f.params) : f.text} />
+      ))}
+
+      {payment.length > 0 && (
+        <Row label={t("details.payment")} text={payment.map((p) => t(p.key, p.params)).join(", ")} />
+      )}
+
+      {links.length > 0 && (
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+          {links.map((l) => (
+            <a key={l.href} href={l.href} target="_blank" rel="noreferrer" style={linkStyle}>
+              {t(l.key, l.params)}
+            </a>
+          ))}
+        </div>
+      )}
+
+      <details>
+        <summary style={{ cursor: "pointer", fontWeight: 700 }}>{t("details.rawTags", { count: tags.length })}</summary>
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "auto 1fr",
+            gap: "2px 10px",
+            marginTop: 6,
+            fontFamily: "ui-monospace, monospace",
+            fontSize: 12,
+          }}
+        >
+          {tags.map(([k, v]) => (
+            <React.Fragment key={k}>
+              <span style={{ opacity: 0.7 }}>{k}</span>
+              <span style={{ wordBreak: "break-word" }}>{v}</span>
+            </React.Fragment>
+          ))}
+        </div>
+      </details>
+    </div>
+  );
+}
+
+function Row({ label, text, children }) {
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "110px 1fr", gap: 8 }}>
+      <span style={{ opacity: 0.65 }}>{label}</span>
+      <span>{children ?? text}</span>
+    </div>
+  );
+}
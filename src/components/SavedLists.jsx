@@ -0,0 +1,181 @@
+import React, { useRef, useState } from "react";
+import { createList, deleteList, removeFromList, renameList } from "../lib/lists.js";
+import { FORMATS, exportList, importList } from "../lib/formats.js";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+
+/**
+ * Saved places lists: pick the active list, manage lists, export/import them.
+ * Works on the array from lib/lists.js and hands back a new one via onChange.
+ */
+export default function SavedLists({ theme, lists, activeListId, onSelect, onChange, onFocus }) {
+  const [renaming, setRenaming] = useState(null);
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+  const { t } = useI18n();
+
+  const active = lists.find((l) => l.id === activeListId) || null;
+
+  function create() {
+    const name = window.prompt(t("lists.newPrompt"), t("lists.defaultName", { n: lists.length + 1 }));
+    if (name == null) return;
+    const next = createList(lists, name);
+    onChange(next.lists);
+    onSelect(next.list.id);
+  }
+
+  function remove() {
+    if (!active || !window.confirm(t("lists.deleteConfirm", { name: active.name, count: active.places.length }))) return;
+    const next = deleteList(lists, active.id);
+    onChange(next);
+    onSelect(next[0]?.id || null);
+  }
+
+  function download(format) {
+    const { ext, mime } = FORMATS[format];
+    const blob = new Blob([exportList(active, format)], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${fileName(active.name)}.${ext}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function importFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { name, places } = importList(await file.text(), file.name);
+      if (!places.length) throw new Error(t("lists.importEmpty"));
+      const next = createList(lists, name, places);
+      onChange(next.lists);
+      onSelect(next.list.id);
+      setError("");
+    } catch (err) {
+      setError(t("lists.importFailed", { message: err.message }));
+    }
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 10, fontSize: 13 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        {renaming != null ? (
+          <input
+            autoFocus
+            style={{ ...styles.input(theme), flex: 1, padding: "8px 10px" }}
+            aria-label={t("lists.rename")}
+            value={renaming}
+            onChange={(e) => setRenaming(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                onChange(renameList(lists, active.id, renaming));
+                setRenaming(null);
+              }
+              if (e.key === "Escape") setRenaming(null);
+            }}
+            onBlur={() => setRenaming(null)}
+          />
+        ) : (
+          <select
+            style={{ ...styles.button(theme), flex: 1 }}
+            value={activeListId || ""}
+            onChange={(e) => onSelect(e.target.value || null)}
+            disabled={!lists.length}
+            aria-label={t("lists.active")}
+          >
+            {!lists.length && <option value="">{t("lists.none")}</option>}
+            {lists.map((l) => (
+              <option key={l.id} value={l.id}>
+                {l.name} ({l.places.length})
+              </option>
+            ))}
+          </select>
+        )}
+        <button style={styles.button(theme)} onClick={create} title={t("lists.new")} aria-label={t("lists.new")}>
+          ＋
+        </button>
+        <button
+          style={styles.button(theme)}
+          onClick={() => setRenaming(active.name)}
+          disabled={!active}
+          title={t("lists.rename")}
+          aria-label={t("lists.rename")}
+        >
+          ✏️
+        </button>
+        <button style={styles.button(theme)} onClick={remove} disabled={!active} title={t("lists.delete")} aria-label={t("lists.delete")}>
+          🗑️
+        </button>
+      </div>
+
+      {active ? (
+        active.places.length ? (
+          <div style={{ display: "grid", gap: 6, maxHeight: 220, overflow: "auto", paddingRight: 6 }}>
+            {active.places.map((p) => (
+              <div key={p.id} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <button
+                  style={{ ...styles.plainButton, flex: 1, minWidth: 0 }}
+                  onClick={() => onFocus(p)}
+                  title={t("common.showOnMap")}
+                >
+                  <div style={{ fontWeight: 700, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    {p.name}
+                  </div>
+                  {p.address ? <div style={{ opacity: 0.65, fontSize: 12 }}>{p.address}</div> : null}
+                </button>
+                <button
+                  style={styles.button(theme)}
+                  onClick={() => onChange(removeFromList(lists, active.id, p.id))}
+                  title={t("lists.remove")}
+                  aria-label={t("lists.removePlace", { name: p.name })}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div style={{ opacity: 0.7 }}>{t("lists.empty")}</div>
+        )
+      ) : (
+        <div style={{ opacity: 0.7 }}>{t("lists.intro")}</div>
+      )}
+
+      <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+        <span style={{ opacity: 0.75, fontSize: 12 }}>{t("lists.export")}</span>
+        {Object.entries(FORMATS).map(([key, f]) => (
+          <button
+            key={key}
+            style={styles.button(theme)}
+            onClick={() => download(key)}
+            disabled={!active?.places.length}
+          >
+            {f.label}
+          </button>
+        ))}
+        <button style={{ ...styles.button(theme), marginLeft: "auto" }} onClick={() => fileRef.current?.click()}>
+          {t("lists.import")}
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".geojson,.json,.gpx,.kml,.csv"
+          style={{ display: "none" }}
+          onChange={importFile}
+        />
+      </div>
+
+      {error && (
+        <div role="alert" style={{ color: "#e5484d", fontSize: 12 }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function fileName(name) {
+  return name.replace(/[^\w\- ]+/g, "").trim().replace(/\s+/g, "-") || "places";
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import { useI18n } from "./I18n.jsx";
+
+/**
+ * "Why this score?" – the signals behind a place's quality and gem scores.
+ */
+export default function ScoreBreakdown({ place }) {
+  const { t } = useI18n();
+  const { breakdown, scores } = place;
+  if (!breakdown) return null;
+
+  const groups = [
+    { key: "quality", label: t("score.quality"), value: scores.quality },
+    { key: "gem", label: t("score.gem"), value: scores.gem },
+  ];
+
+  return (
+    <details style={{ marginTop: 8, fontSize: 12 }}>
+      <summary style={{ cursor: "pointer", fontWeight: 700 }}>{t("score.why")}</summary>
+      <div style={{ opacity: 0.75, margin: "6px 0" }}>
+        {t("score.formula", {
+          score: place.score,
+          quality: Math.round((1 - breakdown.gemBias) * 100),
+          gem: Math.round(breakdown.gemBias * 100),
+        })}
+      </div>
+      {groups.map((g) => (
+        <div key={g.key} style={{ marginTop: 6 }}>
+          <div style={{ fontWeight: 700 }}>
+            {g.label}: {g.value}
+          </div>
+          {breakdown[g.key].map((part) => (
+            <div
+              key={part.key}
+              style={{ display: "grid", gridTemplateColumns: "1fr 60px 44px", gap: 6, alignItems: "center" }}
+              title={t("score.part", { value: Math.round(part.value * 100), weight: Math.round(part.weight * 100) })}
+            >
+              <span>{t(`signal.${part.key}`)}</span>
+              <span style={{ height: 6, borderRadius: 3, background: "var(--wm-accent-soft, rgba(140,80,255,0.18))", overflow: "hidden" }}>
+                <span
+                  style={{
+                    display: "block",
+                    height: "100%",
+                    width: `${Math.round(part.value * 100)}%`,
+                    background: "linear-gradient(90deg, var(--wm-accent, #8c50ff), var(--wm-accent2, #00c8ff))",
+                  }}
+                />
+              </span>
+              <span style={{ textAlign: "right", opacity: 0.8 }}>+{Math.round(part.contribution * 100)}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </details>
+  );
+}
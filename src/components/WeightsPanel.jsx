@@ -0,0 +1,68 @@
+import React from "react";
+import { DEFAULT_WEIGHTS } from "../lib/scoring.js";
+import { styles } from "../styles.js";
+import { useI18n } from "./I18n.jsx";
+
+/**
+ * Sliders for the scoring weights (see lib/scoring.js).
+ */
+export default function WeightsPanel({ theme, weights, onChange }) {
+  const { t } = useI18n();
+  function setSignal(group, key, value) {
+    onChange({ ...weights, [group]: { ...weights[group], [key]: value } });
+  }
+
+  return (
+    <details style={{ marginTop: 12 }}>
+      <summary style={{ cursor: "pointer", fontWeight: 700, fontSize: 14 }}>⚖️ {t("weights.title")}</summary>
+
+      <div style={{ display: "grid", gap: 6, marginTop: 10, fontSize: 12 }}>
+        <Slider
+          label={t("weights.bias")}
+          value={weights.gemBias}
+          onChange={(v) => onChange({ ...weights, gemBias: v })}
+        />
+
+        {[
+          ["quality", t("weights.qualitySignals")],
+          ["gem", t("weights.gemSignals")],
+        ].map(([group, title]) => (
+          <div key={group} style={{ display: "grid", gap: 4, marginTop: 6 }}>
+            <div style={{ fontWeight: 700, opacity: 0.8 }}>{title}</div>
+            {Object.keys(DEFAULT_WEIGHTS[group]).map((key) => (
+              <Slider
+                key={key}
+                label={t(`signal.${key}`)}
+                value={weights[group][key]}
+                onChange={(v) => setSignal(group, key, v)}
+              />
+            ))}
+          </div>
+        ))}
+
+        <button
+          style={{ ...styles.button(theme), justifySelf: "start", marginTop: 6 }}
+          onClick={() => onChange(DEFAULT_WEIGHTS)}
+        >
+          {t("weights.reset")}
+        </button>
+      </div>
+    </details>
+  );
+}
+
+function Slider({ label, value, onChange }) {
+  return (
+    <label style={{ display: "grid", gridTemplateColumns: "1fr 110px 34px", gap: 8, alignItems: "center" }}>
+      <span style={{ opacity: 0.8 }}>{label}</span>
+      <input
+        type="range"
+        min={0}
+        max={100}
+        value={Math.round(value * 100)}
+        onChange={(e) => onChange(Number(e.target.value) / 100)}
+      />
+      <span style={{ textAlign: "right", fontWeight: 700 }}>{Math.round(value * 100)}</span>
+    </label>
+  );
+}
@@ -0,0 +1,78 @@
+import L from "leaflet";
+
+const cache = new Map();
+
+const VISITED_COLOR = "#22a06b";
+const RATED_COLOR = "#e6a700";
+
+/**
+ * Round pin with the category emoji, tinted with the category color.
+ * `note` is the place's journal entry (lib/journal.js): visited places get a
+ * green ring and a ✓ badge, rated ones a gold ring and their rating.
+ * `color` must be "#rgb" or "#rrggbb" (see validateCategory); the emoji is
+ * user input and is escaped.
+ */
+export function placeIcon({ color = "#8c50ff", icon = "📍" } = {}, active = false, note = null) {
+  const visited = !!note?.visitedOn;
+  const rating = note?.rating || 0;
+  const key = `${color}|${icon}|${active}|${visited}|${rating}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const size = active ? 38 : 30;
+  const halo = color.length === 4 ? color.replace(/[0-9a-f]/gi, "$&$&") : color;
+  const ring = visited ? VISITED_COLOR : rating ? RATED_COLOR : "";
+  const badge =
+    visited || rating
+      ? `<span style="position:absolute;top:-6px;right:-8px;min-width:16px;height:16px;padding:0 3px;box-sizing:border-box;border-radius:8px;background:${visited ? VISITED_COLOR : RATED_COLOR};color:#fff;border:1.5px solid #fff;font:800 10px/13px system-ui,sans-serif;text-align:center;white-space:nowrap">${rating ? `${rating}★` : "✓"}</span>`
+      : "";
+  const result = L.divIcon({
+    className: "",
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size],
+    popupAnchor: [0, -size + 4],
+    html: `<div style="position:relative;width:${size}px;height:${size}px"><div style="width:${size}px;height:${size}px;border-radius:50% 50% 50% 0;transform:rotate(-45deg);background:${color};border:${ring ? `3px solid ${ring}` : "2px solid var(--wm-marker-border, #fff)"};box-shadow:0 4px 12px rgba(0,0,0,0.35)${active ? `,0 0 0 4px ${halo}55` : ""};display:flex;align-items:center;justify-content:center"><span style="transform:rotate(45deg);font-size:${active ? 18 : 14}px;line-height:1">${escapeHtml(icon)}</span></div>${badge}</div>`,
+  });
+  cache.set(key, result);
+  return result;
+}
+
+/**
+ * Numbered circle for an itinerary stop.
+ */
+export function stopIcon(n, color = "#ff4f8b") {
+  const key = `stop|${n}|${color}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const result = L.divIcon({
+    className: "",
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+    html: `<div style="width:24px;height:24px;border-radius:50%;background:${color};color:#fff;border:2px solid #fff;box-shadow:0 2px 8px rgba(0,0,0,0.35);display:flex;align-items:center;justify-content:center;font:800 12px system-ui,sans-serif">${n}</div>`,
+  });
+  cache.set(key, result);
+  return result;
+}
+
+/**
+ * Dropped pin (see ExploreMap's drop-pin searches), labelled with its number;
+ * the pin being searched around is larger.
+ */
+export function dropPinIcon(n, active = false) {
+  const key = `pin|${n}|${active}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const size = active ? 34 : 26;
+  const result = L.divIcon({
+    className: "",
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size],
+    popupAnchor: [0, -size + 4],
+    html: `<div style="width:${size}px;height:${size}px;border-radius:50% 50% 50% 0;transform:rotate(-45deg);background:var(--wm-accent2, #00c8ff);border:2px solid #fff;box-shadow:0 4px 12px rgba(0,0,0,0.35)${active ? ",0 0 0 4px var(--wm-accent-soft, rgba(140,80,255,0.25))" : ""};display:flex;align-items:center;justify-content:center"><span style="transform:rotate(45deg);font:800 ${active ? 14 : 12}px system-ui,sans-serif;color:#fff">${n}</span></div>`,
+  });
+  cache.set(key, result);
+  return result;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
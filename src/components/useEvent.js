@@ -0,0 +1,14 @@
+import { useCallback, useLayoutEffect, useRef } from "react";
+
+/**
+ * A function with a stable identity that always runs the latest `handler`.
+ * Effects list it as a dependency without re-running when the state the
+ * handler reads changes (searches, refreshes and other event-like work).
+ */
+export function useEvent(handler) {
+  const latest = useRef(handler);
+  useLayoutEffect(() => {
+    latest.current = handler;
+  });
+  return useCallback((...args) => latest.current(...args), []);
+}
@@ -0,0 +1,21 @@
+import { useCallback, useEffect, useState } from "react";
+import { annotate, loadJournal, saveJournal } from "../lib/journal.js";
+
+/**
+ * The personal journal (lib/journal.js), loaded from and saved back to
+ * localStorage. `annotatePlace(place, patch, { city })` applies a patch from
+ * JournalEditor.
+ */
+export function useJournal() {
+  const [journal, setJournal] = useState(() => loadJournal());
+
+  useEffect(() => {
+    saveJournal(journal);
+  }, [journal]);
+
+  const annotatePlace = useCallback((place, patch, options) => {
+    setJournal((j) => annotate(j, place, patch, options));
+  }, []);
+
+  return { journal, setJournal, annotatePlace };
+}
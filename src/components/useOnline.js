@@ -0,0 +1,27 @@
+import { useEffect, useState } from "react";
+import { useEvent } from "./useEvent.js";
+
+/**
+ * Whether the browser thinks it is online, following the online/offline
+ * events. `onChange(online)` runs on each switch.
+ */
+export function useOnline(onChange = () => {}) {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const changed = useEvent(onChange);
+
+  useEffect(() => {
+    const update = () => {
+      const next = navigator.onLine !== false;
+      setOnline(next);
+      changed(next);
+    };
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, [changed]);
+
+  return online;
+}
@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from "react";
+import { useEvent } from "./useEvent.js";
+
+// Dropping more pins than this removes the oldest.
+const MAX_PINS = 9;
+
+/**
+ * Pins dropped on the map to search around (see ExploreMap): { id, lat, lng,
+ * address }, where address is undefined while it is being looked up and
+ * null when Nominatim has none. Addresses come from `provider.reverse()` in
+ * `locale` and are looked up again when it changes; unnamed pins are called
+ * "Pin n" through `t`.
+ */
+export function usePins({ provider, locale, t }) {
+  const [pins, setPins] = useState([]);
+  const [activePinId, setActivePinId] = useState(null);
+  const [pinMode, setPinMode] = useState(false);
+  const pinSeq = useRef(0);
+  // Reverse geocoding requests by pin id, { locale, request }, so each pin is
+  // looked up once per language.
+  const pinAddresses = useRef(new Map());
+
+  /**
+   * The pin at `pos`, dropping a new one unless one is already there.
+   */
+  function addPin(pos) {
+    const same = (p) => Math.abs(p.lat - pos.lat) < 1e-6 && Math.abs(p.lng - pos.lng) < 1e-6;
+    const existing = pins.find(same);
+    if (existing) return existing;
+    const pin = { id: ++pinSeq.current, lat: pos.lat, lng: pos.lng, address: undefined };
+    setPins((ps) => (ps.some(same) ? ps : [...ps.slice(-(MAX_PINS - 1)), pin]));
+    return pin;
+  }
+
+  function removePin(id) {
+    setPins((ps) => ps.filter((p) => p.id !== id));
+    if (activePinId === id) setActivePinId(null);
+  }
+
+  /**
+   * Resolves to the pin's address from Nominatim /reverse (null if none) and
+   * stores it on the pin.
+   */
+  function pinAddress(pin) {
+    const cached = pinAddresses.current.get(pin.id);
+    if (cached?.locale === locale) return cached.request;
+    const entry = { locale };
+    entry.request = provider
+      .reverse({ lat: pin.lat, lon: pin.lng, lang: locale })
+      .then(
+        (r) => r?.display_name || null,
+        () => null
+      )
+      .then((address) => {
+        // A lookup in a language the user has since switched away from is dropped.
+        if (pinAddresses.current.get(pin.id) === entry) {
+          setPins((ps) => ps.map((p) => (p.id === pin.id ? { ...p, address } : p)));
+        }
+        return address;
+      });
+    pinAddresses.current.set(pin.id, entry);
+    return entry.request;
+  }
+
+  const relabelPins = useEvent(() => pins.forEach((pin) => pinAddress(pin)));
+  useEffect(() => {
+    relabelPins();
+  }, [locale, relabelPins]);
+
+  function pinName(pin, address = pin.address) {
+    return address ? address.split(",").slice(0, 2).join(",") : t("pins.label", { n: pin.id });
+  }
+
+  function clearPins() {
+    setPins([]);
+    setActivePinId(null);
+  }
+
+  return {
+    pins,
+    activePin: pins.find((p) => p.id === activePinId) || null,
+    activePinId,
+    setActivePinId,
+    pinMode,
+    setPinMode,
+    addPin,
+    removePin,
+    clearPins,
+    pinAddress,
+    pinName,
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Map tile sources. Settings are { key, custom: { url, attribution } },
+ * saved under "wm_basemap"; "auto" picks CARTO dark or OSM to match the theme.
+ *
+ * `allowsDownload` marks sources whose usage policy permits prefetching tiles
+ * for offline use (see OfflinePanel). The public OSM, CARTO and OpenTopoMap
+ * servers forbid bulk downloads, so only custom (your own) servers are flagged.
+ */
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+export const BASEMAPS = {
+  auto: { label: "Match theme" },
+  osm: {
+    label: "OpenStreetMap",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: OSM_ATTRIBUTION,
+    maxZoom: 19,
+    allowsDownload: false,
+  },
+  "carto-light": {
+    label: "CARTO Positron",
+    url: "https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png",
+    attribution: `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`,
+    maxZoom: 20,
+    allowsDownload: false,
+  },
+  "carto-dark": {
+    label: "CARTO Dark Matter",
+    url: "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png",
+    attribution: `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`,
+    maxZoom: 20,
+    allowsDownload: false,
+  },
+  topo: {
+    label: "OpenTopoMap",
+    url: "https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png",
+    attribution: `${OSM_ATTRIBUTION}, SRTM | &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)`,
+    maxZoom: 17,
+    allowsDownload: false,
+  },
+  custom: { label: "Custom XYZ" },
+};
+
+const STORAGE_KEY = "wm_basemap";
+const DEFAULT_SETTINGS = { key: "auto", custom: { url: "", attribution: "" } };
+
+export function loadBasemapSettings() {
+  try {
+    const v = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!v || !BASEMAPS[v.key]) return DEFAULT_SETTINGS;
+    return { key: v.key, custom: { url: String(v.custom?.url || ""), attribution: String(v.custom?.attribution || "") } };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+}
+
+export function saveBasemapSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Problems with a custom tile URL template, as codes: "scheme" (not
+ * http/https) and "placeholders" (missing {z}, {x} or {y}).
+ */
+export function validateTileUrl(url) {
+  const u = String(url || "").trim();
+  const errors = [];
+  if (!/^https?:\/\/[^/\s]+\/\S*$/i.test(u)) errors.push("scheme");
+  if (!["{z}", "{x}", "{y}"].every((p) => u.includes(p))) errors.push("placeholders");
+  return errors;
+}
+
+/**
+ * The tile layer to draw: { key, url, attribution, maxZoom, allowsDownload }.
+ * An invalid custom URL falls back to "auto". Custom attribution is plain text.
+ */
+export function resolveBasemap(settings, { dark }) {
+  const key = settings.key === "custom" && validateTileUrl(settings.custom.url).length ? "auto" : settings.key;
+  if (key === "auto") return { key, ...BASEMAPS[dark ? "carto-dark" : "osm"] };
+  if (key === "custom") {
+    return {
+      key,
+      url: settings.custom.url.trim(),
+      attribution: escapeHtml(settings.custom.attribution.trim()),
+      maxZoom: 19,
+      allowsDownload: true,
+    };
+  }
+  return { key, ...BASEMAPS[key] };
+}
+
+function escapeHtml(s) {
+  return s.replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
@@ -0,0 +1,93 @@
+/**
+ * Small IndexedDB key/value cache for provider responses.
+ * Entries remember when they were stored (for TTL) and last read (for LRU
+ * eviction once `maxEntries` is exceeded). Expired entries are kept until
+ * evicted so they can still be served when the network is down.
+ * Without IndexedDB (private mode, Node) every call is a no-op miss.
+ */
+const STORE = "responses";
+
+export function createResponseCache({ dbName = "worldgems-cache", maxEntries = 300 } = {}) {
+  let dbPromise = null;
+
+  function db() {
+    if (typeof indexedDB === "undefined") return Promise.resolve(null);
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => {
+          const store = req.result.createObjectStore(STORE, { keyPath: "key" });
+          store.createIndex("accessedAt", "accessedAt");
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+      });
+    }
+    return dbPromise;
+  }
+
+  async function tx(mode, fn) {
+    const conn = await db();
+    if (!conn) return undefined;
+    return new Promise((resolve) => {
+      const t = conn.transaction(STORE, mode);
+      let result;
+      Promise.resolve(fn(t.objectStore(STORE)))
+        .then((r) => (result = r))
+        .catch(() => {
+          try {
+            t.abort();
+          } catch {
+            // already finished
+          }
+        });
+      t.oncomplete = () => resolve(result);
+      t.onerror = () => resolve(undefined);
+      t.onabort = () => resolve(undefined);
+    });
+  }
+
+  return {
+    /** Returns { value, storedAt } or null. */
+    async get(key) {
+      const record = await tx("readwrite", async (store) => {
+        const r = await request(store.get(key));
+        if (r) store.put({ ...r, accessedAt: Date.now() });
+        return r;
+      });
+      return record ? { value: record.value, storedAt: record.storedAt } : null;
+    },
+
+    async set(key, value) {
+      const now = Date.now();
+      await tx("readwrite", async (store) => {
+        store.put({ key, value, storedAt: now, accessedAt: now });
+        const count = await request(store.count());
+        let excess = count - maxEntries;
+        if (excess <= 0) return;
+        const cursorReq = store.index("accessedAt").openCursor();
+        cursorReq.onsuccess = () => {
+          const cursor = cursorReq.result;
+          if (!cursor || excess <= 0) return;
+          if (cursor.primaryKey !== key) {
+            cursor.delete();
+            excess--;
+          }
+          cursor.continue();
+        };
+      });
+    },
+
+    async clear() {
+      await tx("readwrite", (store) => store.clear());
+    },
+  };
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
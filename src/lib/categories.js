@@ -0,0 +1,192 @@
+import { matchesSelector, parseSelector } from "./overpass.js";
+
+/**
+ * Categories + Overpass tag queries
+ * We use Overpass around (lat,lon) to pull POIs.
+ * `nwr` matches nodes, ways and relations – most parks, museums and
+ * stations are mapped as areas, not points.
+ */
+export const CATEGORIES = [
+  {
+    key: "restaurants",
+    label: "Restaurants",
+    icon: "🍽️",
+    color: "#ff7a45",
+    overpass: [
+      'nwr["amenity"="restaurant"]',
+      'nwr["amenity"="cafe"]',
+      'nwr["amenity"="bar"]',
+      'nwr["amenity"="fast_food"]',
+    ],
+  },
+  {
+    key: "attractions",
+    label: "Attractions",
+    icon: "📍",
+    color: "#8c50ff",
+    overpass: [
+      'nwr["tourism"="attraction"]',
+      'nwr["tourism"="museum"]',
+      'nwr["tourism"="gallery"]',
+      'nwr["tourism"="zoo"]',
+      'nwr["tourism"="theme_park"]',
+      'nwr["tourism"="viewpoint"]',
+      'nwr["historic"]',
+      'nwr["leisure"="park"]',
+    ],
+  },
+  {
+    key: "hotels",
+    label: "Hotels",
+    icon: "🏨",
+    color: "#2f80ed",
+    overpass: [
+      'nwr["tourism"="hotel"]',
+      'nwr["tourism"="hostel"]',
+      'nwr["tourism"="guest_house"]',
+      'nwr["tourism"="motel"]',
+    ],
+  },
+  {
+    key: "safety",
+    label: "Safety Info",
+    icon: "🛡️",
+    color: "#e5484d",
+    overpass: [
+      'nwr["amenity"="police"]',
+      'nwr["amenity"="hospital"]',
+      'nwr["amenity"="clinic"]',
+      'nwr["amenity"="pharmacy"]',
+      'nwr["amenity"="fire_station"]',
+    ],
+  },
+  {
+    key: "transport",
+    label: "Transport",
+    icon: "🚆",
+    color: "#12a594",
+    overpass: [
+      'nwr["railway"="station"]',
+      'nwr["railway"="subway_entrance"]',
+      'nwr["public_transport"="station"]',
+      'nwr["amenity"="bus_station"]',
+      'nwr["aeroway"="aerodrome"]',
+    ],
+  },
+];
+
+/**
+ * Hidden gems = niche/less obvious POIs
+ */
+export const HIDDEN_GEMS = {
+  key: "gems",
+  label: "Hidden Gems",
+  icon: "✨",
+  color: "#f5b000",
+  overpass: [
+    'nwr["tourism"="artwork"]',
+    'nwr["tourism"="information"]["information"="board"]',
+    'nwr["amenity"="library"]',
+    'nwr["amenity"="community_centre"]',
+    'nwr["leisure"="garden"]',
+    'nwr["leisure"="escape_game"]',
+    'nwr["amenity"="arts_centre"]',
+    'nwr["amenity"="studio"]',
+    'nwr["shop"="antique"]',
+    'nwr["shop"="vintage"]',
+    'nwr["shop"="second_hand"]',
+    'nwr["craft"]',
+    'nwr["amenity"="music_venue"]',
+    'nwr["amenity"="theatre"]',
+  ],
+};
+
+const STORAGE_KEY = "wm_categories";
+// Marker colors go into icon HTML (components/markerIcons.js), so only hex is allowed.
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * User settings saved in localStorage:
+ *   { custom: [{ key, label, icon, color, overpass: [...] }], gems: [...] | null }
+ * `gems: null` means "use the built-in Hidden Gems selectors".
+ */
+export function loadCategorySettings(storage = globalThis.localStorage) {
+  try {
+    const raw = JSON.parse(storage?.getItem(STORAGE_KEY));
+    const custom = Array.isArray(raw?.custom) ? raw.custom.filter((c) => !validateCategory(c).length) : [];
+    const gems = Array.isArray(raw?.gems) && !validateSelectors(raw.gems).length ? raw.gems : null;
+    return { custom, gems };
+  } catch {
+    return { custom: [], gems: null };
+  }
+}
+
+export function saveCategorySettings(settings, storage = globalThis.localStorage) {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Accepts full selectors ('nwr["shop"="books"]') or bare tag filters
+ * ('["shop"="books"]', which are read as nwr).
+ */
+export function normalizeSelector(selector) {
+  const s = String(selector || "").trim();
+  return s.startsWith("[") ? `nwr${s}` : s;
+}
+
+/**
+ * Returns a list of { index, selector, code } for selectors we can't use;
+ * codes are "invalidSelector" and "invalidRegex" (a bad ~ pattern).
+ */
+export function validateSelectors(selectors) {
+  const errors = [];
+  selectors.forEach((selector, index) => {
+    let filters;
+    try {
+      filters = parseSelector(selector).filters;
+    } catch {
+      errors.push({ index, selector, code: "invalidSelector" });
+      return;
+    }
+    try {
+      for (const f of filters) {
+        if (f.op === "~") new RegExp(f.value);
+      }
+    } catch {
+      errors.push({ index, selector, code: "invalidRegex" });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Problems with a custom category as { field, code }: "labelRequired",
+ * "invalidColor" (not #rgb or #rrggbb), "needSelector", or a selector error
+ * from validateSelectors().
+ */
+export function validateCategory(cat) {
+  const errors = [];
+  if (!String(cat?.label || "").trim()) errors.push({ field: "label", code: "labelRequired" });
+  if (!COLOR_PATTERN.test(cat?.color || "")) errors.push({ field: "color", code: "invalidColor" });
+  if (!Array.isArray(cat?.overpass) || !cat.overpass.length) {
+    errors.push({ field: "overpass", code: "needSelector" });
+  } else {
+    for (const e of validateSelectors(cat.overpass)) errors.push({ field: "overpass", ...e });
+  }
+  return errors;
+}
+
+/**
+ * Pre-parse selectors once so categoryOf() stays cheap for thousands of places.
+ */
+export function compileCategories(categories) {
+  return categories.map((c) => ({ category: c, matchers: c.overpass.map((s) => parseSelector(s)) }));
+}
+
+/**
+ * First category (in `compiled` order) whose selectors match the place, or null.
+ */
+export function categoryOf(place, compiled) {
+  const el = { type: place.id.split(":")[0], tags: place.tags || {} };
+  return compiled.find((c) => c.matchers.some((m) => matchesSelector(el, m)))?.category || null;
+}
@@ -0,0 +1,80 @@
+/**
+ * Grid-based marker clustering.
+ * Points are projected to Web Mercator pixels at the current zoom and bucketed
+ * into square cells of `cellPx`; every cell with more than one point becomes a
+ * cluster. Cheap enough to recompute on every zoom/pan for a few thousand points.
+ */
+export function clusterPoints(points, { zoom, bounds, cellPx = 64, maxZoom = 17, padding = 0.25 } = {}) {
+  const visible = bounds ? points.filter((p) => inBounds(p, padBounds(bounds, padding))) : points;
+  if (zoom >= maxZoom) return visible.map(single);
+
+  const cells = new Map();
+  for (const p of visible) {
+    const { x, y } = project(p.lat, p.lon, zoom);
+    const key = `${Math.floor(x / cellPx)}:${Math.floor(y / cellPx)}`;
+    const cell = cells.get(key);
+    if (cell) cell.push(p);
+    else cells.set(key, [p]);
+  }
+
+  const out = [];
+  for (const [key, items] of cells) {
+    if (items.length === 1) {
+      out.push(single(items[0]));
+      continue;
+    }
+    let lat = 0;
+    let lon = 0;
+    for (const p of items) {
+      lat += p.lat;
+      lon += p.lon;
+    }
+    out.push({
+      type: "cluster",
+      id: `cluster:${zoom}:${key}`,
+      lat: lat / items.length,
+      lon: lon / items.length,
+      count: items.length,
+      bounds: boundsOf(items),
+      items,
+    });
+  }
+  return out;
+}
+
+function single(p) {
+  return { type: "point", id: p.id, lat: p.lat, lon: p.lon, item: p };
+}
+
+function project(lat, lon, zoom) {
+  const scale = 256 * 2 ** zoom;
+  const s = Math.sin((Math.max(-85.05, Math.min(85.05, lat)) * Math.PI) / 180);
+  return {
+    x: ((lon + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)) * scale,
+  };
+}
+
+function boundsOf(items) {
+  let south = Infinity;
+  let west = Infinity;
+  let north = -Infinity;
+  let east = -Infinity;
+  for (const p of items) {
+    south = Math.min(south, p.lat);
+    north = Math.max(north, p.lat);
+    west = Math.min(west, p.lon);
+    east = Math.max(east, p.lon);
+  }
+  return { south, west, north, east };
+}
+
+function padBounds(b, ratio) {
+  const dLat = (b.north - b.south) * ratio;
+  const dLon = (b.east - b.west) * ratio;
+  return { south: b.south - dLat, west: b.west - dLon, north: b.north + dLat, east: b.east + dLon };
+}
+
+function inBounds(p, b) {
+  return p.lat >= b.south && p.lat <= b.north && p.lon >= b.west && p.lon <= b.east;
+}
@@ -0,0 +1,125 @@
+import { CATEGORIES } from "./categories.js";
+import { csvCell, osmUrl } from "./formats.js";
+import { haversineKm } from "./geo.js";
+import { matchesSelector, parseSelector } from "./overpass.js";
+
+/**
+ * Summary stats for the compare view: one summary per searched location,
+ * laid out side by side and exported as CSV or JSON.
+ */
+
+// Nearby safety and transport POIs are fetched for every location, whatever
+// categories are picked, so the median distances are always comparable.
+export const REFERENCE_CATEGORIES = CATEGORIES.filter((c) => c.key === "safety" || c.key === "transport");
+export const REFERENCE_SELECTORS = REFERENCE_CATEGORIES.flatMap((c) => c.overpass);
+
+/**
+ * `places` are the ranked search results, `reference` the places found with
+ * REFERENCE_SELECTORS. `categories` are the picked ones (counted separately;
+ * a place can count for several) and `gemSelectors` the Hidden Gems ones;
+ * `gems` says whether the search included them.
+ *
+ * Returns { total, areaKm2, counts: { [key]: n }, gems, gemsPerKm2,
+ * medianKm: { safety, transport }, top }; a median is null with nothing to
+ * measure against, and the gem stats are null when gems weren't searched.
+ */
+export function summarizeArea({ places, reference = [], categories, gems = true, gemSelectors, radiusKm, top = 5 }) {
+  const areaKm2 = Math.PI * radiusKm * radiusKm;
+  const matcher = (selectors) => {
+    const parsed = selectors.map((s) => parseSelector(s));
+    return (p) => parsed.some((s) => matchesSelector({ type: p.id.split(":")[0], tags: p.tags || {} }, s));
+  };
+
+  const counts = {};
+  for (const c of categories) counts[c.key] = places.filter(matcher(c.overpass)).length;
+  const gemCount = gems ? places.filter(matcher(gemSelectors)).length : null;
+
+  const known = new Map([...reference, ...places].map((p) => [p.id, p]));
+  const medianKm = {};
+  for (const c of REFERENCE_CATEGORIES) {
+    const targets = Array.from(known.values()).filter(matcher(c.overpass));
+    medianKm[c.key] = targets.length && places.length ? median(places.map((p) => nearestKm(p, targets))) : null;
+  }
+
+  return {
+    total: places.length,
+    areaKm2,
+    counts,
+    gems: gemCount,
+    gemsPerKm2: gems ? gemCount / areaKm2 : null,
+    medianKm,
+    top: places.slice(0, top),
+  };
+}
+
+function nearestKm(place, targets) {
+  let best = Infinity;
+  for (const t of targets) {
+    if (t.id === place.id) return 0;
+    best = Math.min(best, haversineKm({ lat: place.lat, lng: place.lon }, { lat: t.lat, lng: t.lon }));
+  }
+  return best;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * `panes` are { query, location, summary } with a summary; one column per
+ * location, one row per stat. Distances in km.
+ */
+export function compareToCSV(panes, { categories }) {
+  const round = (n, digits = 3) => (n == null ? "" : Number(n.toFixed(digits)));
+  const topCount = Math.max(0, ...panes.map((p) => p.summary.top.length));
+  const rows = [
+    ["stat", ...panes.map((p) => p.location.name)],
+    ["lat", ...panes.map((p) => p.location.lat)],
+    ["lon", ...panes.map((p) => p.location.lon)],
+    ["places", ...panes.map((p) => p.summary.total)],
+    ...categories.map((c) => [`count:${c.key}`, ...panes.map((p) => p.summary.counts[c.key] ?? "")]),
+    ["gems", ...panes.map((p) => p.summary.gems ?? "")],
+    ["gems_per_km2", ...panes.map((p) => round(p.summary.gemsPerKm2))],
+    ...REFERENCE_CATEGORIES.map((c) => [`median_km_to_${c.key}`, ...panes.map((p) => round(p.summary.medianKm[c.key]))]),
+    ...Array.from({ length: topCount }, (_, i) => [
+      `top_${i + 1}`,
+      ...panes.map((p) => {
+        const place = p.summary.top[i];
+        return place ? `${place.name} (${place.score})` : "";
+      }),
+    ]),
+  ];
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+export function compareToJSON(panes, { categories, gems, radiusKm }) {
+  return (
+    JSON.stringify(
+      {
+        exportedAt: new Date().toISOString(),
+        radiusKm,
+        categories: categories.map((c) => c.key),
+        gems,
+        locations: panes.map(({ query, location, summary }) => ({
+          query,
+          name: location.name,
+          lat: location.lat,
+          lon: location.lon,
+          ...summary,
+          top: summary.top.map((p) => ({
+            id: p.id,
+            name: p.name,
+            kind: p.kind,
+            score: p.score,
+            distanceKm: p.distanceKm,
+            osmUrl: osmUrl(p.id),
+          })),
+        })),
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
@@ -0,0 +1,129 @@
+/**
+ * Geometry helpers for Overpass elements.
+ * Nodes carry lat/lon; ways and relations come back from `out geom`
+ * with a `geometry` list (ways) or geometry on each member (relations),
+ * plus `bounds`. Responses fetched with `out center` carry `center` instead.
+ */
+export function elementCenter(el) {
+  if (el?.lat != null && el?.lon != null) return { lat: el.lat, lon: el.lon };
+  if (el?.center) return { lat: el.center.lat, lon: el.center.lon };
+
+  const polygons = elementShapes(el).filter((s) => s.kind === "polygon");
+  if (polygons.length) {
+    const largest = polygons
+      .map((s) => s.rings[0])
+      .reduce((best, ring) => (Math.abs(ringArea(ring)) > Math.abs(ringArea(best)) ? ring : best));
+    const c = ringCentroid(largest);
+    if (c) return c;
+  }
+
+  if (el?.bounds) {
+    const { minlat, minlon, maxlat, maxlon } = el.bounds;
+    return { lat: (minlat + maxlat) / 2, lon: (minlon + maxlon) / 2 };
+  }
+  return null;
+}
+
+/**
+ * Footprint of a way/relation as Leaflet-ready shapes:
+ *   { kind: "polygon", rings: [outer, ...holes] } or { kind: "line", rings: [path] }
+ * where each ring is an array of [lat, lon]. Nodes have no shape.
+ */
+export function elementShapes(el) {
+  if (el?.type === "way" && Array.isArray(el.geometry)) {
+    const path = el.geometry.filter(Boolean).map((p) => [p.lat, p.lon]);
+    if (path.length < 2) return [];
+    return [{ kind: isClosed(path) ? "polygon" : "line", rings: [path] }];
+  }
+
+  if (el?.type === "relation" && Array.isArray(el.members)) {
+    const segments = (role) =>
+      el.members
+        .filter((m) => m.type === "way" && Array.isArray(m.geometry) && (m.role || "outer") === role)
+        .map((m) => m.geometry.filter(Boolean).map((p) => [p.lat, p.lon]));
+
+    const outers = assembleRings(segments("outer"));
+    const inners = assembleRings(segments("inner"));
+    const closedOuters = outers.filter(isClosed);
+
+    if (!closedOuters.length) {
+      return outers.filter((r) => r.length > 1).map((r) => ({ kind: "line", rings: [r] }));
+    }
+    return closedOuters.map((outer) => ({
+      kind: "polygon",
+      rings: [outer, ...inners.filter((inner) => isClosed(inner) && pointInRing(inner[0], outer))],
+    }));
+  }
+
+  return [];
+}
+
+/**
+ * Join way segments that share endpoints into as few rings as possible.
+ */
+function assembleRings(segments) {
+  const pending = segments.filter((s) => s.length > 1).map((s) => s.slice());
+  const rings = [];
+
+  while (pending.length) {
+    let ring = pending.shift();
+    let grew = true;
+    while (!isClosed(ring) && grew) {
+      grew = false;
+      for (let i = 0; i < pending.length; i++) {
+        const seg = pending[i];
+        const head = ring[0];
+        const tail = ring[ring.length - 1];
+        if (samePoint(tail, seg[0])) ring = ring.concat(seg.slice(1));
+        else if (samePoint(tail, seg[seg.length - 1])) ring = ring.concat(seg.slice(0, -1).reverse());
+        else if (samePoint(head, seg[seg.length - 1])) ring = seg.slice(0, -1).concat(ring);
+        else if (samePoint(head, seg[0])) ring = seg.slice(1).reverse().concat(ring);
+        else continue;
+        pending.splice(i, 1);
+        grew = true;
+        break;
+      }
+    }
+    rings.push(ring);
+  }
+  return rings;
+}
+
+function samePoint(a, b) {
+  return !!a && !!b && a[0] === b[0] && a[1] === b[1];
+}
+
+function isClosed(ring) {
+  return ring.length > 3 && samePoint(ring[0], ring[ring.length - 1]);
+}
+
+function ringArea(ring) {
+  let a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    a += ring[j][1] * ring[i][0] - ring[i][1] * ring[j][0];
+  }
+  return a / 2;
+}
+
+function ringCentroid(ring) {
+  const a = ringArea(ring);
+  if (!a) return null;
+  let lat = 0;
+  let lon = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const f = ring[j][1] * ring[i][0] - ring[i][1] * ring[j][0];
+    lon += (ring[j][1] + ring[i][1]) * f;
+    lat += (ring[j][0] + ring[i][0]) * f;
+  }
+  return { lat: lat / (6 * a), lon: lon / (6 * a) };
+}
+
+function pointInRing([lat, lon], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [yi, xi] = ring[i];
+    const [yj, xj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
@@ -0,0 +1,142 @@
+/**
+ * Client-side facets, text filter and sorting over the loaded places.
+ *
+ * A selection is { [facetKey]: [value, …] }: values of one facet are OR-ed,
+ * facets are AND-ed. Counts for a facet are taken over the places that pass
+ * every *other* facet, so picking a value never zeroes out its siblings.
+ * Places need { kind, tags, distanceKm }; "hours" reads `ctx.hoursById` and
+ * "distance" bands follow `ctx.units` ("metric" or "imperial"). Values are
+ * codes except for kinds and cuisines; see facetValueLabel().
+ */
+export const FACETS = [
+  { key: "kind", values: (p) => [prettyType(p.kind)] },
+  { key: "cuisine", values: (p) => splitValues(p.tags?.cuisine).map(prettyType) },
+  { key: "wheelchair", values: (p) => [WHEELCHAIR[p.tags?.wheelchair] || "unknown"] },
+  {
+    key: "website",
+    values: (p) => [p.tags?.website || p.tags?.["contact:website"] || p.tags?.url ? "yes" : "no"],
+  },
+  { key: "hours", values: (p, ctx) => [HOURS[ctx.hoursById?.get(p.id)?.state] || HOURS.unknown] },
+  { key: "distance", values: (p, ctx) => [distanceBand(p.distanceKm, ctx.units)] },
+];
+
+export const SORTS = {
+  score: { compare: (a, b) => b.score - a.score || a.distanceKm - b.distanceKm },
+  distance: { compare: (a, b) => a.distanceKm - b.distanceKm },
+  name: { compare: (a, b) => a.name.localeCompare(b.name) },
+};
+
+const WHEELCHAIR = { yes: "yes", designated: "yes", limited: "limited", no: "no" };
+const HOURS = { open: "open", "closing-soon": "open", closed: "closed", unknown: "unknown" };
+const CODED = new Set(["wheelchair", "website", "hours"]);
+// Upper bounds of the distance bands in km: round kilometres, or round miles.
+const KM_PER_MILE = 1.609344;
+const DISTANCE_BANDS = {
+  metric: [0.5, 1, 2, 5],
+  imperial: [0.5, 1, 2, 5].map((mi) => mi * KM_PER_MILE),
+};
+// Fixed-order values keep their natural order instead of sorting by count.
+const ORDERED = {
+  distance: ["0", "1", "2", "3", "4"],
+  hours: ["open", "closed", "unknown"],
+};
+
+/**
+ * Places matching the text filter and every facet in `selection`.
+ */
+export function filterPlaces(places, { selection = {}, text = "", ...ctx } = {}) {
+  const needle = fold(text.trim());
+  const active = FACETS.filter((f) => selection[f.key]?.length);
+  return places.filter((p) => matchesText(p, needle) && active.every((f) => matchesFacet(p, f, selection, ctx)));
+}
+
+/**
+ * { [facetKey]: [{ value, count, selected }] } for the facet panel.
+ */
+export function facetCounts(places, { selection = {}, text = "", ...ctx } = {}) {
+  const needle = fold(text.trim());
+  const matching = places.filter((p) => matchesText(p, needle));
+  const result = {};
+
+  for (const facet of FACETS) {
+    const others = FACETS.filter((f) => f !== facet && selection[f.key]?.length);
+    const counts = new Map();
+    for (const p of matching) {
+      if (!others.every((f) => matchesFacet(p, f, selection, ctx))) continue;
+      for (const v of new Set(facet.values(p, ctx))) counts.set(v, (counts.get(v) || 0) + 1);
+    }
+    // Keep selected values visible even when nothing matches them any more.
+    for (const v of selection[facet.key] || []) if (!counts.has(v)) counts.set(v, 0);
+
+    const order = ORDERED[facet.key];
+    result[facet.key] = Array.from(counts, ([value, count]) => ({
+      value,
+      count,
+      selected: !!selection[facet.key]?.includes(value),
+    })).sort((a, b) =>
+      order ? order.indexOf(a.value) - order.indexOf(b.value) : b.count - a.count || a.value.localeCompare(b.value)
+    );
+  }
+  return result;
+}
+
+export function sortPlaces(places, sort = "score") {
+  return [...places].sort((SORTS[sort] || SORTS.score).compare);
+}
+
+export function toggleFacetValue(selection, key, value) {
+  const current = selection[key] || [];
+  const next = current.includes(value) ? current.filter((v) => v !== value) : [...current, value];
+  return { ...selection, [key]: next };
+}
+
+/**
+ * Text for a facet value. Wheelchair, website and hours values are codes
+ * translated as "facet.<key>.<code>"; distance bands (the band's index) are
+ * spelled out in the UI's units; kinds and cuisines are OSM data shown as is.
+ */
+export function facetValueLabel(key, value, { t, units, formatDistance }) {
+  if (key === "distance") {
+    const bands = DISTANCE_BANDS[units] || DISTANCE_BANDS.metric;
+    const i = Number(value);
+    if (i === 0) return t("facet.distance.under", { distance: formatDistance(bands[0]) });
+    if (i === bands.length) return t("facet.distance.over", { distance: formatDistance(bands[i - 1]) });
+    return t("facet.distance.between", { from: formatDistance(bands[i - 1]), to: formatDistance(bands[i]) });
+  }
+  return CODED.has(key) ? t(`facet.${key}.${value}`) : value;
+}
+
+export function prettyType(kind) {
+  const k = String(kind).replaceAll("_", " ");
+  return k.charAt(0).toUpperCase() + k.slice(1);
+}
+
+function matchesFacet(p, facet, selection, ctx) {
+  const wanted = selection[facet.key];
+  return facet.values(p, ctx).some((v) => wanted.includes(v));
+}
+
+function matchesText(p, needle) {
+  if (!needle) return true;
+  return fold(`${p.name} ${p.address || ""} ${p.description || ""}`).includes(needle);
+}
+
+function distanceBand(km = 0, units = "metric") {
+  const bands = DISTANCE_BANDS[units] || DISTANCE_BANDS.metric;
+  const i = bands.findIndex((max) => km < max);
+  return String(i === -1 ? bands.length : i);
+}
+
+function splitValues(v) {
+  return v
+    ? String(v)
+        .split(";")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    : [];
+}
+
+// Case- and accent-insensitive comparison ("Café" matches "cafe").
+function fold(s) {
+  return String(s).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
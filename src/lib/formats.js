@@ -0,0 +1,360 @@
+/**
+ * Export / import of saved places lists.
+ * Formats: GeoJSON (FeatureCollection of Points), GPX 1.1 waypoints,
+ * KML 2.2 Placemarks and CSV (id,name,kind,lat,lon,address,…).
+ * Exports are plain strings; XML imports need DOMParser (any browser).
+ */
+export const FORMATS = {
+  geojson: { label: "GeoJSON", ext: "geojson", mime: "application/geo+json" },
+  gpx: { label: "GPX", ext: "gpx", mime: "application/gpx+xml" },
+  kml: { label: "KML", ext: "kml", mime: "application/vnd.google-earth.kml+xml" },
+  csv: { label: "CSV", ext: "csv", mime: "text/csv" },
+};
+
+const CSV_COLUMNS = ["id", "name", "kind", "lat", "lon", "address", "description", "website", "osm_url", "added_at"];
+
+export function exportList(list, format) {
+  switch (format) {
+    case "geojson":
+      return toGeoJSON(list);
+    case "gpx":
+      return toGPX(list);
+    case "kml":
+      return toKML(list);
+    case "csv":
+      return toCSV(list.places);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Parse an exported file back into { name, places }. The format is taken from
+ * the file extension, falling back to sniffing the content.
+ */
+export function importList(text, filename = "") {
+  const ext = filename.split(".").pop().toLowerCase();
+  const format = FORMATS[ext] ? ext : ext === "json" ? "geojson" : sniff(text);
+  const baseName = filename.replace(/\.[^.]+$/, "") || "Imported list";
+
+  switch (format) {
+    case "geojson":
+      return fromGeoJSON(text, baseName);
+    case "gpx":
+      return fromGPX(text, baseName);
+    case "kml":
+      return fromKML(text, baseName);
+    case "csv":
+      return { name: baseName, places: fromCSV(text) };
+    default:
+      throw new Error("Unrecognised file – expected GeoJSON, GPX, KML or CSV");
+  }
+}
+
+export function osmUrl(id) {
+  const [type, ref] = String(id).split(":");
+  return ["node", "way", "relation"].includes(type) && ref ? `https://www.openstreetmap.org/${type}/${ref}` : "";
+}
+
+function website(p) {
+  return p.tags?.website || p.tags?.["contact:website"] || "";
+}
+
+/* ---------- GeoJSON ---------- */
+
+function toGeoJSON(list) {
+  return JSON.stringify(
+    {
+      type: "FeatureCollection",
+      name: list.name,
+      features: list.places.map((p) => ({
+        type: "Feature",
+        id: p.id,
+        geometry: { type: "Point", coordinates: [p.lon, p.lat] },
+        properties: {
+          id: p.id,
+          name: p.name,
+          kind: p.kind,
+          address: p.address,
+          description: p.description,
+          addedAt: p.addedAt,
+          tags: p.tags,
+        },
+      })),
+    },
+    null,
+    2
+  );
+}
+
+function fromGeoJSON(text, fallbackName) {
+  const json = JSON.parse(text);
+  const features = json.type === "FeatureCollection" ? json.features : json.type === "Feature" ? [json] : [];
+  const places = features
+    .filter((f) => f?.geometry?.type === "Point")
+    .map((f, i) => {
+      const [lon, lat] = f.geometry.coordinates;
+      const props = f.properties || {};
+      return place({
+        id: props.id || f.id,
+        name: props.name,
+        kind: props.kind,
+        lat,
+        lon,
+        address: props.address,
+        description: props.description,
+        tags: props.tags,
+        addedAt: props.addedAt,
+        index: i,
+      });
+    });
+  return { name: json.name || fallbackName, places };
+}
+
+/* ---------- GPX ---------- */
+
+function toGPX(list) {
+  const wpts = list.places
+    .map((p) => {
+      const link = osmUrl(p.id) || website(p);
+      return [
+        `  <wpt lat="${p.lat}" lon="${p.lon}">`,
+        `    <name>${xml(p.name)}</name>`,
+        p.description || p.address ? `    <desc>${xml([p.description, p.address].filter(Boolean).join(" – "))}</desc>` : null,
+        link ? `    <link href="${xml(link)}"><text>${xml(p.id)}</text></link>` : null,
+        `    <type>${xml(p.kind || "")}</type>`,
+        "  </wpt>",
+      ]
+        .filter(Boolean)
+        .join("\n");
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="WorldGems" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${xml(list.name)}</name></metadata>
+${wpts}
+</gpx>
+`;
+}
+
+function fromGPX(text, fallbackName) {
+  const doc = parseXml(text);
+  const places = Array.from(doc.getElementsByTagName("wpt")).map((w, i) => {
+    const link = w.getElementsByTagName("link")[0];
+    return place({
+      id: osmIdFromUrl(link?.getAttribute("href")) || childText(link, "text"),
+      name: childText(w, "name"),
+      kind: childText(w, "type"),
+      lat: Number(w.getAttribute("lat")),
+      lon: Number(w.getAttribute("lon")),
+      description: childText(w, "desc"),
+      index: i,
+    });
+  });
+  const meta = doc.getElementsByTagName("metadata")[0];
+  return { name: childText(meta, "name") || fallbackName, places };
+}
+
+/* ---------- KML ---------- */
+
+function toKML(list) {
+  const placemarks = list.places
+    .map((p) =>
+      [
+        "    <Placemark>",
+        `      <name>${xml(p.name)}</name>`,
+        p.description || p.address
+          ? `      <description>${xml([p.description, p.address].filter(Boolean).join(" – "))}</description>`
+          : null,
+        "      <ExtendedData>",
+        `        <Data name="id"><value>${xml(p.id)}</value></Data>`,
+        `        <Data name="kind"><value>${xml(p.kind || "")}</value></Data>`,
+        p.address ? `        <Data name="address"><value>${xml(p.address)}</value></Data>` : null,
+        "      </ExtendedData>",
+        `      <Point><coordinates>${p.lon},${p.lat}</coordinates></Point>`,
+        "    </Placemark>",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xml(list.name)}</name>
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+function fromKML(text, fallbackName) {
+  const doc = parseXml(text);
+  const places = Array.from(doc.getElementsByTagName("Placemark"))
+    .map((pm, i) => {
+      const coords = childText(pm.getElementsByTagName("Point")[0], "coordinates");
+      if (!coords) return null;
+      const [lon, lat] = coords.split(",").map(Number);
+      const data = {};
+      for (const d of Array.from(pm.getElementsByTagName("Data"))) data[d.getAttribute("name")] = childText(d, "value");
+      return place({
+        id: data.id,
+        name: childText(pm, "name"),
+        kind: data.kind,
+        lat,
+        lon,
+        address: data.address,
+        description: childText(pm, "description"),
+        index: i,
+      });
+    })
+    .filter(Boolean);
+  const docEl = doc.getElementsByTagName("Document")[0];
+  return { name: childText(docEl, "name") || fallbackName, places };
+}
+
+/* ---------- CSV ---------- */
+
+export function toCSV(places) {
+  const rows = places.map((p) => [
+    p.id,
+    p.name,
+    p.kind,
+    p.lat,
+    p.lon,
+    p.address,
+    p.description,
+    website(p),
+    osmUrl(p.id),
+    p.addedAt || "",
+  ]);
+  return [CSV_COLUMNS, ...rows].map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+function fromCSV(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+  const col = (...names) => header.findIndex((h) => names.includes(h.trim().toLowerCase()));
+  const idx = {
+    id: col("id", "osm_id"),
+    name: col("name", "title"),
+    kind: col("kind", "type", "category"),
+    lat: col("lat", "latitude"),
+    lon: col("lon", "lng", "long", "longitude"),
+    address: col("address"),
+    description: col("description", "desc", "note", "notes"),
+    website: col("website", "url"),
+    addedAt: col("added_at", "addedat"),
+  };
+  if (idx.lat < 0 || idx.lon < 0) throw new Error("CSV needs lat and lon columns");
+
+  // Undo csvCell's formula guard so exported lists import unchanged.
+  const get = (row, k) => (idx[k] >= 0 ? row[idx[k]]?.replace(/^'(?=[=+\-@])/, "") : undefined);
+  return rows
+    .filter((r) => r.some((c) => c.trim()))
+    .map((r, i) =>
+      place({
+        id: get(r, "id"),
+        name: get(r, "name"),
+        kind: get(r, "kind"),
+        lat: Number(get(r, "lat")),
+        lon: Number(get(r, "lon")),
+        address: get(r, "address"),
+        description: get(r, "description"),
+        tags: get(r, "website") ? { website: get(r, "website") } : {},
+        addedAt: get(r, "addedAt"),
+        index: i,
+      })
+    );
+}
+
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Text starting with = + - @ is prefixed with ' so spreadsheets don't run it
+ * as a formula. Numbers (negative coordinates) are written as they are.
+ */
+export function csvCell(v) {
+  let s = v == null ? "" : String(v);
+  if (typeof v !== "number" && /^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+/* ---------- shared ---------- */
+
+function place({ id, name, kind, lat, lon, address, description, tags, addedAt, index }) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw new Error(`Place ${index + 1} has no valid coordinates`);
+  return {
+    id: id || `import:${lat.toFixed(6)},${lon.toFixed(6)}`,
+    name: name || "Unnamed place",
+    kind: kind || "place",
+    lat,
+    lon,
+    address: address || "",
+    description: description || "",
+    tags: tags || {},
+    addedAt: addedAt || new Date().toISOString(),
+  };
+}
+
+function sniff(text) {
+  const t = text.trimStart();
+  if (t.startsWith("{")) return "geojson";
+  if (t.startsWith("<")) return /<gpx[\s>]/.test(t) ? "gpx" : /<kml[\s>]/.test(t) ? "kml" : null;
+  return /(^|,)\s*"?(lat|latitude)"?\s*(,|$)/im.test(t.split("\n")[0]) ? "csv" : null;
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("File is not valid XML");
+  return doc;
+}
+
+function childText(el, tag) {
+  return el?.getElementsByTagName(tag)[0]?.textContent?.trim() || "";
+}
+
+function osmIdFromUrl(url) {
+  const m = /openstreetmap\.org\/(node|way|relation)\/(\d+)/.exec(url || "");
+  return m ? `${m[1]}:${m[2]}` : "";
+}
+
+function xml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
@@ -0,0 +1,34 @@
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+export function haversineKm(a, b) {
+  const toRad = (x) => (x * Math.PI) / 180;
+  const R = 6371;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lng - a.lng);
+  const lat1 = toRad(a.lat);
+  const lat2 = toRad(b.lat);
+  const s =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(s));
+}
+
+/**
+ * Nominatim boundingbox is [south, north, west, east] as strings.
+ */
+export function bboxFromNominatim(bb) {
+  if (!Array.isArray(bb) || bb.length !== 4) return null;
+  const [south, north, west, east] = bb.map(Number);
+  if ([south, north, west, east].some((n) => !Number.isFinite(n))) return null;
+  return { south, west, north, east };
+}
+
+/**
+ * Radius (km) of a circle that roughly covers a bbox: half its diagonal.
+ */
+export function radiusForBbox(bbox, { min = 1, max = 20 } = {}) {
+  const d = haversineKm({ lat: bbox.south, lng: bbox.west }, { lat: bbox.north, lng: bbox.east });
+  return clamp(Math.round(d / 2), min, max);
+}
@@ -0,0 +1,33 @@
+/**
+ * Thin wrapper over navigator.geolocation.watchPosition.
+ * Positions come back as { lat, lng, accuracyM, timestamp }; errors as
+ * { code: "denied" | "unavailable" | "timeout" | "unsupported" }, for the UI
+ * to word ("location.<code>").
+ * Returns a function that stops watching.
+ */
+export function watchLocation({ onPosition, onError, timeoutMs = 15000, maxAgeMs = 10000 }) {
+  const geo = globalThis.navigator?.geolocation;
+  if (!geo) {
+    onError(locationError({ code: 0 }));
+    return () => {};
+  }
+
+  const id = geo.watchPosition(
+    (pos) =>
+      onPosition({
+        lat: pos.coords.latitude,
+        lng: pos.coords.longitude,
+        accuracyM: pos.coords.accuracy,
+        timestamp: pos.timestamp,
+      }),
+    (err) => onError(locationError(err)),
+    { enableHighAccuracy: true, timeout: timeoutMs, maximumAge: maxAgeMs }
+  );
+  return () => geo.clearWatch(id);
+}
+
+const ERRORS = { 0: "unsupported", 1: "denied", 2: "unavailable", 3: "timeout" };
+
+function locationError(err) {
+  return { code: ERRORS[err?.code] || ERRORS[2] };
+}
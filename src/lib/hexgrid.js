@@ -0,0 +1,79 @@
+/**
+ * Hexagonal density grid. Points are binned into pointy-top hexagons of
+ * `cellKm` (center to corner) on a local equirectangular projection around
+ * the points' mean latitude – accurate enough at city scale.
+ * Each cell is { id, lat, lon, corners: [[lat, lon] × 6], bounds, count, weight }.
+ */
+const KM_PER_DEG_LAT = 110.574;
+
+export function hexBin(points, { cellKm = 0.5, weight = () => 1 } = {}) {
+  if (!points.length) return [];
+  const lat0 = points.reduce((a, p) => a + p.lat, 0) / points.length;
+  const kmPerDegLon = 111.32 * Math.cos((lat0 * Math.PI) / 180);
+  const toXY = (p) => ({ x: p.lon * kmPerDegLon, y: p.lat * KM_PER_DEG_LAT });
+  const toLatLon = (x, y) => [y / KM_PER_DEG_LAT, x / kmPerDegLon];
+
+  const cells = new Map();
+  for (const p of points) {
+    const { x, y } = toXY(p);
+    const [q, r] = hexRound(((Math.sqrt(3) / 3) * x - y / 3) / cellKm, ((2 / 3) * y) / cellKm);
+    const id = `${q},${r}`;
+    let cell = cells.get(id);
+    if (!cell) {
+      cell = { id, q, r, count: 0, weight: 0 };
+      cells.set(id, cell);
+    }
+    cell.count += 1;
+    cell.weight += weight(p);
+  }
+
+  return Array.from(cells.values(), ({ q, r, ...cell }) => {
+    const cx = cellKm * Math.sqrt(3) * (q + r / 2);
+    const cy = cellKm * 1.5 * r;
+    const corners = [];
+    for (let i = 0; i < 6; i++) {
+      const a = ((60 * i - 30) * Math.PI) / 180;
+      corners.push(toLatLon(cx + cellKm * Math.cos(a), cy + cellKm * Math.sin(a)));
+    }
+    const [lat, lon] = toLatLon(cx, cy);
+    const lats = corners.map((c) => c[0]);
+    const lons = corners.map((c) => c[1]);
+    return {
+      ...cell,
+      lat,
+      lon,
+      corners,
+      bounds: { south: Math.min(...lats), west: Math.min(...lons), north: Math.max(...lats), east: Math.max(...lons) },
+    };
+  });
+}
+
+/**
+ * Cell size that gives roughly `across` hexagons over the width of `bbox`.
+ */
+export function cellSizeForBbox(bbox, { across = 18, minKm = 0.15 } = {}) {
+  const midLat = (bbox.south + bbox.north) / 2;
+  const widthKm = Math.abs(bbox.east - bbox.west) * 111.32 * Math.cos((midLat * Math.PI) / 180);
+  return Math.max(minKm, widthKm / across / Math.sqrt(3));
+}
+
+/**
+ * Fill color for a 0..1 intensity: pale gold to deep red.
+ */
+export function heatColor(t) {
+  const k = Math.min(1, Math.max(0, t));
+  return `hsl(${Math.round(45 - 45 * k)}, 95%, ${Math.round(58 - 14 * k)}%)`;
+}
+
+function hexRound(q, r) {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return [rq, rr];
+}
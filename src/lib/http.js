@@ -0,0 +1,96 @@
+/**
+ * fetch() with mirror failover and exponential backoff.
+ * Rate-limit / overload responses (429, 502, 503, 504) and network errors move
+ * on to the next URL; once every mirror has failed we wait and go round again,
+ * up to `rounds` times. Aborting `signal` stops immediately with an AbortError.
+ *
+ * onProgress receives { type: "attempt", url, attempt } before each request and
+ * { type: "retry", url, status, reason, delayMs, nextUrl } before each wait/failover.
+ */
+const RETRY_STATUS = new Set([429, 502, 503, 504]);
+
+export async function fetchWithRetry(urls, init = {}, { rounds = 3, baseDelayMs = 1000, signal, onProgress } = {}) {
+  const list = Array.isArray(urls) ? urls : [urls];
+  const total = list.length * rounds;
+  let lastError = null;
+
+  for (let attempt = 0; attempt < total; attempt++) {
+    const url = list[attempt % list.length];
+    const nextUrl = list[(attempt + 1) % list.length];
+    const endOfRound = (attempt + 1) % list.length === 0;
+
+    onProgress?.({ type: "attempt", url, attempt });
+
+    let res;
+    try {
+      res = await fetch(url, { ...init, signal });
+    } catch (e) {
+      if (isAbort(e, signal)) throw abortError();
+      lastError = e;
+      res = null;
+    }
+
+    if (res && !RETRY_STATUS.has(res.status)) return res;
+
+    if (res) lastError = new HttpError(res.status, await res.text().catch(() => ""));
+    if (attempt === total - 1) break;
+
+    const retryAfterMs = res ? parseRetryAfter(res.headers.get("Retry-After")) : null;
+    const round = Math.floor(attempt / list.length);
+    const delayMs = endOfRound ? retryAfterMs ?? baseDelayMs * 2 ** round + Math.random() * 250 : 0;
+
+    onProgress?.({
+      type: "retry",
+      url,
+      status: res?.status ?? null,
+      reason: res ? `HTTP ${res.status}` : lastError?.message || "network error",
+      delayMs,
+      nextUrl,
+    });
+    await sleep(delayMs, signal);
+  }
+
+  throw lastError || new Error("Request failed");
+}
+
+export class HttpError extends Error {
+  constructor(status, body = "") {
+    super(`HTTP ${status}${body ? ` ${String(body).slice(0, 180)}` : ""}`);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+export function sleep(ms, signal) {
+  if (signal?.aborted) return Promise.reject(abortError());
+  if (!(ms > 0)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(t);
+      reject(abortError());
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+export function isAbort(e, signal) {
+  return e?.name === "AbortError" || !!signal?.aborted;
+}
+
+function abortError() {
+  const e = new Error("Request cancelled");
+  e.name = "AbortError";
+  return e;
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.min(secs, 60) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, Math.min(at - Date.now(), 60000));
+}
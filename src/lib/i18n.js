@@ -0,0 +1,107 @@
+import en from "../locales/en.js";
+import fr from "../locales/fr.js";
+import es from "../locales/es.js";
+
+/**
+ * UI translations, number/distance formatting and localized place names.
+ *
+ * Messages are flat { "key": "text with {params}" } maps in src/locales.
+ * A missing key falls back to English, then to the key itself. Plurals use
+ * "<key>_one" / "<key>_other" (any Intl.PluralRules category) picked by
+ * `params.count`. Numeric params are formatted for the locale.
+ */
+export const LOCALES = {
+  en: { label: "English", messages: en },
+  fr: { label: "Français", messages: fr },
+  es: { label: "Español", messages: es },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+// Regions that give everyday distances in miles.
+const IMPERIAL_REGIONS = new Set(["US", "GB", "LR", "MM"]);
+
+export function detectLocale(languages = globalThis.navigator?.languages || []) {
+  for (const tag of languages) {
+    const lang = String(tag).toLowerCase().split("-")[0];
+    if (LOCALES[lang]) return lang;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function defaultUnits(languages = globalThis.navigator?.languages || []) {
+  const region = String(languages[0] || "").split("-")[1]?.toUpperCase();
+  return IMPERIAL_REGIONS.has(region) ? "imperial" : "metric";
+}
+
+/**
+ * The language and units picked in the header ("wm_locale", "wm_units"),
+ * else the browser's.
+ */
+export function loadLocale(storage = globalThis.localStorage) {
+  const v = storage?.getItem("wm_locale");
+  return LOCALES[v] ? v : detectLocale();
+}
+
+export function loadUnits(storage = globalThis.localStorage) {
+  return storage?.getItem("wm_units") || defaultUnits();
+}
+
+export function saveLocale(locale, storage = globalThis.localStorage) {
+  storage?.setItem("wm_locale", locale);
+}
+
+export function saveUnits(units, storage = globalThis.localStorage) {
+  storage?.setItem("wm_units", units);
+}
+
+export function translate(locale, key, params) {
+  const messages = LOCALES[locale]?.messages || en;
+  let k = key;
+  if (typeof params?.count === "number") {
+    const form = `${key}_${new Intl.PluralRules(locale).select(params.count)}`;
+    if (form in messages || form in en) k = form;
+    else if (`${key}_other` in messages || `${key}_other` in en) k = `${key}_other`;
+  }
+  const text = messages[k] ?? en[k] ?? key;
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (m, name) => {
+    const v = params[name];
+    if (v == null) return m;
+    return typeof v === "number" ? new Intl.NumberFormat(locale).format(v) : String(v);
+  });
+}
+
+/**
+ * Everything the UI needs for one locale + unit system.
+ * `units` is "metric" (m/km) or "imperial" (ft/mi).
+ */
+export function createI18n(locale = DEFAULT_LOCALE, units = "metric") {
+  const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+  const unit = (u, digits) =>
+    new Intl.NumberFormat(locale, { style: "unit", unit: u, unitDisplay: "short", maximumFractionDigits: digits });
+
+  return {
+    locale,
+    units,
+    t: (key, params) => translate(locale, key, params),
+    has: (key) => key in (LOCALES[locale]?.messages || en) || key in en,
+    formatNumber: (n) => number.format(n),
+    formatDistance(km) {
+      if (units === "imperial") {
+        const mi = km * 0.621371;
+        if (mi < 0.1) return unit("foot", 0).format(Math.round((mi * 5280) / 10) * 10);
+        return unit("mile", 1).format(mi);
+      }
+      if (km < 1) return unit("meter", 0).format(Math.round((km * 1000) / 10) * 10);
+      return unit("kilometer", 1).format(km);
+    },
+  };
+}
+
+/**
+ * Name in the UI language when the place has a `name:<lang>` tag.
+ */
+export function localName(tags = {}, locale = DEFAULT_LOCALE) {
+  return tags[`name:${locale}`] || tags.name || null;
+}
@@ -0,0 +1,169 @@
+import { haversineKm } from "./geo.js";
+import { toSavedPlace } from "./lists.js";
+import { createI18n } from "./i18n.js";
+
+/**
+ * Day plans: an ordered list of stops, walked from the first to the last.
+ *
+ * Walking distance is the straight-line (haversine) distance times
+ * `detour`, since streets rarely run straight; time assumes `speedKmh`.
+ * Plans are persisted in localStorage under "wm_plans" as
+ * { id, name, createdAt, stops: [savedPlace] }.
+ */
+export const WALKING = { speedKmh: 4.5, detour: 1.3 };
+
+const STORAGE_KEY = "wm_plans";
+
+/**
+ * Reorders stops to shorten the walk: nearest neighbour from the first stop,
+ * then 2-opt until no segment reversal helps. The first stop stays first.
+ */
+export function optimizeOrder(stops) {
+  if (stops.length < 4) return nearestNeighbour(stops);
+  const route = nearestNeighbour(stops);
+  const d = (a, b) => distance(route[a], route[b]);
+
+  let improved = true;
+  for (let pass = 0; improved && pass < 50; pass++) {
+    improved = false;
+    // Reverse route[i..j]; the route is open, so the last stop may move too.
+    for (let i = 1; i < route.length - 1; i++) {
+      for (let j = i + 1; j < route.length; j++) {
+        const before = d(i - 1, i) + (j + 1 < route.length ? d(j, j + 1) : 0);
+        const after = d(i - 1, j) + (j + 1 < route.length ? d(i, j + 1) : 0);
+        if (after < before - 1e-9) {
+          reverse(route, i, j);
+          improved = true;
+        }
+      }
+    }
+  }
+  return route;
+}
+
+/**
+ * Legs between consecutive stops plus totals, using WALKING by default.
+ */
+export function walkingLegs(stops, { speedKmh = WALKING.speedKmh, detour = WALKING.detour } = {}) {
+  const legs = [];
+  for (let i = 1; i < stops.length; i++) {
+    const km = distance(stops[i - 1], stops[i]) * detour;
+    legs.push({ from: stops[i - 1].id, to: stops[i].id, km, minutes: (km / speedKmh) * 60 });
+  }
+  return {
+    legs,
+    totalKm: legs.reduce((a, l) => a + l.km, 0),
+    totalMinutes: legs.reduce((a, l) => a + l.minutes, 0),
+  };
+}
+
+/**
+ * Walking time as "25 min" or "1 h 05", in the UI's words (`t` from createI18n).
+ */
+export function formatMinutes(minutes, t) {
+  const m = Math.max(1, Math.round(minutes));
+  if (m < 60) return t("plan.minutes", { minutes: m });
+  return t("plan.hoursMinutes", { hours: Math.floor(m / 60), minutes: String(m % 60).padStart(2, "0") });
+}
+
+export function loadPlans(storage = globalThis.localStorage) {
+  try {
+    const raw = JSON.parse(storage?.getItem(STORAGE_KEY));
+    return Array.isArray(raw) ? raw.filter((p) => p && p.id && Array.isArray(p.stops)) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function savePlans(plans, storage = globalThis.localStorage) {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(plans));
+}
+
+/**
+ * Insert or update `plan` (matched by id) and return the new array.
+ */
+export function upsertPlan(plans, plan) {
+  const saved = {
+    id: plan.id || `plan-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: String(plan.name || "").trim() || "Day plan",
+    createdAt: plan.createdAt || new Date().toISOString(),
+    stops: plan.stops.map(toSavedPlace),
+  };
+  const exists = plans.some((p) => p.id === saved.id);
+  return {
+    plans: exists ? plans.map((p) => (p.id === saved.id ? saved : p)) : [...plans, saved],
+    plan: saved,
+  };
+}
+
+export function deletePlan(plans, planId) {
+  return plans.filter((p) => p.id !== planId);
+}
+
+/**
+ * Self-contained HTML page for printing a plan, in the UI's locale.
+ */
+export function planToHtml(plan, { t, locale, formatDistance } = createI18n()) {
+  const { legs, totalKm, totalMinutes } = walkingLegs(plan.stops);
+  const rows = plan.stops
+    .map((s, i) => {
+      const leg = legs[i - 1];
+      const walk = leg
+        ? `<div class="walk">↓ ${html(t("plan.leg", { distance: formatDistance(leg.km), time: formatMinutes(leg.minutes, t) }))}</div>`
+        : "";
+      return `<li>${walk}<strong>${html(s.name)}</strong>${s.address ? `<div>${html(s.address)}</div>` : ""}${
+        s.tags?.opening_hours ? `<div class="muted">${html(t("plan.hours", { hours: s.tags.opening_hours }))}</div>` : ""
+      }</li>`;
+    })
+    .join("\n");
+
+  return `<!doctype html>
+<html lang="${locale}"><head><meta charset="utf-8"><title>${html(plan.name)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 640px; margin: 32px auto; color: #111; }
+  ol { padding-left: 22px; } li { margin: 6px 0; } li div { font-size: 13px; }
+  .walk { margin-bottom: 2px; font-size: 12px; color: #555; }
+  .muted { color: #555; }
+</style></head>
+<body>
+<h1>${html(plan.name)}</h1>
+<p class="muted">${html(
+    t("plan.summary", { count: plan.stops.length, distance: formatDistance(totalKm), time: formatMinutes(totalMinutes, t) })
+  )}</p>
+<ol>
+${rows}
+</ol>
+</body></html>`;
+}
+
+function nearestNeighbour(stops) {
+  if (!stops.length) return [];
+  const rest = stops.slice(1);
+  const route = [stops[0]];
+  while (rest.length) {
+    const last = route[route.length - 1];
+    let best = 0;
+    for (let i = 1; i < rest.length; i++) if (distance(last, rest[i]) < distance(last, rest[best])) best = i;
+    route.push(rest.splice(best, 1)[0]);
+  }
+  return route;
+}
+
+function reverse(route, i, j) {
+  while (i < j) {
+    [route[i], route[j]] = [route[j], route[i]];
+    i++;
+    j--;
+  }
+}
+
+function distance(a, b) {
+  return haversineKm({ lat: a.lat, lng: a.lon }, { lat: b.lat, lng: b.lon });
+}
+
+function html(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+}
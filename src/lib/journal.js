@@ -0,0 +1,190 @@
+/**
+ * Personal journal: the user's own notes on places, persisted in localStorage
+ * under "wm_journal" as { [placeId]: entry }, keyed by the OSM id
+ * ("node:123", as built by toPlaces in lib/search.js).
+ *
+ * An entry is { id, name, kind, lat, lon, address, city, visitedOn, rating,
+ * notes, tags, createdAt, updatedAt }: enough of the place to list and map it
+ * again, plus the annotations. `visitedOn` is a "YYYY-MM-DD" date or null,
+ * `rating` 1–5 or null, `tags` lowercase strings.
+ * All helpers are pure and return a new journal.
+ */
+const STORAGE_KEY = "wm_journal";
+const BACKUP_FORMAT = "worldgems-journal";
+const ID_PATTERN = /^(node|way|relation):\d+$/;
+
+export const RATINGS = [1, 2, 3, 4, 5];
+
+export function loadJournal(storage = globalThis.localStorage) {
+  try {
+    return sanitize(JSON.parse(storage?.getItem(STORAGE_KEY)));
+  } catch {
+    return {};
+  }
+}
+
+export function saveJournal(journal, storage = globalThis.localStorage) {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(journal));
+}
+
+/**
+ * Applies `patch` (any of visitedOn, rating, notes, tags) to the entry for
+ * `place`, creating it if needed. An entry left without annotations is dropped.
+ * `city` is where the place was found, for grouping; the address's city wins.
+ */
+export function annotate(journal, place, patch, { city = "", now = new Date() } = {}) {
+  const current = journal[place.id];
+  const entry = normalizeEntry({
+    id: place.id,
+    name: place.name,
+    kind: place.kind,
+    lat: place.lat,
+    lon: place.lon,
+    address: place.address || "",
+    city: place.tags?.["addr:city"] || current?.city || city,
+    createdAt: current?.createdAt || now.toISOString(),
+    ...pickAnnotations(current),
+    ...patch,
+    updatedAt: now.toISOString(),
+  });
+
+  const next = { ...journal };
+  if (!entry || isBlank(entry)) delete next[place.id];
+  else next[place.id] = entry;
+  return next;
+}
+
+export function removeEntry(journal, id) {
+  const next = { ...journal };
+  delete next[id];
+  return next;
+}
+
+export function isBlank(entry) {
+  return !entry.visitedOn && !entry.rating && !entry.notes.trim() && !entry.tags.length;
+}
+
+/**
+ * "café, Rooftop ,cafe" -> ["café", "rooftop", "cafe"]: trimmed, lowercase, unique.
+ */
+export function parseTags(text) {
+  return [
+    ...new Set(
+      String(text)
+        .split(",")
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Entries matching `text` (name, address, city, kind, notes and tags; "#tag"
+ * matches that tag only) and `show` ("all", "visited", "rated" or "notes"),
+ * newest first (sorting by edit time would reorder entries while typing).
+ */
+export function searchJournal(journal, { text = "", show = "all" } = {}) {
+  const needle = fold(text.trim());
+  const tag = needle.startsWith("#") ? needle.slice(1) : null;
+  return Object.values(journal)
+    .filter((e) => {
+      if (show === "visited" && !e.visitedOn) return false;
+      if (show === "rated" && !e.rating) return false;
+      if (show === "notes" && !e.notes.trim()) return false;
+      if (tag) return e.tags.some((t) => fold(t) === tag);
+      return !needle || fold([e.name, e.address, e.city, e.kind, e.notes, ...e.tags].join(" ")).includes(needle);
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * All tags in use with their counts, most used first.
+ */
+export function journalTags(journal) {
+  const counts = new Map();
+  for (const e of Object.values(journal)) for (const t of e.tags) counts.set(t, (counts.get(t) || 0) + 1);
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+  );
+}
+
+export function exportJournal(journal, now = new Date()) {
+  return JSON.stringify(
+    { format: BACKUP_FORMAT, version: 1, exportedAt: now.toISOString(), entries: Object.values(journal) },
+    null,
+    2
+  );
+}
+
+/**
+ * Merges a backup made by exportJournal into `journal`; when both have an
+ * entry for the same place the more recently edited one wins.
+ * Returns { journal, count } with the number of entries read from the file.
+ */
+export function importJournal(text, journal) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  if (data?.format !== BACKUP_FORMAT || !Array.isArray(data.entries)) {
+    throw new Error("Not a WorldGems journal backup");
+  }
+
+  const incoming = sanitize(Object.fromEntries(data.entries.map((e) => [e?.id, e])));
+  const next = { ...journal };
+  for (const entry of Object.values(incoming)) {
+    const current = next[entry.id];
+    if (!current || entry.updatedAt > current.updatedAt) next[entry.id] = entry;
+  }
+  return { journal: next, count: Object.keys(incoming).length };
+}
+
+function sanitize(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return {};
+  const journal = {};
+  for (const [id, value] of Object.entries(raw)) {
+    const entry = value && value.id === id ? normalizeEntry(value) : null;
+    if (entry && !isBlank(entry)) journal[id] = entry;
+  }
+  return journal;
+}
+
+function normalizeEntry(e) {
+  const lat = Number(e.lat);
+  const lon = Number(e.lon);
+  if (!ID_PATTERN.test(e.id) || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const rating = Math.round(Number(e.rating));
+  const createdAt = validDate(e.createdAt) || new Date(0).toISOString();
+  return {
+    id: e.id,
+    name: String(e.name || e.id),
+    kind: String(e.kind || "place"),
+    lat,
+    lon,
+    address: String(e.address || ""),
+    city: String(e.city || ""),
+    visitedOn: /^\d{4}-\d{2}-\d{2}$/.test(e.visitedOn) ? e.visitedOn : null,
+    rating: RATINGS.includes(rating) ? rating : null,
+    notes: String(e.notes || ""),
+    tags: Array.isArray(e.tags) ? parseTags(e.tags.join(",")) : [],
+    createdAt,
+    updatedAt: validDate(e.updatedAt) || createdAt,
+  };
+}
+
+function pickAnnotations(entry) {
+  if (!entry) return {};
+  const { visitedOn, rating, notes, tags } = entry;
+  return { visitedOn, rating, notes, tags };
+}
+
+function validDate(s) {
+  return typeof s === "string" && !Number.isNaN(Date.parse(s)) ? s : null;
+}
+
+// Case- and accent-insensitive comparison ("Café" matches "cafe").
+function fold(s) {
+  return String(s).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
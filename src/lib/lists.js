@@ -0,0 +1,70 @@
+/**
+ * Saved places lists, persisted in localStorage under "wm_lists".
+ * A list is { id, name, createdAt, places: [savedPlace] }; a saved place keeps
+ * just what is needed to show it again without re-querying Overpass.
+ * All helpers are pure and return a new array of lists.
+ */
+const STORAGE_KEY = "wm_lists";
+
+export function loadLists(storage = globalThis.localStorage) {
+  try {
+    const raw = JSON.parse(storage?.getItem(STORAGE_KEY));
+    return Array.isArray(raw) ? raw.filter((l) => l && l.id && Array.isArray(l.places)) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveLists(lists, storage = globalThis.localStorage) {
+  storage?.setItem(STORAGE_KEY, JSON.stringify(lists));
+}
+
+export function toSavedPlace(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    kind: p.kind,
+    lat: p.lat,
+    lon: p.lon,
+    address: p.address || "",
+    description: p.description || "",
+    tags: p.tags || {},
+    addedAt: p.addedAt || new Date().toISOString(),
+  };
+}
+
+export function createList(lists, name, places = []) {
+  const list = {
+    id: `list-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: String(name || "").trim() || "Untitled list",
+    createdAt: new Date().toISOString(),
+    places: dedupe(places.map(toSavedPlace)),
+  };
+  return { lists: [...lists, list], list };
+}
+
+export function renameList(lists, listId, name) {
+  return lists.map((l) => (l.id === listId ? { ...l, name: String(name).trim() || l.name } : l));
+}
+
+export function deleteList(lists, listId) {
+  return lists.filter((l) => l.id !== listId);
+}
+
+export function addToList(lists, listId, place) {
+  return lists.map((l) =>
+    l.id === listId && !l.places.some((p) => p.id === place.id)
+      ? { ...l, places: [...l.places, toSavedPlace(place)] }
+      : l
+  );
+}
+
+export function removeFromList(lists, listId, placeId) {
+  return lists.map((l) => (l.id === listId ? { ...l, places: l.places.filter((p) => p.id !== placeId) } : l));
+}
+
+function dedupe(places) {
+  const seen = new Map();
+  for (const p of places) if (!seen.has(p.id)) seen.set(p.id, p);
+  return Array.from(seen.values());
+}
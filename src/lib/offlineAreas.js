@@ -0,0 +1,74 @@
+/**
+ * Downloaded areas, kept in IndexedDB so the explorer works offline there.
+ *
+ * An area is { id, name, bounds, minZoom, maxZoom, selectors, elements,
+ * timezone, tiles: [url], tileBytes, dataBytes, createdAt }: the Overpass
+ * elements for `selectors` inside `bounds`, plus the URLs of the map tiles
+ * saved for it (see lib/tiles.js). Without IndexedDB every read is empty and
+ * writes fail.
+ */
+const STORE = "areas";
+
+export function createOfflineAreaStore({ dbName = "worldgems-offline" } = {}) {
+  let dbPromise = null;
+
+  function db() {
+    if (typeof indexedDB === "undefined") return Promise.resolve(null);
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "id" });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+      });
+    }
+    return dbPromise;
+  }
+
+  async function run(mode, fn) {
+    const conn = await db();
+    if (!conn) {
+      if (mode === "readonly") return undefined;
+      throw new Error("Offline storage is not available in this browser");
+    }
+    return new Promise((resolve, reject) => {
+      const t = conn.transaction(STORE, mode);
+      const req = fn(t.objectStore(STORE));
+      t.oncomplete = () => resolve(req.result);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error || new Error("Offline storage write failed"));
+    });
+  }
+
+  const listeners = new Set();
+  const changed = () => listeners.forEach((fn) => fn());
+
+  return {
+    /** All areas, newest first. */
+    async list() {
+      const all = (await run("readonly", (store) => store.getAll())) || [];
+      return all.sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async put(area) {
+      await run("readwrite", (store) => store.put(area));
+      changed();
+    },
+
+    async remove(id) {
+      await run("readwrite", (store) => store.delete(id));
+      changed();
+    },
+
+    /** Calls `fn` after every put/remove; returns an unsubscribe function. */
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
+
+export function containsPoint(bounds, lat, lon) {
+  return lat >= bounds.south && lat <= bounds.north && lon >= bounds.west && lon <= bounds.east;
+}
@@ -0,0 +1,438 @@
+import { translate } from "./i18n.js";
+
+/**
+ * OSM opening_hours parsing and evaluation.
+ *
+ * Supported (the bulk of real-world values):
+ *   24/7 · rules separated by ";" (later rules override earlier ones for the
+ *   days they match), "||" (a fallback for the days no earlier rule matched)
+ *   or "," (an additional rule, whose times add to
+ *   the rule before it: "Mo-Fr 09:00-17:00, Sa 10:00-14:00") · weekdays and ranges (Mo-Fr, Sa,Su, Fr-Mo) ·
+ *   months and dates (Apr-Oct, Dec 25, Dec 24-Dec 26) · times and lists
+ *   (09:00-12:00,14:00-18:00), spans past midnight (18:00-02:00, 22:00-26:00),
+ *   open end (18:00+) · sunrise/sunset/dawn/dusk with offsets
+ *   ((sunrise+01:00)-sunset) · off/closed/open · "comments".
+ *
+ * A rule that is only a comment adds no hours: 'Mo-Fr 09:00-17:00; "call
+ * ahead"' is closed at weekends, and as a fallback it leaves the remaining
+ * days unknown ('Mo-Fr 09:00-17:00 || "by appointment"'). A selector with just
+ * a comment is unknown for its days ('Sa "by appointment"').
+ *
+ * PH (public holidays) and SH (school holidays) only match when an
+ * `isHoliday(day)` callback is given. Without holiday data such rules are
+ * skipped, and a result they would change if today were a holiday is flagged
+ * `holidayCaveat` so the UI can say to check holiday hours. Anything we can't parse evaluates to "unknown" rather than guessing.
+ *
+ * All evaluation works on local wall-clock time in the place's time zone.
+ */
+const DAYS = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const CLOSING_SOON_MIN = 30;
+
+export function parseOpeningHours(value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  if (text === "24/7") return [{ days: null, months: null, holidays: null, times: [[0, 1440]], state: "open" }];
+
+  const rules = [];
+  let fallback = false;
+  for (const part of text.split(/(;|\|\|)/)) {
+    if (part === ";" || part === "||") {
+      fallback = part === "||";
+      continue;
+    }
+    part.split(ADDITIONAL_RULE).forEach((r, i) => {
+      if (!r.trim()) return;
+      const rule = parseRule(r.trim()) || (fallback && i === 0 ? UNKNOWN_RULE : null);
+      if (rule) rules.push({ ...rule, additional: i > 0, fallback: fallback && i === 0 });
+    });
+  }
+  return rules.length ? rules : [{ ...UNKNOWN_RULE, additional: false, fallback: false }];
+}
+
+const UNKNOWN_RULE = { days: null, months: null, holidays: null, times: null, state: "unknown" };
+
+// "," starts an additional rule only after a time or state and before a new
+// selector; elsewhere it lists days, months or times ("Sa,Su", "09:00-12:00,14:00-18:00").
+const ADDITIONAL_RULE = new RegExp(
+  String.raw`(?<=\d:\d\d|\)|\+|\b(?:off|closed|open|unknown)|")\s*,\s*` +
+    String.raw`(?=(?:Mo|Tu|We|Th|Fr|Sa|Su|PH|SH|${MONTHS.join("|")})\b|24/7|")`,
+  "i"
+);
+
+const MONTH_DAY = `(?:${MONTHS.join("|")})(?:\\s+\\d{1,2}(?![\\d:])(?:\\s*-\\s*\\d{1,2}(?![\\d:]))?)?`;
+const MONTH_PART = new RegExp(`^(${MONTH_DAY}(?:\\s*[-,]\\s*${MONTH_DAY})*)\\s*:?`);
+const DAY = String.raw`(?:Mo|Tu|We|Th|Fr|Sa|Su|PH|SH)(?:\[[^\]]*\])?`;
+const DAY_PART = new RegExp(`^(${DAY}(?:\\s*[-,]\\s*${DAY})*)\\s*:?`);
+
+/**
+ * One rule, or null when it is only a comment.
+ */
+function parseRule(raw) {
+  let rest = raw.replace(/"[^"]*"/g, "").trim();
+  if (!rest) return null;
+  const commented = rest !== raw;
+  const rule = { days: null, months: null, holidays: null, times: null, state: "open" };
+
+  const stateMatch = /\b(off|closed|open|unknown)$/i.exec(rest);
+  if (stateMatch) {
+    const word = stateMatch[1].toLowerCase();
+    rule.state = word === "off" ? "closed" : word;
+    rest = rest.slice(0, stateMatch.index).trim();
+  }
+
+  const months = MONTH_PART.exec(rest);
+  if (months) {
+    rule.months = parseMonths(months[1]);
+    rest = rest.slice(months[0].length).trim();
+  }
+
+  const days = DAY_PART.exec(rest);
+  if (days) {
+    const parsed = parseDays(days[1]);
+    rule.days = parsed.days;
+    rule.holidays = parsed.holidays;
+    rest = rest.slice(days[0].length).trim();
+  }
+
+  if (rest === "24/7") rule.times = [[0, 1440]];
+  else if (rest) rule.times = rest.split(/\s*,\s*/).map(parseTimeSpan);
+
+  if (!rule.times && !stateMatch && commented) rule.state = "unknown";
+  if (rule.state !== "open") rule.times = null;
+  else if (!rule.times) rule.times = [[0, 1440]];
+
+  return rule;
+}
+
+function parseMonths(text) {
+  return text.split(/\s*,\s*/).map((part) => {
+    const [a, b] = part.split(/\s*-\s*(?=[A-Za-z])/);
+    const from = parseMonthDay(a);
+    const to = b ? parseMonthDay(b) : from;
+    return {
+      from: { month: from.month, day: from.day || 1 },
+      to: { month: to.month, day: (b ? to.day : to.dayTo ?? to.day) || 31 },
+    };
+  });
+}
+
+function parseMonthDay(text) {
+  const m = /^([A-Z][a-z]{2})(?:\s+(\d{1,2}))?(?:\s*-\s*(\d{1,2}))?$/.exec(text.trim());
+  if (!m || !MONTHS.includes(m[1])) throw new Error(`Unsupported month: ${text}`);
+  return { month: MONTHS.indexOf(m[1]), day: m[2] ? Number(m[2]) : null, dayTo: m[3] ? Number(m[3]) : null };
+}
+
+function parseDays(text) {
+  const days = new Set();
+  let holidays = null;
+  for (const part of text.split(/\s*,\s*/)) {
+    if (part === "PH" || part === "SH") {
+      holidays = holidays || [];
+      holidays.push(part);
+      continue;
+    }
+    if (/\[/.test(part)) throw new Error(`Unsupported weekday selector: ${part}`);
+    const [a, b] = part.split(/\s*-\s*/);
+    const from = DAYS.indexOf(a);
+    const to = b ? DAYS.indexOf(b) : from;
+    if (from < 0 || to < 0) throw new Error(`Unsupported weekday: ${part}`);
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === to) break;
+    }
+  }
+  return { days: days.size ? days : null, holidays };
+}
+
+const TIME = String.raw`(?:\d{1,2}:\d{2}|\(?(?:sunrise|sunset|dawn|dusk)(?:[+-]\d{1,2}:\d{2})?\)?)`;
+
+function parseTimeSpan(text) {
+  const m = new RegExp(`^(${TIME})\\s*(?:-\\s*(${TIME})|(\\+))$`).exec(text.trim());
+  if (!m) throw new Error(`Unsupported time: ${text}`);
+  const from = parseTime(m[1]);
+  const to = m[3] ? { openEnd: true } : parseTime(m[2]);
+  return [from, to];
+}
+
+function parseTime(text) {
+  const t = text.replace(/[()]/g, "");
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(t);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+  const solar = /^(sunrise|sunset|dawn|dusk)(?:([+-])(\d{1,2}):(\d{2}))?$/.exec(t);
+  const offset = solar[2] ? (solar[2] === "-" ? -1 : 1) * (Number(solar[3]) * 60 + Number(solar[4])) : 0;
+  return { event: solar[1], offset };
+}
+
+/**
+ * Local wall-clock parts of an instant in a time zone.
+ */
+export function localParts(date, timeZone) {
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    weekday: "short",
+  });
+  const p = Object.fromEntries(fmt.formatToParts(date).map((x) => [x.type, x.value]));
+  return {
+    year: Number(p.year),
+    month: Number(p.month) - 1,
+    day: Number(p.day),
+    weekday: DAYS.indexOf(p.weekday.slice(0, 2)),
+    minutes: Number(p.hour) * 60 + Number(p.minute),
+  };
+}
+
+/**
+ * Wall-clock parts from a "YYYY-MM-DDTHH:mm" string (datetime-local input),
+ * taken as-is in the place's own time zone.
+ */
+export function partsFromLocalInput(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || "");
+  if (!m) return null;
+  const [year, month, day, hour, minute] = m.slice(1).map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return { year, month: month - 1, day, weekday, minutes: hour * 60 + minute };
+}
+
+/**
+ * Evaluate opening hours at local wall-clock `parts`.
+ * Returns { state: "open" | "closed" | "unknown", closingSoon, closesAt, opensAt,
+ * holidayCaveat? } where closesAt/opensAt are { dayOffset, minutes } or null.
+ */
+export function evaluateOpeningHours(value, parts, { lat, lon, timeZone, isHoliday } = {}) {
+  let rules;
+  try {
+    rules = parseOpeningHours(value);
+  } catch {
+    return { state: "unknown" };
+  }
+  if (!rules) return { state: "unknown" };
+
+  const result = evaluateRules(rules, parts, { lat, lon, timeZone, isHoliday });
+  if (isHoliday || result.state === "unknown" || !rules.some((r) => r.holidays)) return result;
+
+  // No holiday data: would the answer differ if today were a PH/SH?
+  const today = dayInfo(parts, 0);
+  const asHoliday = evaluateRules(rules, parts, {
+    lat,
+    lon,
+    timeZone,
+    isHoliday: (day) => day.year === today.year && day.month === today.month && day.day === today.day,
+  });
+  return JSON.stringify(asHoliday) === JSON.stringify(result) ? result : { ...result, holidayCaveat: true };
+}
+
+function evaluateRules(rules, parts, ctx) {
+  try {
+    const today = dayInfo(parts, 0);
+    const yesterday = dayInfo(parts, -1);
+    const now = parts.minutes;
+
+    const todaySpans = spansForDay(rules, today, ctx);
+    if (todaySpans === "unknown") return { state: "unknown" };
+    const carried = spansForDay(rules, yesterday, ctx);
+    const spans = [
+      ...(Array.isArray(carried) ? carried : [])
+        .filter(([, end]) => end > 1440)
+        .map(([start, end]) => [start - 1440, end - 1440]),
+      ...todaySpans,
+    ];
+
+    const current = spans.find(([start, end]) => start <= now && now < end);
+    if (current) {
+      const end = current[2] ? null : closingTime(rules, parts, current[1], ctx);
+      const closesAt = end == null ? null : normalizeMinutes(end);
+      const closingSoon = end != null && end - now <= CLOSING_SOON_MIN && !continues(spans, end);
+      return { state: "open", closingSoon, closesAt, opensAt: null };
+    }
+
+    return { state: "closed", closingSoon: false, closesAt: null, opensAt: nextOpening(rules, parts, ctx) };
+  } catch {
+    return { state: "unknown" };
+  }
+}
+
+/**
+ * Convenience wrapper for the UI: status of a place's opening_hours tag
+ * either now (`at` is a Date) or at given wall-clock parts. Labels go
+ * through `t` (see lib/i18n.js), English by default.
+ */
+export function openingStatus(
+  tags,
+  at,
+  { lat, lon, timeZone, isHoliday, t = (key, params) => translate("en", key, params) }
+) {
+  if (!tags?.opening_hours) return null;
+  const parts = at instanceof Date ? localParts(at, timeZone) : at;
+  const r = evaluateOpeningHours(tags.opening_hours, parts, { lat, lon, timeZone, isHoliday });
+  const when = (x) => fmtWhen(x, parts, t);
+  if (r.state === "unknown") return { state: "unknown", label: t("hours.unclear") };
+  const status = statusLabel(r, when, t);
+  return r.holidayCaveat ? { ...status, label: t("hours.checkHoliday", { label: status.label }) } : status;
+}
+
+function statusLabel(r, when, t) {
+  if (r.state === "open") {
+    if (r.closingSoon) return { state: "closing-soon", label: t("hours.closingSoon", { when: when(r.closesAt) }) };
+    return { state: "open", label: r.closesAt ? t("hours.openUntil", { when: when(r.closesAt) }) : t("hours.open") };
+  }
+  return { state: "closed", label: r.opensAt ? t("hours.closedOpens", { when: when(r.opensAt) }) : t("hours.closed") };
+}
+
+function fmtTime({ minutes }) {
+  const h = Math.floor(minutes / 60) % 24;
+  const m = minutes % 60;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+function fmtWhen(at, parts, t) {
+  if (at.dayOffset === 0) return fmtTime(at);
+  if (at.dayOffset === 1) return t("hours.tomorrow", { time: fmtTime(at) });
+  return t("hours.onDay", { day: t(`weekday.${(parts.weekday + at.dayOffset) % 7}`), time: fmtTime(at) });
+}
+
+function continues(spans, end) {
+  return spans.some(([start, e]) => start <= end && e > end);
+}
+
+/**
+ * Follow a span that runs into the next day(s) (e.g. 24/7, or 22:00-24:00
+ * followed by 00:00-02:00). Returns null when it never closes within a week.
+ */
+function closingTime(rules, parts, end, ctx) {
+  for (let offset = 1; offset <= 7; offset++) {
+    const shift = 1440 * offset;
+    if (end < shift) return end;
+    const spans = spansForDay(rules, dayInfo(parts, offset), ctx);
+    const next = Array.isArray(spans) && spans.find(([s, e]) => s <= end - shift && e > end - shift);
+    if (!next) return end;
+    if (next[2]) return null;
+    end = Math.max(end, next[1] + shift);
+  }
+  return null;
+}
+
+function normalizeMinutes(min) {
+  return { dayOffset: Math.floor(min / 1440), minutes: ((min % 1440) + 1440) % 1440 };
+}
+
+function nextOpening(rules, parts, ctx) {
+  for (let offset = 0; offset <= 7; offset++) {
+    const spans = spansForDay(rules, dayInfo(parts, offset), ctx);
+    if (!Array.isArray(spans)) continue;
+    const next = spans
+      .map(([start]) => start)
+      .filter((start) => offset > 0 || start > parts.minutes)
+      .sort((a, b) => a - b)[0];
+    if (next !== undefined) return { dayOffset: offset, minutes: next };
+  }
+  return null;
+}
+
+function dayInfo(parts, offset) {
+  const d = new Date(Date.UTC(parts.year, parts.month, parts.day + offset));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth(), day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+/**
+ * Open spans for one local day, in minutes from that day's midnight
+ * ([start, end, openEnd?]; end may exceed 1440). The last matching rule wins,
+ * along with the open additional rules that follow it. A fallback ("||") rule
+ * and its additional rules only count when nothing before them matched.
+ */
+function spansForDay(rules, day, ctx) {
+  let winners = [];
+  let skipping = false;
+  for (const rule of rules) {
+    if (rule.fallback) skipping = winners.length > 0;
+    else if (!rule.additional) skipping = false;
+    if (skipping || !ruleMatchesDay(rule, day, ctx)) continue;
+    winners = rule.additional && rule.state === "open" ? [...winners, rule] : [rule];
+  }
+  if (winners.some((r) => r.state === "unknown")) return "unknown";
+
+  return winners
+    .filter((r) => r.state === "open")
+    .flatMap((r) => r.times)
+    .map(([from, to]) => {
+      const start = resolveTime(from, day, ctx);
+      if (to?.openEnd) return [start, 1440, true];
+      let end = resolveTime(to, day, ctx);
+      if (end <= start) end += 1440;
+      return [start, end];
+    });
+}
+
+function ruleMatchesDay(rule, day, ctx) {
+  if (rule.months && !rule.months.some((r) => inMonthRange(r, day))) return false;
+
+  const weekdayOk = rule.days ? rule.days.has(day.weekday) : null;
+  const holidayOk = rule.holidays ? rule.holidays.some((h) => !!ctx.isHoliday?.(day, h)) : null;
+
+  if (weekdayOk === null && holidayOk === null) return true;
+  return !!weekdayOk || !!holidayOk;
+}
+
+function inMonthRange({ from, to }, day) {
+  const v = day.month * 100 + day.day;
+  const a = from.month * 100 + from.day;
+  const b = to.month * 100 + to.day;
+  return a <= b ? v >= a && v <= b : v >= a || v <= b;
+}
+
+function resolveTime(t, day, ctx) {
+  if (typeof t === "number") return t;
+  const base = solarMinutes(t.event, day, ctx);
+  if (base == null) throw new Error("No solar time");
+  return base + t.offset;
+}
+
+/**
+ * Local minutes of sunrise/sunset/dawn/dusk (NOAA approximation).
+ */
+function solarMinutes(event, day, { lat, lon, timeZone }) {
+  if (lat == null || lon == null) return null;
+  const zenith = event === "sunrise" || event === "sunset" ? 90.833 : 96;
+  const rising = event === "sunrise" || event === "dawn";
+
+  const rad = Math.PI / 180;
+  const start = Date.UTC(day.year, 0, 0);
+  const doy = Math.floor((Date.UTC(day.year, day.month, day.day) - start) / 86400000);
+  const gamma = ((2 * Math.PI) / 365) * (doy - 1);
+  const eqtime =
+    229.18 *
+    (0.000075 +
+      0.001868 * Math.cos(gamma) -
+      0.032077 * Math.sin(gamma) -
+      0.014615 * Math.cos(2 * gamma) -
+      0.040849 * Math.sin(2 * gamma));
+  const decl =
+    0.006918 -
+    0.399912 * Math.cos(gamma) +
+    0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) +
+    0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) +
+    0.00148 * Math.sin(3 * gamma);
+
+  const cosHa = Math.cos(zenith * rad) / (Math.cos(lat * rad) * Math.cos(decl)) - Math.tan(lat * rad) * Math.tan(decl);
+  if (cosHa > 1 || cosHa < -1) return null; // polar day/night
+  const ha = Math.acos(cosHa) / rad;
+
+  const utcMinutes = 720 - 4 * (lon + (rising ? ha : -ha)) - eqtime;
+  const noonUtc = new Date(Date.UTC(day.year, day.month, day.day, 12));
+  return Math.round(utcMinutes + tzOffsetMinutes(noonUtc, timeZone));
+}
+
+function tzOffsetMinutes(date, timeZone) {
+  if (!timeZone) return -date.getTimezoneOffset();
+  const p = localParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month, p.day) + p.minutes * 60000;
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
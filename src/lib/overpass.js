@@ -0,0 +1,128 @@
+import { elementCenter } from "./elements.js";
+import { haversineKm } from "./geo.js";
+
+/**
+ * Overpass QL helpers.
+ * Selectors are plain Overpass strings like 'nwr["amenity"="cafe"]'.
+ * An "area" is where to look: { type: "around", lat, lon, radiusM }
+ * or { type: "bbox", south, west, north, east }.
+ * We ask for `out geom` so ways/relations come back with their footprint.
+ */
+export function buildOverpassQuery({ area, selectors, limit = 80, timeout = 25 }) {
+  const filter = areaFilter(area);
+  return `
+    [out:json][timeout:${timeout}];
+    (
+      ${selectors.map((s) => `${s}${filter};`).join("\n")}
+    );
+    out geom ${limit};
+  `.trim();
+}
+
+/**
+ * Admin areas around a point that carry a `timezone` tag.
+ */
+export function buildTimezoneQuery({ lat, lon, timeout = 25 }) {
+  return `
+    [out:json][timeout:${timeout}];
+    is_in(${lat},${lon})->.a;
+    area.a["timezone"];
+    out tags;
+  `.trim();
+}
+
+/**
+ * Specific elements by OSM id, e.g. ["node:123", "way:45"].
+ */
+export function buildLookupQuery({ ids, timeout = 25 }) {
+  const statements = parseElementIds(ids).map(({ type, id }) => `${type}(${id});`);
+  return `
+    [out:json][timeout:${timeout}];
+    (
+      ${statements.join("\n")}
+    );
+    out geom;
+  `.trim();
+}
+
+/**
+ * "node:123" -> { type: "node", id: 123 }; invalid ids are dropped.
+ */
+export function parseElementIds(ids) {
+  return ids
+    .map((ref) => /^(node|way|relation):(\d+)$/.exec(String(ref)))
+    .filter(Boolean)
+    .map((m) => ({ type: m[1], id: Number(m[2]) }));
+}
+
+function areaFilter(area) {
+  if (area?.type === "around") {
+    return `(around:${Math.round(area.radiusM)},${area.lat},${area.lon})`;
+  }
+  if (area?.type === "bbox") {
+    return `(${area.south},${area.west},${area.north},${area.east})`;
+  }
+  throw new Error(`Unsupported search area: ${area?.type}`);
+}
+
+/**
+ * Parse a selector into { type, filters } so it can be evaluated locally.
+ * Supports ["k"], [!"k"], ["k"="v"], ["k"!="v"] and ["k"~"regex"].
+ */
+export function parseSelector(selector) {
+  const m = /^(node|way|relation|nwr)((?:\[[^\]]*\])*)$/.exec(String(selector).trim());
+  if (!m) throw new Error(`Invalid selector: ${selector}`);
+
+  const filters = [];
+  const re = /\[\s*(!?)\s*"([^"]+)"\s*(?:(=|!=|~)\s*"([^"]*)")?\s*\]/g;
+  let consumed = "";
+  let f;
+  while ((f = re.exec(m[2]))) {
+    consumed += f[0];
+    const [, not, key, op, value] = f;
+    if (not && op) throw new Error(`Invalid selector: ${selector}`);
+    filters.push({ key, op: not ? "!exists" : op || "exists", value });
+  }
+  if (consumed.length !== m[2].length || !filters.length) {
+    throw new Error(`Invalid selector: ${selector}`);
+  }
+  return { type: m[1], filters };
+}
+
+export function matchesSelector(el, selector) {
+  const { type, filters } = typeof selector === "string" ? parseSelector(selector) : selector;
+  if (type !== "nwr" && type !== el.type) return false;
+  const tags = el.tags || {};
+  return filters.every(({ key, op, value }) => {
+    const v = tags[key];
+    switch (op) {
+      case "exists":
+        return v !== undefined;
+      case "!exists":
+        return v === undefined;
+      case "=":
+        return v === value;
+      case "!=":
+        return v !== value;
+      case "~":
+        return v !== undefined && new RegExp(value).test(v);
+      default:
+        return false;
+    }
+  });
+}
+
+export function inArea(el, area) {
+  const point = elementCenter(el);
+  if (!point) return false;
+  if (area?.type === "around") {
+    const d = haversineKm({ lat: area.lat, lng: area.lon }, { lat: point.lat, lng: point.lon });
+    return d * 1000 <= area.radiusM;
+  }
+  if (area?.type === "bbox") {
+    return (
+      point.lat >= area.south && point.lat <= area.north && point.lon >= area.west && point.lon <= area.east
+    );
+  }
+  return false;
+}
@@ -0,0 +1,153 @@
+import { osmUrl } from "./formats.js";
+
+/**
+ * OSM tags -> structured details for the place panel, as message keys for
+ * the UI to translate. Returns { contact, facts, payment, links, images }:
+ * - contact: { label, text, href }
+ * - facts: { label, text } for free-form tag values, or { label, value, params }
+ *   when the value is a message of its own ("details.value.yes")
+ * - payment: { key, params } per accepted or refused method
+ * - links: { key, params, href }
+ * Labels are "details.*" keys. Tags not covered here are only shown in the raw view.
+ */
+export function describeTags(tags = {}, id = "") {
+  const contact = [
+    ...splitValues(tags.website || tags["contact:website"] || tags.url).map((v) => ({
+      label: "details.website",
+      text: v.replace(/^https?:\/\/(www\.)?/, "").replace(/\/$/, ""),
+      href: withScheme(v),
+    })),
+    ...splitValues(tags.phone || tags["contact:phone"]).map((v) => ({
+      label: "details.phone",
+      text: v,
+      href: `tel:${v.replace(/[^\d+]/g, "")}`,
+    })),
+    ...splitValues(tags.email || tags["contact:email"]).map((v) => ({
+      label: "details.email",
+      text: v,
+      href: `mailto:${v}`,
+    })),
+  ];
+
+  const heritage = tags["heritage:operator"]
+    ? message("details.value.listedBy", { operator: tags["heritage:operator"] })
+    : message("details.value.listed");
+  const facts = [
+    ["cuisine", list(tags.cuisine)],
+    ["wheelchair", WHEELCHAIR[tags.wheelchair] ? message(WHEELCHAIR[tags.wheelchair]) : tags.wheelchair],
+    ["outdoorSeating", yesNo(tags.outdoor_seating)],
+    ["takeaway", yesNo(tags.takeaway)],
+    ["delivery", yesNo(tags.delivery)],
+    ["vegetarian", DIET[tags["diet:vegetarian"]] && message(DIET[tags["diet:vegetarian"]])],
+    ["vegan", DIET[tags["diet:vegan"]] && message(DIET[tags["diet:vegan"]])],
+    ["wifi", yesNo(tags.internet_access)],
+    ["smoking", yesNo(tags.smoking)],
+    ["operator", tags.operator],
+    ["opened", tags.start_date],
+    ["heritage", tags.heritage && heritage],
+  ]
+    .filter(([, fact]) => fact)
+    .map(([key, fact]) => ({ label: `details.${key}`, ...(typeof fact === "string" ? { text: fact } : fact) }));
+
+  const payment = Object.entries(tags)
+    .filter(([k]) => k.startsWith("payment:"))
+    .map(([k, v]) => {
+      const method = pretty(k.slice("payment:".length));
+      const key = v === "yes" ? "details.paymentYes" : v === "no" ? "details.paymentNo" : "details.paymentOther";
+      return { key, params: { method, value: v } };
+    });
+
+  const links = [];
+  const wikipedia = wikipediaUrl(tags.wikipedia);
+  if (wikipedia) {
+    links.push(
+      /^https?:/.test(tags.wikipedia)
+        ? { key: "details.wikipediaArticle", href: wikipedia }
+        : { key: "details.wikipedia", params: { title: tags.wikipedia.replace(/^[a-z-]+:/, "") }, href: wikipedia }
+    );
+  }
+  if (/^Q\d+$/.test(tags.wikidata || "")) {
+    links.push({
+      key: "details.wikidata",
+      params: { id: tags.wikidata },
+      href: `https://www.wikidata.org/wiki/${tags.wikidata}`,
+    });
+  }
+  const view = osmUrl(id);
+  if (view) {
+    const [type, ref] = id.split(":");
+    links.push({ key: "details.osmView", href: view });
+    links.push({ key: "details.osmEdit", href: `https://www.openstreetmap.org/edit?${type}=${ref}` });
+  }
+
+  return { contact, facts, payment, links, images: imagesFor(tags) };
+}
+
+/**
+ * Thumbnails from `image` and `wikimedia_commons`: { src, href }.
+ */
+export function imagesFor(tags, width = 320) {
+  const images = [];
+  const commonsFile = (name) => ({
+    src: `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(name)}?width=${width}`,
+    href: `https://commons.wikimedia.org/wiki/File:${encodeURIComponent(name)}`,
+  });
+
+  for (const value of splitValues(tags.image)) {
+    const commons = /commons\.wikimedia\.org\/wiki\/File:(.+)$/.exec(value);
+    if (commons) images.push(commonsFile(decodeURIComponent(commons[1])));
+    else if (/^File:/.test(value)) images.push(commonsFile(value.slice(5)));
+    else if (/^https?:\/\/.+\.(jpe?g|png|gif|webp)(\?.*)?$/i.test(value)) images.push({ src: value, href: value });
+  }
+  const commons = tags.wikimedia_commons;
+  if (commons?.startsWith("File:")) images.push(commonsFile(commons.slice(5)));
+
+  const seen = new Set();
+  return images.filter((img) => !seen.has(img.src) && seen.add(img.src));
+}
+
+const WHEELCHAIR = {
+  yes: "details.value.accessible",
+  limited: "details.value.limitedAccess",
+  no: "details.value.notAccessible",
+  designated: "details.value.wheelchairDesigned",
+};
+const DIET = { yes: "details.value.optionsAvailable", only: "details.value.exclusively", no: "details.value.no" };
+
+function message(value, params) {
+  return { value, params };
+}
+
+function yesNo(v) {
+  if (v === "yes") return message("details.value.yes");
+  if (v === "no") return message("details.value.no");
+  return v ? pretty(v) : null;
+}
+
+function list(v) {
+  return v ? splitValues(v).map(pretty).join(", ") : null;
+}
+
+function pretty(v) {
+  const s = String(v).replaceAll("_", " ");
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function splitValues(v) {
+  return v
+    ? String(v)
+        .split(";")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    : [];
+}
+
+function withScheme(url) {
+  return /^[a-z]+:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+function wikipediaUrl(value) {
+  if (/^https?:\/\//.test(value || "")) return value;
+  const m = /^([a-z-]+):(.+)$/.exec(value || "");
+  return m ? `https://${m[1]}.wikipedia.org/wiki/${encodeURIComponent(m[2].replaceAll(" ", "_"))}` : null;
+}
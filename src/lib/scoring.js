@@ -0,0 +1,128 @@
+import { matchesSelector, parseSelector } from "./overpass.js";
+
+/**
+ * Place scoring.
+ *
+ * Nothing here comes from reviews – OSM has none. Each place gets two scores
+ * on a 0–100 scale, built from signals that are each normalised to 0..1:
+ *
+ * Quality – how well documented / established a place looks.
+ *   completeness  share of useful tags present (website, phone, hours, address, …)
+ *   heritage      heritage/historic tags, or a Wikidata/Wikipedia entry
+ *   proximity     closeness to the search origin (1 at the origin, ~0.37 at `distanceScaleKm`)
+ *
+ * Gem – how "hidden gem" it is.
+ *   rarity        how uncommon its kind is within the current result set
+ *   niche         matches one of the Hidden Gems selectors
+ *   obscurity     not a chain (brand) and not a headline attraction
+ *   proximity     same as above
+ *
+ * Each score is the weighted mean of its signals; `overall` blends the two
+ * with `gemBias` (0 = only quality, 1 = only gem). Every place keeps the full
+ * breakdown so the UI can explain its score.
+ */
+export const DEFAULT_WEIGHTS = {
+  quality: { completeness: 0.5, heritage: 0.3, proximity: 0.2 },
+  gem: { rarity: 0.4, niche: 0.3, obscurity: 0.2, proximity: 0.1 },
+  gemBias: 0.5,
+  distanceScaleKm: 3,
+};
+
+const COMPLETENESS_KEYS = [
+  ["website", "contact:website", "url"],
+  ["phone", "contact:phone"],
+  ["opening_hours"],
+  ["addr:street", "addr:full"],
+  ["description"],
+  ["wheelchair"],
+  ["image", "wikimedia_commons"],
+  ["email", "contact:email"],
+];
+
+/**
+ * Adds { score, scores: { quality, gem }, breakdown } to every place.
+ * Places need { id, kind, tags, distanceKm }.
+ */
+export function scorePlaces(places, { weights = DEFAULT_WEIGHTS, gemSelectors = [] } = {}) {
+  const w = mergeWeights(weights);
+  const gems = gemSelectors.map((s) => parseSelector(s));
+
+  const kindCounts = new Map();
+  for (const p of places) kindCounts.set(p.kind, (kindCounts.get(p.kind) || 0) + 1);
+  const maxCount = Math.max(1, ...kindCounts.values());
+
+  return places.map((p) => {
+    const tags = p.tags || {};
+    const signals = {
+      completeness: completeness(tags),
+      heritage: heritage(tags),
+      proximity: Math.exp(-(p.distanceKm || 0) / w.distanceScaleKm),
+      rarity: maxCount === 1 ? 1 : 1 - Math.log(kindCounts.get(p.kind)) / Math.log(maxCount),
+      niche: gems.some((s) => matchesSelector({ type: p.id.split(":")[0], tags }, s)) ? 1 : 0,
+      obscurity: obscurity(tags),
+    };
+
+    const quality = weightedScore(signals, w.quality);
+    const gem = weightedScore(signals, w.gem);
+    const overall = quality.value * (1 - w.gemBias) + gem.value * w.gemBias;
+
+    return {
+      ...p,
+      score: Math.round(overall * 100),
+      scores: { quality: Math.round(quality.value * 100), gem: Math.round(gem.value * 100) },
+      breakdown: { quality: quality.parts, gem: gem.parts, gemBias: w.gemBias },
+    };
+  });
+}
+
+/**
+ * Weights from the sidebar sliders, saved under "wm_weights".
+ */
+export function loadWeights(storage = globalThis.localStorage) {
+  try {
+    return mergeWeights(JSON.parse(storage?.getItem("wm_weights")) || DEFAULT_WEIGHTS);
+  } catch {
+    return DEFAULT_WEIGHTS;
+  }
+}
+
+export function saveWeights(weights, storage = globalThis.localStorage) {
+  storage?.setItem("wm_weights", JSON.stringify(weights));
+}
+
+export function mergeWeights(weights = {}) {
+  return {
+    ...DEFAULT_WEIGHTS,
+    ...weights,
+    quality: { ...DEFAULT_WEIGHTS.quality, ...weights.quality },
+    gem: { ...DEFAULT_WEIGHTS.gem, ...weights.gem },
+  };
+}
+
+function weightedScore(signals, weights) {
+  const total = Object.values(weights).reduce((a, b) => a + Math.max(0, b), 0);
+  const parts = Object.entries(weights).map(([key, weight]) => {
+    const share = total ? Math.max(0, weight) / total : 0;
+    return { key, value: signals[key], weight: share, contribution: signals[key] * share };
+  });
+  return { value: parts.reduce((a, p) => a + p.contribution, 0), parts };
+}
+
+function completeness(tags) {
+  const present = COMPLETENESS_KEYS.filter((keys) => keys.some((k) => tags[k])).length;
+  return present / COMPLETENESS_KEYS.length;
+}
+
+function heritage(tags) {
+  if (tags.heritage || tags["heritage:operator"] || tags.historic) return 1;
+  if (tags.wikidata || tags.wikipedia) return 0.7;
+  return 0;
+}
+
+function obscurity(tags) {
+  if (tags.brand || tags["brand:wikidata"]) return 0;
+  let v = 1;
+  if (tags.tourism === "attraction" || tags.tourism === "theme_park") v -= 0.5;
+  if (tags.wikipedia) v -= 0.3;
+  return Math.max(0, v);
+}
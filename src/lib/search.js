@@ -0,0 +1,197 @@
+import { elementCenter, elementShapes } from "./elements.js";
+import { bboxFromNominatim, haversineKm } from "./geo.js";
+import { HIDDEN_GEMS } from "./categories.js";
+import { scorePlaces } from "./scoring.js";
+import { localName } from "./i18n.js";
+import { getResponseMeta } from "../providers/cached.js";
+
+/**
+ * Headless search core: no React, no DOM, no storage. The explorer and the
+ * `worldgems` CLI (bin/worldgems.js) both build on it, so a search gives the
+ * same places and scores in either.
+ */
+
+// Upper bound per Overpass request; the map clusters and the list pages through them.
+export const MAX_RESULTS = 2000;
+
+/**
+ * Overpass selectors for the picked categories, plus Hidden Gems when `gems`.
+ */
+export function searchSelectors(categories, { gems = false, gemSelectors = HIDDEN_GEMS.overpass } = {}) {
+  const selectors = categories.flatMap((c) => c.overpass);
+  if (gems) selectors.push(...gemSelectors);
+  return [...new Set(selectors)];
+}
+
+/**
+ * Overpass elements -> deduped place objects, with distances from `origin`.
+ */
+export function toPlaces(elements, origin) {
+  const unique = new Map();
+  for (const el of elements) {
+    const pos = elementCenter(el);
+    if (!pos) continue;
+    const name =
+      el.tags?.name ||
+      el.tags?.["name:en"] ||
+      el.tags?.brand ||
+      el.tags?.amenity ||
+      el.tags?.tourism ||
+      el.tags?.shop ||
+      el.tags?.leisure ||
+      "Unknown Place";
+
+    const isSafetyOrTransport =
+      el.tags?.amenity === "police" ||
+      el.tags?.amenity === "hospital" ||
+      el.tags?.amenity === "clinic" ||
+      el.tags?.amenity === "pharmacy" ||
+      el.tags?.amenity === "fire_station" ||
+      el.tags?.railway ||
+      el.tags?.public_transport ||
+      el.tags?.aeroway;
+
+    if (!el.tags?.name && !isSafetyOrTransport) continue;
+
+    const id = `${el.type}:${el.id}`;
+    if (unique.has(id)) continue;
+
+    const kind =
+      el.tags?.amenity ||
+      el.tags?.tourism ||
+      el.tags?.shop ||
+      el.tags?.leisure ||
+      el.tags?.railway ||
+      el.tags?.public_transport ||
+      el.tags?.historic ||
+      "place";
+
+    const addrParts = [
+      el.tags?.["addr:housenumber"],
+      el.tags?.["addr:street"],
+      el.tags?.["addr:city"],
+      el.tags?.["addr:postcode"],
+      el.tags?.["addr:country"],
+    ].filter(Boolean);
+
+    const address =
+      addrParts.join(" ") ||
+      el.tags?.["addr:full"] ||
+      el.tags?.["contact:street"] ||
+      "";
+
+    const dist = haversineKm(origin, { lat: pos.lat, lng: pos.lon });
+
+    unique.set(id, {
+      id,
+      name: String(name),
+      kind: String(kind),
+      lat: pos.lat,
+      lon: pos.lon,
+      shapes: elementShapes(el),
+      address,
+      distanceKm: dist,
+      description:
+        el.tags?.description ||
+        el.tags?.tourism ||
+        el.tags?.amenity ||
+        el.tags?.shop ||
+        el.tags?.leisure ||
+        el.tags?.historic ||
+        "Point of interest",
+      tags: el.tags || {},
+    });
+  }
+
+  return Array.from(unique.values());
+}
+
+/**
+ * Scores places (see lib/scoring.js), best first, nearer first on ties.
+ */
+export function rankPlaces(list, weights, gemSelectors) {
+  return scorePlaces(list, { weights, gemSelectors }).sort(
+    (a, b) => b.score - a.score || a.distanceKm - b.distanceKm
+  );
+}
+
+/**
+ * One complete search, as the explorer, the compare view and the CLI run it.
+ *
+ * `location` is a place name to geocode, a geocoder result or { lat, lon }
+ * (`lng` also works). Places are searched within `radiusKm` of it, or inside
+ * `area` ({ south, west, north, east }) when given, with distances always
+ * measured from the location. `categories` are category objects
+ * ({ overpass: [...] }, e.g. from CATEGORIES). Names follow `lang`
+ * (`name:<lang>` tags), which is also sent to the geocoder. `onLocation` is
+ * called with the resolved location before the places are fetched.
+ *
+ * Resolves to { location: { name, lat, lon, bbox, otherMatches }, places, meta },
+ * places ranked best first and `meta` how they were obtained (see
+ * providers/cached.js); `location` is null when nothing matched.
+ * Provider errors (network, HTTP, abort) are passed through.
+ */
+export async function findPlaces({
+  provider,
+  location,
+  categories = [],
+  gems = false,
+  gemSelectors = HIDDEN_GEMS.overpass,
+  radiusKm = 6,
+  area = null,
+  weights,
+  lang = "en",
+  limit = MAX_RESULTS,
+  signal,
+  onProgress,
+  onLocation,
+}) {
+  const selectors = searchSelectors(categories, { gems, gemSelectors });
+  if (!selectors.length) throw new Error("Pick at least one category or Hidden Gems");
+
+  const where = await resolveLocation(provider, location, { lang, signal, onProgress });
+  if (!where) return { location: null, places: [], meta: null };
+  onLocation?.(where);
+
+  const elements = await provider.pois({
+    area: area
+      ? { type: "bbox", ...area }
+      : { type: "around", lat: where.lat, lon: where.lon, radiusM: Math.round(radiusKm * 1000) },
+    selectors,
+    limit,
+    signal,
+    onProgress,
+  });
+
+  const places = toPlaces(elements, { lat: where.lat, lng: where.lon }).map((p) => ({
+    ...p,
+    name: localName(p.tags, lang) || p.name,
+  }));
+  return { location: where, places: rankPlaces(places, weights, gemSelectors), meta: getResponseMeta(elements) };
+}
+
+async function resolveLocation(provider, location, { lang, signal, onProgress }) {
+  if (typeof location === "object" && location) {
+    const lat = Number(location.lat);
+    const lon = Number(location.lon ?? location.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw new Error("Location needs numeric lat and lon");
+    return {
+      name: String(location.name || location.display_name || `${lat}, ${lon}`),
+      lat,
+      lon,
+      bbox: location.boundingbox ? bboxFromNominatim(location.boundingbox) : null,
+      otherMatches: 0,
+    };
+  }
+
+  const matches = await provider.geocode(String(location || ""), { limit: 5, lang, signal, onProgress });
+  const geo = matches[0];
+  if (!geo) return null;
+  return {
+    name: String(geo.display_name || location),
+    lat: parseFloat(geo.lat),
+    lon: parseFloat(geo.lon),
+    bbox: bboxFromNominatim(geo.boundingbox),
+    otherMatches: Math.max(0, matches.length - 1),
+  };
+}
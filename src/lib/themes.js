@@ -0,0 +1,149 @@
+/**
+ * Named UI themes and user accent colors.
+ *
+ * A resolved theme is { key, dark, colors }. "system" follows the OS
+ * `prefers-color-scheme` and resolves to "light" or "dark". The two accent
+ * colors (buttons, highlights, markers) default per theme and can be
+ * overridden with { accent, accent2 } saved under "wm_accent".
+ */
+export const THEMES = {
+  system: { label: "System" },
+  dark: {
+    label: "Dark",
+    dark: true,
+    colors: {
+      text: "#eef",
+      background: "#0b0b12",
+      glow: [0.25, 0.18],
+      surface: "rgba(255,255,255,0.06)",
+      raised: "rgba(20,20,32,0.97)",
+      field: "rgba(255,255,255,0.05)",
+      button: "rgba(255,255,255,0.06)",
+      border: "rgba(255,255,255,0.10)",
+      borderStrong: "rgba(255,255,255,0.12)",
+      shadow: "0 20px 80px rgba(0,0,0,0.45)",
+      popup: "#1b1b28",
+      link: "#8fd8ff",
+      markerBorder: "#fff",
+      accent: "#8c50ff",
+      accent2: "#00c8ff",
+    },
+  },
+  light: {
+    label: "Light",
+    dark: false,
+    colors: {
+      text: "#111",
+      background: "#f7f7ff",
+      glow: [0.18, 0.12],
+      surface: "rgba(255,255,255,0.8)",
+      raised: "rgba(255,255,255,0.98)",
+      field: "rgba(255,255,255,0.85)",
+      button: "rgba(255,255,255,0.9)",
+      border: "rgba(20,20,40,0.10)",
+      borderStrong: "rgba(20,20,40,0.12)",
+      shadow: "0 20px 80px rgba(25,25,70,0.12)",
+      popup: "#fff",
+      link: "#5a2fd0",
+      markerBorder: "#fff",
+      accent: "#8c50ff",
+      accent2: "#00c8ff",
+    },
+  },
+  contrast: {
+    label: "High contrast",
+    dark: true,
+    colors: {
+      text: "#fff",
+      background: "#000",
+      glow: [0, 0],
+      surface: "#000",
+      raised: "#000",
+      field: "#000",
+      button: "#111",
+      border: "rgba(255,255,255,0.7)",
+      borderStrong: "#fff",
+      shadow: "none",
+      popup: "#000",
+      link: "#ffd400",
+      markerBorder: "#000",
+      accent: "#ffd400",
+      accent2: "#00e5ff",
+    },
+  },
+};
+
+export const DEFAULT_THEME = "dark";
+
+const THEME_KEY = "wm_theme";
+const ACCENT_KEY = "wm_accent";
+
+export function loadThemeKey() {
+  const v = localStorage.getItem(THEME_KEY);
+  return THEMES[v] ? v : DEFAULT_THEME;
+}
+
+export function saveThemeKey(key) {
+  localStorage.setItem(THEME_KEY, key);
+}
+
+/**
+ * User accent overrides, or null for the theme's own.
+ */
+export function loadAccents() {
+  try {
+    const v = JSON.parse(localStorage.getItem(ACCENT_KEY));
+    return isHex(v?.accent) && isHex(v?.accent2) ? { accent: v.accent, accent2: v.accent2 } : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveAccents(accents) {
+  if (accents) localStorage.setItem(ACCENT_KEY, JSON.stringify(accents));
+  else localStorage.removeItem(ACCENT_KEY);
+}
+
+export function prefersDark() {
+  return globalThis.matchMedia?.("(prefers-color-scheme: dark)").matches ?? true;
+}
+
+/**
+ * The theme to render with: "system" resolved, accents applied.
+ */
+export function resolveTheme(key, accents = null, systemDark = prefersDark()) {
+  const name = key === "system" || !THEMES[key]?.colors ? (systemDark ? "dark" : "light") : key;
+  const base = THEMES[name];
+  return { key, name, dark: base.dark, colors: { ...base.colors, ...accents } };
+}
+
+/**
+ * CSS custom properties for the parts styled outside React (Leaflet popups
+ * and controls, divIcon markers); see index.html.
+ */
+export function themeVars({ colors }) {
+  return {
+    "--wm-accent": colors.accent,
+    "--wm-accent2": colors.accent2,
+    "--wm-accent-soft": alpha(colors.accent, 0.25),
+    "--wm-text": colors.text,
+    "--wm-popup": colors.popup,
+    "--wm-border": colors.borderStrong,
+    "--wm-link": colors.link,
+    "--wm-marker-border": colors.markerBorder,
+  };
+}
+
+/**
+ * "#rrggbb" (or "#rgb") + opacity -> "rgba(…)".
+ */
+export function alpha(hex, a) {
+  let h = String(hex).replace("#", "");
+  if (h.length === 3) h = [...h].map((c) => c + c).join("");
+  const n = parseInt(h, 16);
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${a})`;
+}
+
+function isHex(v) {
+  return /^#[0-9a-f]{6}$/i.test(v || "");
+}
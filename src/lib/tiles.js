@@ -0,0 +1,118 @@
+/**
+ * Map tile prefetching for offline areas. Tiles go into Cache Storage under
+ * TILE_CACHE, where the service worker (src/sw.js) serves them from.
+ *
+ * URLs are built the way Leaflet builds them ({s} subdomain from x + y,
+ * {r} = "@2x" on high-DPI screens) so the cached copies are the ones the map
+ * asks for.
+ */
+export const TILE_CACHE = "worldgems-tiles";
+
+// Only basemaps flagged `allowsDownload` (lib/basemaps.js) are prefetched;
+// even then, keep each area modest.
+export const MAX_AREA_TILES = 2500;
+export const MAX_DOWNLOAD_ZOOM = 16;
+// Rough size of a raster tile, for estimates before downloading.
+export const AVG_TILE_BYTES = 20000;
+
+/**
+ * Tile x/y range covering `bounds` ({ south, west, north, east }) at `zoom`.
+ */
+export function tileRange(bounds, zoom) {
+  const n = 2 ** zoom;
+  const clamp = (v) => Math.min(n - 1, Math.max(0, v));
+  const x = (lon) => clamp(Math.floor(((lon + 180) / 360) * n));
+  const y = (lat) => {
+    const rad = (Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI) / 180;
+    return clamp(Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n));
+  };
+  return { xMin: x(bounds.west), xMax: x(bounds.east), yMin: y(bounds.north), yMax: y(bounds.south) };
+}
+
+export function countTiles(bounds, minZoom, maxZoom) {
+  let count = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const r = tileRange(bounds, z);
+    count += (r.xMax - r.xMin + 1) * (r.yMax - r.yMin + 1);
+  }
+  return count;
+}
+
+export function tileUrls(
+  template,
+  bounds,
+  { minZoom, maxZoom, subdomains = "abc", retina = (globalThis.devicePixelRatio || 1) > 1 }
+) {
+  const urls = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const r = tileRange(bounds, z);
+    for (let x = r.xMin; x <= r.xMax; x++) {
+      for (let y = r.yMin; y <= r.yMax; y++) {
+        urls.push(
+          template
+            .replace("{s}", subdomains[Math.abs(x + y) % subdomains.length])
+            .replace("{z}", z)
+            .replace("{x}", x)
+            .replace("{y}", y)
+            .replace("{r}", retina ? "@2x" : "")
+        );
+      }
+    }
+  }
+  return urls;
+}
+
+/**
+ * Downloads `urls` into TILE_CACHE, a few at a time. Tiles already cached are
+ * skipped (but counted). Resolves to { bytes, failed }; aborting `signal`
+ * stops after the requests in flight.
+ * onProgress receives { done, total }.
+ */
+export async function prefetchTiles(urls, { concurrency = 4, signal, onProgress } = {}) {
+  const cache = await caches.open(TILE_CACHE);
+  let next = 0;
+  let done = 0;
+  let bytes = 0;
+  let failed = 0;
+
+  async function worker() {
+    while (next < urls.length && !signal?.aborted) {
+      const url = urls[next++];
+      try {
+        let res = await cache.match(url);
+        if (!res) {
+          res = await fetch(url, { mode: "cors", signal });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          await cache.put(url, res.clone());
+        }
+        bytes += (await res.blob()).size;
+      } catch (e) {
+        if (signal?.aborted) break;
+        failed++;
+      }
+      onProgress?.({ done: ++done, total: urls.length });
+    }
+  }
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  if (signal?.aborted) throw new DOMException("Download cancelled", "AbortError");
+  return { bytes, failed };
+}
+
+export async function removeTiles(urls) {
+  if (typeof caches === "undefined") return;
+  const cache = await caches.open(TILE_CACHE);
+  await Promise.all(urls.map((url) => cache.delete(url)));
+}
+
+/**
+ * { usage, quota } in bytes for this site, or null where unsupported.
+ */
+export async function storageEstimate() {
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch {
+    return null;
+  }
+}
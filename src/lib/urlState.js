@@ -0,0 +1,97 @@
+/**
+ * Map state <-> URL query string, so views can be reloaded and shared.
+ *
+ *   q       searched place name          area   searched bbox "s,w,n,e"
+ *   near    "1" for a Near me search     pin    dropped pin searched around "lat,lon"
+ *   c       map center "lat,lon"         z      zoom
+ *   cats    category keys, comma-joined  gems   "0" when Hidden Gems is off
+ *   r       radius in km                 place  selected place id ("node:123")
+ *
+ * Everything is optional; missing keys come back as null.
+ */
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+  const nums = (key, count) => {
+    const parts = (params.get(key) || "").split(",").map(Number);
+    return parts.length === count && parts.every(Number.isFinite) ? parts : null;
+  };
+
+  const c = nums("c", 2);
+  const area = nums("area", 4);
+  const pin = nums("pin", 2);
+  const z = Number(params.get("z"));
+  const r = Number(params.get("r"));
+  const cats = params.get("cats");
+
+  return {
+    query: params.get("q"),
+    near: params.get("near") === "1",
+    pin: pin ? { lat: pin[0], lng: pin[1] } : null,
+    area: area ? { south: area[0], west: area[1], north: area[2], east: area[3] } : null,
+    center: c ? { lat: c[0], lng: c[1] } : null,
+    zoom: params.has("z") && Number.isFinite(z) ? z : null,
+    cats: cats == null ? null : cats.split(",").filter(Boolean),
+    gems: params.has("gems") ? params.get("gems") !== "0" : null,
+    radiusKm: r > 0 ? r : null,
+    placeId: params.get("place"),
+  };
+}
+
+export function formatUrlState({ query, near, pin, area, center, zoom, cats, gems, radiusKm, placeId }) {
+  const params = new URLSearchParams();
+  const fixed = (n, digits) => String(Number(n.toFixed(digits)));
+
+  if (near) params.set("near", "1");
+  else if (pin) params.set("pin", `${fixed(pin.lat, 5)},${fixed(pin.lng, 5)}`);
+  else if (area) params.set("area", [area.south, area.west, area.north, area.east].map((n) => fixed(n, 5)).join(","));
+  else if (query) params.set("q", query);
+  if (center) params.set("c", `${fixed(center.lat, 5)},${fixed(center.lng, 5)}`);
+  if (zoom != null) params.set("z", String(zoom));
+  if (cats) params.set("cats", cats.join(","));
+  if (gems === false) params.set("gems", "0");
+  if (radiusKm != null) params.set("r", String(radiusKm));
+  if (placeId) params.set("place", placeId);
+
+  return params.toString().replaceAll("%2C", ",").replaceAll("%3A", ":");
+}
+
+/**
+ * Compare view: `view=compare`, one `loc` per location (in order) and the
+ * shared cats / gems / r keys above.
+ */
+export function isCompareView(search) {
+  return new URLSearchParams(search).get("view") === "compare";
+}
+
+export function parseCompareState(search) {
+  const { cats, gems, radiusKm } = parseUrlState(search);
+  const locations = new URLSearchParams(search).getAll("loc").filter((l) => l.trim());
+  return { locations, cats, gems, radiusKm };
+}
+
+export function formatCompareState({ locations, cats, gems, radiusKm }) {
+  const params = new URLSearchParams({ view: "compare" });
+  for (const l of locations) if (l.trim()) params.append("loc", l);
+  const shared = formatUrlState({ cats, gems, radiusKm });
+  return `${params.toString().replaceAll("%2C", ",")}${shared ? `&${shared}` : ""}`;
+}
+
+/**
+ * Journal page: `view=journal`.
+ */
+export function isJournalView(search) {
+  return new URLSearchParams(search).get("view") === "journal";
+}
+
+/**
+ * Absolute link that opens the map focused on one place with its popup open.
+ */
+export function placePermalink(place, state, location = globalThis.location) {
+  const query = formatUrlState({
+    ...state,
+    center: { lat: place.lat, lng: place.lon },
+    zoom: Math.max(state.zoom ?? 0, 16),
+    placeId: place.id,
+  });
+  return `${location.origin}${location.pathname}?${query}`;
+}
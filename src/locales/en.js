@@ -0,0 +1,436 @@
+// English UI messages. Keys and plural rules are described in lib/i18n.js.
+export default {
+  "search.placeholder": "City, State/Province, Country (e.g., Toronto, ON, Canada)",
+  "search.button": "Search",
+  "search.label": "Place to search",
+  "search.suggestions": "Suggestions",
+
+  "weights.title": "Scoring weights",
+  "weights.bias": "Quality ↔ Hidden gem",
+  "weights.qualitySignals": "Quality signals",
+  "weights.gemSignals": "Hidden-gem signals",
+  "weights.reset": "Reset weights",
+
+  "signal.completeness": "Tag completeness",
+  "signal.heritage": "Heritage / Wikidata",
+  "signal.proximity": "Proximity",
+  "signal.rarity": "Rarity in results",
+  "signal.niche": "Niche category",
+  "signal.obscurity": "Not a chain or landmark",
+
+  "score.quality": "Quality",
+  "score.gem": "Hidden gem",
+  "score.why": "Why this score?",
+  "score.formula": "Score {score} = {quality}% quality + {gem}% hidden gem. Computed from OSM tags, not reviews.",
+  "score.part": "signal {value}% × weight {weight}%",
+
+  "lists.newPrompt": "Name of the new list",
+  "lists.defaultName": "List {n}",
+  "lists.deleteConfirm_one": "Delete “{name}” and its {count} place?",
+  "lists.deleteConfirm_other": "Delete “{name}” and its {count} places?",
+  "lists.importEmpty": "No places found in the file",
+  "lists.importFailed": "Import failed: {message}",
+  "lists.none": "No lists yet",
+  "lists.new": "New list",
+  "lists.rename": "Rename list",
+  "lists.delete": "Delete list",
+  "lists.remove": "Remove from list",
+  "lists.empty": "Empty – use ☆ Save on a result or in a popup.",
+  "lists.intro": "Save a place to start “My places”, or import a file.",
+  "lists.export": "Export",
+  "lists.import": "Import…",
+  "lists.firstName": "My places",
+  "lists.active": "Active list",
+  "lists.removePlace": "Remove {name} from the list",
+
+  "common.showOnMap": "Show on map",
+
+  "plan.leg": "{distance} · {time} walk",
+  "plan.hours": "Hours: {hours}",
+  "plan.summary_one": "{count} stop · {distance} · about {time} walking",
+  "plan.summary_other": "{count} stops · {distance} · about {time} walking",
+  "plan.namePrompt": "Name this plan",
+  "plan.defaultName": "Day plan",
+  "plan.deleteConfirm": "Delete plan “{name}”?",
+  "plan.new": "New plan",
+  "plan.unsaved": "Unsaved plan",
+  "plan.delete": "Delete plan",
+  "plan.moveUp": "Move up",
+  "plan.moveDown": "Move down",
+  "plan.removeStop": "Remove stop",
+  "plan.total": "Total: {distance} · about {time} walking",
+  "plan.empty": "Add places with “＋ Plan” on a result or in a popup.",
+  "plan.optimizeHint": "Shortest walk starting from the first stop",
+  "plan.optimize": "Optimize order",
+  "plan.save": "Save",
+  "plan.saveAs": "Save as…",
+  "plan.print": "Print",
+  "plan.choose": "Saved plans",
+  "plan.moveUpStop": "Move {name} up",
+  "plan.moveDownStop": "Move {name} down",
+  "plan.removeStopNamed": "Remove {name} from the plan",
+  "plan.stopTitle": "Stop {n}: {name}",
+  "plan.minutes": "{minutes} min",
+  "plan.hoursMinutes": "{hours} h {minutes}",
+
+  "facets.text": "Filter by name, address or description",
+  "facets.sortBy": "Sort by",
+  "facets.title": "Filters",
+  "facets.titleActive": "Filters ({count} active)",
+  "facets.less": "Less",
+  "facets.more": "+{count} more",
+  "facets.clear": "Clear filters",
+
+  "sort.score": "Score",
+  "sort.distance": "Distance",
+  "sort.name": "Name",
+
+  "facet.kind": "Type",
+  "facet.cuisine": "Cuisine",
+  "facet.wheelchair": "Wheelchair",
+  "facet.website": "Website",
+  "facet.hours": "Opening hours",
+  "facet.distance": "Distance",
+  "facet.wheelchair.yes": "Accessible",
+  "facet.wheelchair.limited": "Limited",
+  "facet.wheelchair.no": "Not accessible",
+  "facet.wheelchair.unknown": "Unknown",
+  "facet.website.yes": "Has website",
+  "facet.website.no": "No website",
+  "facet.hours.open": "Open",
+  "facet.hours.closed": "Closed",
+  "facet.hours.unknown": "No hours",
+  "facet.distance.under": "< {distance}",
+  "facet.distance.between": "{from} – {to}",
+  "facet.distance.over": "{distance} +",
+
+  "details.close": "Close details",
+  "details.hours": "Hours",
+  "details.address": "Address",
+  "details.payment": "Payment",
+  "details.paymentNo": "No {method}",
+  "details.paymentOther": "{method} ({value})",
+  "details.paymentYes": "{method}",
+  "details.website": "Website",
+  "details.phone": "Phone",
+  "details.email": "Email",
+  "details.cuisine": "Cuisine",
+  "details.wheelchair": "Wheelchair",
+  "details.outdoorSeating": "Outdoor seating",
+  "details.takeaway": "Takeaway",
+  "details.delivery": "Delivery",
+  "details.vegetarian": "Vegetarian",
+  "details.vegan": "Vegan",
+  "details.wifi": "Wi-Fi",
+  "details.smoking": "Smoking",
+  "details.operator": "Operator",
+  "details.opened": "Opened",
+  "details.heritage": "Heritage",
+  "details.value.yes": "Yes",
+  "details.value.no": "No",
+  "details.value.accessible": "Accessible",
+  "details.value.limitedAccess": "Limited access",
+  "details.value.notAccessible": "Not accessible",
+  "details.value.wheelchairDesigned": "Designed for wheelchairs",
+  "details.value.optionsAvailable": "Options available",
+  "details.value.exclusively": "Exclusively",
+  "details.value.listed": "Listed",
+  "details.value.listedBy": "Listed ({operator})",
+  "details.osmView": "View on OpenStreetMap",
+  "details.osmEdit": "Edit on OpenStreetMap",
+  "details.rawTags": "Raw tags ({count})",
+  "details.wikipedia": "Wikipedia: {title}",
+  "details.wikipediaArticle": "Wikipedia article",
+  "details.wikidata": "Wikidata: {id}",
+
+  "categories.error.needSelector": "Add at least one selector",
+  "categories.title": "Custom categories",
+  "categories.done": "Done",
+  "categories.selectors_one": "{count} selector",
+  "categories.selectors_other": "{count} selectors",
+  "categories.edit": "Edit",
+  "categories.delete": "Delete",
+  "categories.none": "No custom categories yet.",
+  "categories.editTitle": "Edit category",
+  "categories.newTitle": "New category",
+  "categories.labelPlaceholder": "Label (e.g. Bookshops)",
+  "categories.emoji": "Emoji",
+  "categories.color": "Marker color",
+  "categories.selectorsPlaceholder": "One selector per line, e.g.\nnwr[\"shop\"=\"books\"]\n[\"amenity\"=\"ice_cream\"]",
+  "categories.saveChanges": "Save changes",
+  "categories.add": "Add category",
+  "categories.cancel": "Cancel",
+  "categories.gemsDefault": "Hidden Gems selectors (default)",
+  "categories.gemsCustomised": "Hidden Gems selectors (customised)",
+  "categories.saveGems": "Save gems",
+  "categories.resetGems": "Reset to default",
+  "categories.syntax": "Selectors use Overpass syntax: node/way/relation/nwr followed by filters like [\"key\"], [!\"key\"], [\"key\"=\"value\"], [\"key\"!=\"value\"] or [\"key\"~\"regex\"].",
+  "categories.lineError": "Line {line}: {message}",
+  "categories.selectorsLabel": "Overpass selectors, one per line",
+  "categories.editNamed": "Edit {name}",
+  "categories.deleteNamed": "Delete {name}",
+  "categories.error.labelRequired": "Label is required",
+  "categories.error.invalidSelector": "Invalid selector: {selector}",
+  "categories.error.invalidRegex": "Invalid regular expression in {selector}",
+  "categories.error.invalidColor": "Pick a color as #rgb or #rrggbb",
+
+  "density.cell_one": "{count} gem · density {density} – click to explore",
+  "density.cell_other": "{count} gems · density {density} – click to explore",
+  "density.title": "Hidden gem density",
+  "density.low": "Few / low score",
+  "density.high": "Many / high score",
+  "density.loading": "Counting gems…",
+  "density.summary_one": "{count} gem in {cells} cells",
+  "density.summary_other": "{count} gems in {cells} cells",
+  "density.empty": "No data yet",
+  "density.recompute": "Recompute for this view",
+
+  "status.stale": "Offline – showing stale results from {age}",
+  "status.cached": "cached {age}",
+  "status.noSelectors": "Pick at least one category or include Hidden Gems.",
+  "status.cancelled": "Search cancelled.",
+  "status.busy": "server busy ({reason})",
+  "status.retry": "retrying",
+  "status.retryOn": "retrying on {host}",
+  "status.retryIn": "retrying in {seconds}s",
+  "status.retryOnIn": "retrying on {host} in {seconds}s",
+  "status.findingPlaces": "Finding places",
+  "status.searchingLocation": "Searching location",
+  "status.error": "Error: {message}",
+  "status.noLocation": "No results. Try: City, State, Country",
+  "status.otherMatches_one": "{count} other match – pick one from the suggestions",
+  "status.otherMatches_other": "{count} other matches – pick one from the suggestions",
+  "status.foundNear_one": "Found {count} place near {where}",
+  "status.foundNear_other": "Found {count} places near {where}",
+  "status.noneNear": "No places found in this radius of {where}.",
+  "status.findingArea": "Finding places in this area…",
+  "status.added_one": "Added {count} new place ({total} total)",
+  "status.added_other": "Added {count} new places ({total} total)",
+  "status.foundArea_one": "Found {count} place in this area",
+  "status.foundArea_other": "Found {count} places in this area",
+  "status.noneArea": "No places found in this area.",
+  "status.openingPlace": "Opening place",
+  "status.linkNotFound": "Linked place {id} was not found.",
+  "status.linkCopied": "Link to {name} copied.",
+  "status.findingNearYou": "Finding places near you…",
+  "status.foundNearYou_one": "Found {count} place near you",
+  "status.foundNearYou_other": "Found {count} places near you",
+  "status.noneNearYou": "No places found near you in this radius.",
+  "status.locating": "Locating you…",
+  "status.densityError": "Gem density: {message}",
+  "status.offlineArea": "from a downloaded area ({age})",
+  "status.wentOffline": "You are offline – searches use downloaded areas",
+  "status.backOnline": "Back online",
+  "status.findingNearPin": "Finding places around the pin…",
+
+  "location.unsupported": "This browser can't share your location.",
+  "location.denied": "Location permission denied – allow it in your browser settings to use Near me.",
+  "location.unavailable": "Your location is unavailable right now.",
+  "location.timeout": "Still waiting for a location fix…",
+
+  "header.theme": "Theme",
+  "header.language": "Language",
+  "header.units": "Distance units",
+  "header.unitsCurrent": "Distance units: {unit}",
+  "header.compare": "Compare",
+  "header.compareHint": "Compare this place with others side by side",
+  "header.journal": "Journal",
+  "header.journalHint": "Your visited places, ratings and notes",
+
+  "map.youAreHere": "You are here (±{accuracy})",
+  "map.densityHint": "Where are the hidden gems? Score-weighted density of Hidden Gems around this view",
+  "map.hideDensity": "Hide density",
+  "map.density": "Gem density",
+  "map.nearMeStop": "Stop following your location",
+  "map.nearMeHint": "Search around your live location",
+  "map.nearMeOn": "Near me: on",
+  "map.nearMe": "Near me",
+  "map.searchAreaHint": "Search the visible part of the map",
+  "map.searchArea": "Search this area",
+  "map.areaModeHint": "What to do with the current results",
+  "map.replace": "Replace results",
+  "map.merge": "Merge with results",
+  "map.cluster_one": "{count} place – zoom in",
+  "map.cluster_other": "{count} places – zoom in",
+  "map.dropPin": "Drop pin",
+  "map.dropPinOn": "Drop pin: on",
+  "map.dropPinHint": "Click the map to drop a pin and search around it (right-click or long-press always works)",
+
+  "popup.scoreDistance": "Score {score} · {distance} away",
+  "popup.saved": "Saved",
+  "popup.save": "Save",
+  "popup.inPlan": "In plan",
+  "popup.plan": "Plan",
+  "popup.details": "Details",
+  "popup.linkHint": "Copy a link that opens the map on this place",
+  "popup.link": "Link",
+  "popup.linkPrompt": "Link to this place",
+
+  "sidebar.explore": "Explore Nearby",
+  "sidebar.editCategories": "Edit categories",
+  "sidebar.includeGems": "Include Hidden Gems",
+  "sidebar.radius": "Radius",
+  "sidebar.hours": "Hours",
+  "sidebar.anyTime": "Any time",
+  "sidebar.openNow": "Open now",
+  "sidebar.openAt": "Open at…",
+  "sidebar.timeZoneHint": "Opening hours are evaluated in the searched area's local time",
+  "sidebar.refresh": "Refresh results",
+  "sidebar.cancel": "Cancel",
+  "sidebar.dayPlan": "Day plan",
+  "sidebar.saved": "Saved places",
+  "sidebar.openAtTime": "Date and time",
+
+  "results.title": "Results",
+  "results.found_one": "Found {count} place",
+  "results.found_other": "Found {count} places",
+  "results.filtered": "{shown} of {count} places",
+  "results.unsave": "Remove from {list}",
+  "results.save": "Save to {list}",
+  "results.unplan": "Remove from the day plan",
+  "results.plan": "Add to the day plan",
+  "results.scores": "Quality {quality} · Gem {gem}",
+  "results.away": "{distance} away",
+  "results.more": "Show {count} more ({left} left)",
+  "results.noMatch": "No places match these filters.",
+  "results.noneOpen_one": "The only place is not open at that time (places without opening hours are hidden).",
+  "results.noneOpen_other": "None of the {count} places are open at that time (places without opening hours are hidden).",
+  "results.empty": "Try searching another city (e.g., “Toronto, Ontario, Canada”) and hit Search.",
+  "results.hint": "Arrow keys move through the results and open them on the map. Enter shows the details, Escape closes the popup.",
+
+  "footer.credits": "Data: OpenStreetMap via Overpass API • Geocoding: Nominatim • Map: Leaflet",
+  "footer.provider": "Provider: {name}",
+
+  "category.restaurants": "Restaurants",
+  "category.attractions": "Attractions",
+  "category.hotels": "Hotels",
+  "category.safety": "Safety Info",
+  "category.transport": "Transport",
+  "category.gems": "Hidden Gems",
+
+  "hours.unclear": "Hours unclear",
+  "hours.closingSoon": "Closing soon · {when}",
+  "hours.openUntil": "Open · until {when}",
+  "hours.open": "Open",
+  "hours.closedOpens": "Closed · opens {when}",
+  "hours.closed": "Closed",
+  "hours.tomorrow": "tomorrow {time}",
+  "hours.onDay": "{day} {time}",
+  "hours.checkHoliday": "{label} · check holiday hours",
+
+  "weekday.0": "Sun",
+  "weekday.1": "Mon",
+  "weekday.2": "Tue",
+  "weekday.3": "Wed",
+  "weekday.4": "Thu",
+  "weekday.5": "Fri",
+  "weekday.6": "Sat",
+
+  "theme.system": "System",
+  "theme.dark": "Dark",
+  "theme.light": "Light",
+  "theme.contrast": "High contrast",
+
+  "appearance.title": "Appearance",
+  "appearance.accents": "Accent colors",
+  "appearance.accent": "Primary",
+  "appearance.accent2": "Secondary",
+  "appearance.resetColors": "Reset colors",
+  "appearance.customTiles": "Custom map tiles",
+  "appearance.tileUrl": "XYZ URL template",
+  "appearance.attribution": "Attribution",
+  "appearance.useCustom": "Use these tiles",
+  "appearance.customInUse": "In use on the map",
+
+  "basemap.label": "Map style",
+  "basemap.auto": "Match theme",
+  "basemap.custom": "Custom XYZ",
+  "basemap.error.scheme": "The URL must start with http:// or https://.",
+  "basemap.error.placeholders": "The URL needs {z}, {x} and {y} placeholders.",
+
+  "compare.title": "Compare places",
+  "common.explorer": "Explorer",
+  "compare.add": "Add location",
+  "compare.remove": "Remove this location",
+  "compare.searchAll": "Search all",
+  "compare.categories": "Categories",
+  "compare.pane": "Location {n}",
+  "compare.stats": "Side by side",
+  "compare.total": "Places found",
+  "compare.gemDensity": "Hidden gems per km²",
+  "compare.median.safety": "Median distance to safety",
+  "compare.median.transport": "Median distance to transport",
+  "compare.top": "Top places",
+
+  "offline.title": "Offline areas",
+  "offline.offlineNow": "offline",
+  "offline.hint": "Download the visible map and the places for the picked categories to explore them without a connection.",
+  "offline.name": "Name",
+  "offline.untitled": "Downloaded area",
+  "offline.detail": "Map detail",
+  "offline.zoomRange": "Zoom {from}–{to}",
+  "offline.estimate_one": "{count} tile, about {size}",
+  "offline.estimate_other": "{count} tiles, about {size}",
+  "offline.tooLarge": "Too many tiles (max {max}): zoom in or pick less detail.",
+  "offline.download": "Download this area",
+  "offline.cancel": "Cancel download",
+  "offline.needsNetwork": "Downloading needs a connection",
+  "offline.progressData": "Fetching places…",
+  "offline.progressTiles": "Map tiles: {done} / {total}",
+  "offline.tilesFailed_one": "{count} tile could not be downloaded.",
+  "offline.tilesFailed_other": "{count} tiles could not be downloaded.",
+  "offline.failed": "Download failed: {message}",
+  "offline.storage": "Storage: {used} of {quota}",
+  "offline.areaInfo_one": "{date} · {size} · {count} place",
+  "offline.areaInfo_other": "{date} · {size} · {count} places",
+  "offline.delete": "Delete {name}",
+  "offline.deleteConfirm": "Delete the downloaded area “{name}”?",
+  "offline.basemapForbids": "{name} does not allow downloading its tiles for offline use. To save areas, set up a tile server that permits it under “Custom map tiles” in 🎨 Appearance.",
+
+  "journal.title": "My journal",
+  "journal.mine": "My notes",
+  "journal.visited": "Visited",
+  "journal.visitedOn": "Visit date",
+  "journal.visitedDate": "visited {date}",
+  "journal.rating": "My rating",
+  "journal.rate_one": "{count} star",
+  "journal.rate_other": "{count} stars",
+  "journal.clearRating": "Clear rating",
+  "journal.notes": "Notes",
+  "journal.notesPlaceholder": "Notes: what you ordered, who to bring, when to go…",
+  "journal.tags": "Tags",
+  "journal.tagsPlaceholder": "Tags, comma-separated (rooftop, date night)",
+  "journal.stats_one": "{count} place · {visited} visited · {rated} rated · {cities} cities",
+  "journal.stats_other": "{count} places · {visited} visited · {rated} rated · {cities} cities",
+  "journal.search": "Search the journal",
+  "journal.searchPlaceholder": "Search names, notes, cities… or #tag",
+  "journal.show": "Show",
+  "journal.show.all": "All places",
+  "journal.show.visited": "Visited",
+  "journal.show.rated": "Rated",
+  "journal.show.notes": "With notes",
+  "journal.elsewhere": "Elsewhere",
+  "journal.empty": "Nothing here yet. Open a place's details on the map to mark it visited, rate it or add notes.",
+  "journal.noMatch": "No entries match.",
+  "journal.edit": "Edit",
+  "journal.delete": "Remove from journal",
+  "journal.deletePlace": "Remove {name} from the journal",
+  "journal.deleteConfirm": "Remove “{name}” and its notes from your journal?",
+  "journal.backup": "Backup",
+  "journal.backupHint": "Download the whole journal as a JSON file",
+  "journal.restore": "Restore…",
+  "journal.restoreHint": "Merge a journal backup into this one; the newer version of each place wins",
+  "journal.restored_one": "Restored {count} entry.",
+  "journal.restored_other": "Restored {count} entries.",
+  "journal.restoreFailed": "Restore failed: {message}",
+
+  "pins.title": "Pins",
+  "pins.label": "Pin {n}",
+  "pins.lookingUp": "Looking up the address",
+  "pins.noAddress": "No address here",
+  "pins.searchHere": "Search here",
+  "pins.remove": "Remove pin",
+  "pins.atCenter": "Pin map center",
+  "pins.atCenterHint": "Drop a pin at the center of the map and search around it",
+  "pins.clear": "Clear pins",
+};
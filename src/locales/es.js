@@ -0,0 +1,437 @@
+// Spanish UI messages. Missing keys fall back to en.js.
+export default {
+  "search.placeholder": "Ciudad, provincia, país (p. ej., Sevilla, Andalucía, España)",
+  "search.button": "Buscar",
+  "search.label": "Lugar que buscar",
+  "search.suggestions": "Sugerencias",
+
+  "weights.title": "Pesos de la puntuación",
+  "weights.bias": "Calidad ↔ Joya oculta",
+  "weights.qualitySignals": "Señales de calidad",
+  "weights.gemSignals": "Señales de joya oculta",
+  "weights.reset": "Restablecer pesos",
+
+  "signal.completeness": "Ficha completa",
+  "signal.heritage": "Patrimonio / Wikidata",
+  "signal.proximity": "Cercanía",
+  "signal.rarity": "Rareza en los resultados",
+  "signal.niche": "Categoría de nicho",
+  "signal.obscurity": "Ni cadena ni monumento famoso",
+
+  "score.quality": "Calidad",
+  "score.gem": "Joya oculta",
+  "score.why": "¿Por qué esta puntuación?",
+  "score.formula": "Puntuación {score} = {quality} % calidad + {gem} % joya oculta. Calculada a partir de etiquetas de OSM, no de reseñas.",
+  "score.part": "señal {value} % × peso {weight} %",
+
+  "lists.newPrompt": "Nombre de la nueva lista",
+  "lists.defaultName": "Lista {n}",
+  "lists.deleteConfirm_one": "¿Eliminar «{name}» y su lugar?",
+  "lists.deleteConfirm_other": "¿Eliminar «{name}» y sus {count} lugares?",
+  "lists.importEmpty": "No se encontraron lugares en el archivo",
+  "lists.importFailed": "Error al importar: {message}",
+  "lists.none": "Aún no hay listas",
+  "lists.new": "Nueva lista",
+  "lists.rename": "Renombrar lista",
+  "lists.delete": "Eliminar lista",
+  "lists.remove": "Quitar de la lista",
+  "lists.empty": "Vacía – usa ☆ Guardar en un resultado o en una ventana emergente.",
+  "lists.intro": "Guarda un lugar para crear «Mis lugares», o importa un archivo.",
+  "lists.export": "Exportar",
+  "lists.import": "Importar…",
+  "lists.firstName": "Mis lugares",
+  "lists.active": "Lista activa",
+  "lists.removePlace": "Quitar {name} de la lista",
+
+  "common.showOnMap": "Ver en el mapa",
+
+  "plan.leg": "{distance} · {time} a pie",
+  "plan.hours": "Horario: {hours}",
+  "plan.summary_one": "{count} parada · {distance} · unos {time} a pie",
+  "plan.summary_other": "{count} paradas · {distance} · unos {time} a pie",
+  "plan.namePrompt": "Nombre de este plan",
+  "plan.defaultName": "Plan del día",
+  "plan.deleteConfirm": "¿Eliminar el plan «{name}»?",
+  "plan.new": "Nuevo plan",
+  "plan.unsaved": "Plan sin guardar",
+  "plan.delete": "Eliminar plan",
+  "plan.moveUp": "Subir",
+  "plan.moveDown": "Bajar",
+  "plan.removeStop": "Quitar parada",
+  "plan.total": "Total: {distance} · unos {time} a pie",
+  "plan.empty": "Añade lugares con «＋ Plan» en un resultado o en una ventana emergente.",
+  "plan.optimizeHint": "Recorrido más corto desde la primera parada",
+  "plan.optimize": "Optimizar orden",
+  "plan.save": "Guardar",
+  "plan.saveAs": "Guardar como…",
+  "plan.print": "Imprimir",
+  "plan.choose": "Planes guardados",
+  "plan.moveUpStop": "Subir {name}",
+  "plan.moveDownStop": "Bajar {name}",
+  "plan.removeStopNamed": "Quitar {name} del plan",
+  "plan.stopTitle": "Parada {n}: {name}",
+  "plan.minutes": "{minutes} min",
+  "plan.hoursMinutes": "{hours} h {minutes}",
+
+  "facets.text": "Filtrar por nombre, dirección o descripción",
+  "facets.sortBy": "Ordenar por",
+  "facets.title": "Filtros",
+  "facets.titleActive_one": "Filtros ({count} activo)",
+  "facets.titleActive_other": "Filtros ({count} activos)",
+  "facets.less": "Menos",
+  "facets.more": "+{count} más",
+  "facets.clear": "Borrar filtros",
+
+  "sort.score": "Puntuación",
+  "sort.distance": "Distancia",
+  "sort.name": "Nombre",
+
+  "facet.kind": "Tipo",
+  "facet.cuisine": "Cocina",
+  "facet.wheelchair": "Silla de ruedas",
+  "facet.website": "Sitio web",
+  "facet.hours": "Horario",
+  "facet.distance": "Distancia",
+  "facet.wheelchair.yes": "Accesible",
+  "facet.wheelchair.limited": "Parcial",
+  "facet.wheelchair.no": "No accesible",
+  "facet.wheelchair.unknown": "Desconocido",
+  "facet.website.yes": "Con sitio web",
+  "facet.website.no": "Sin sitio web",
+  "facet.hours.open": "Abierto",
+  "facet.hours.closed": "Cerrado",
+  "facet.hours.unknown": "Sin horario",
+  "facet.distance.under": "< {distance}",
+  "facet.distance.between": "{from} – {to}",
+  "facet.distance.over": "{distance} o más",
+
+  "details.close": "Cerrar detalles",
+  "details.hours": "Horario",
+  "details.address": "Dirección",
+  "details.payment": "Pago",
+  "details.paymentNo": "Sin {method}",
+  "details.paymentOther": "{method} ({value})",
+  "details.paymentYes": "{method}",
+  "details.website": "Sitio web",
+  "details.phone": "Teléfono",
+  "details.email": "Correo",
+  "details.cuisine": "Cocina",
+  "details.wheelchair": "Silla de ruedas",
+  "details.outdoorSeating": "Terraza",
+  "details.takeaway": "Para llevar",
+  "details.delivery": "A domicilio",
+  "details.vegetarian": "Vegetariano",
+  "details.vegan": "Vegano",
+  "details.wifi": "Wi-Fi",
+  "details.smoking": "Fumadores",
+  "details.operator": "Operador",
+  "details.opened": "Apertura",
+  "details.heritage": "Patrimonio",
+  "details.value.yes": "Sí",
+  "details.value.no": "No",
+  "details.value.accessible": "Accesible",
+  "details.value.limitedAccess": "Acceso parcial",
+  "details.value.notAccessible": "No accesible",
+  "details.value.wheelchairDesigned": "Diseñado para sillas de ruedas",
+  "details.value.optionsAvailable": "Con opciones",
+  "details.value.exclusively": "Exclusivamente",
+  "details.value.listed": "Protegido",
+  "details.value.listedBy": "Protegido ({operator})",
+  "details.osmView": "Ver en OpenStreetMap",
+  "details.osmEdit": "Editar en OpenStreetMap",
+  "details.rawTags": "Etiquetas sin procesar ({count})",
+  "details.wikipedia": "Wikipedia: {title}",
+  "details.wikipediaArticle": "Artículo de Wikipedia",
+  "details.wikidata": "Wikidata: {id}",
+
+  "categories.error.needSelector": "Añade al menos un selector",
+  "categories.title": "Categorías personalizadas",
+  "categories.done": "Listo",
+  "categories.selectors_one": "{count} selector",
+  "categories.selectors_other": "{count} selectores",
+  "categories.edit": "Editar",
+  "categories.delete": "Eliminar",
+  "categories.none": "Aún no hay categorías personalizadas.",
+  "categories.editTitle": "Editar categoría",
+  "categories.newTitle": "Nueva categoría",
+  "categories.labelPlaceholder": "Nombre (p. ej., Librerías)",
+  "categories.emoji": "Emoji",
+  "categories.color": "Color del marcador",
+  "categories.selectorsPlaceholder": "Un selector por línea, p. ej.\nnwr[\"shop\"=\"books\"]\n[\"amenity\"=\"ice_cream\"]",
+  "categories.saveChanges": "Guardar cambios",
+  "categories.add": "Añadir categoría",
+  "categories.cancel": "Cancelar",
+  "categories.gemsDefault": "Selectores de joyas ocultas (predeterminados)",
+  "categories.gemsCustomised": "Selectores de joyas ocultas (personalizados)",
+  "categories.saveGems": "Guardar joyas",
+  "categories.resetGems": "Restablecer",
+  "categories.syntax": "Los selectores usan la sintaxis de Overpass: node/way/relation/nwr seguido de filtros como [\"key\"], [!\"key\"], [\"key\"=\"value\"], [\"key\"!=\"value\"] o [\"key\"~\"regex\"].",
+  "categories.lineError": "Línea {line}: {message}",
+  "categories.selectorsLabel": "Selectores de Overpass, uno por línea",
+  "categories.editNamed": "Editar {name}",
+  "categories.deleteNamed": "Eliminar {name}",
+  "categories.error.labelRequired": "El nombre es obligatorio",
+  "categories.error.invalidSelector": "Selector no válido: {selector}",
+  "categories.error.invalidRegex": "Expresión regular no válida en {selector}",
+  "categories.error.invalidColor": "Elige un color con el formato #rgb o #rrggbb",
+
+  "density.cell_one": "{count} joya · densidad {density} – haz clic para explorar",
+  "density.cell_other": "{count} joyas · densidad {density} – haz clic para explorar",
+  "density.title": "Densidad de joyas ocultas",
+  "density.low": "Pocas / puntuación baja",
+  "density.high": "Muchas / puntuación alta",
+  "density.loading": "Contando joyas…",
+  "density.summary_one": "{count} joya en {cells} celdas",
+  "density.summary_other": "{count} joyas en {cells} celdas",
+  "density.empty": "Aún no hay datos",
+  "density.recompute": "Recalcular para esta vista",
+
+  "status.stale": "Sin conexión – mostrando resultados antiguos ({age})",
+  "status.cached": "en caché ({age})",
+  "status.noSelectors": "Elige al menos una categoría o incluye las joyas ocultas.",
+  "status.cancelled": "Búsqueda cancelada.",
+  "status.busy": "servidor ocupado ({reason})",
+  "status.retry": "reintentando",
+  "status.retryOn": "reintentando en {host}",
+  "status.retryIn": "reintentando en {seconds} s",
+  "status.retryOnIn": "reintentando en {host} dentro de {seconds} s",
+  "status.findingPlaces": "Buscando lugares",
+  "status.searchingLocation": "Buscando la ubicación",
+  "status.error": "Error: {message}",
+  "status.noLocation": "Sin resultados. Prueba: ciudad, provincia, país",
+  "status.otherMatches_one": "{count} coincidencia más – elige una de las sugerencias",
+  "status.otherMatches_other": "{count} coincidencias más – elige una de las sugerencias",
+  "status.foundNear_one": "{count} lugar encontrado cerca de {where}",
+  "status.foundNear_other": "{count} lugares encontrados cerca de {where}",
+  "status.noneNear": "No se encontraron lugares en este radio de {where}.",
+  "status.findingArea": "Buscando lugares en esta zona…",
+  "status.added_one": "{count} lugar nuevo añadido ({total} en total)",
+  "status.added_other": "{count} lugares nuevos añadidos ({total} en total)",
+  "status.foundArea_one": "{count} lugar encontrado en esta zona",
+  "status.foundArea_other": "{count} lugares encontrados en esta zona",
+  "status.noneArea": "No se encontraron lugares en esta zona.",
+  "status.openingPlace": "Abriendo el lugar",
+  "status.linkNotFound": "No se encontró el lugar enlazado {id}.",
+  "status.linkCopied": "Enlace a {name} copiado.",
+  "status.findingNearYou": "Buscando lugares cerca de ti…",
+  "status.foundNearYou_one": "{count} lugar encontrado cerca de ti",
+  "status.foundNearYou_other": "{count} lugares encontrados cerca de ti",
+  "status.noneNearYou": "No se encontraron lugares cerca de ti en este radio.",
+  "status.locating": "Buscando tu ubicación…",
+  "status.densityError": "Densidad de joyas: {message}",
+  "status.offlineArea": "de una zona descargada ({age})",
+  "status.wentOffline": "Estás sin conexión: las búsquedas usan las zonas descargadas",
+  "status.backOnline": "Conexión restablecida",
+  "status.findingNearPin": "Buscando lugares alrededor del pin…",
+
+  "location.unsupported": "Este navegador no puede compartir tu ubicación.",
+  "location.denied": "Permiso de ubicación denegado – actívalo en los ajustes del navegador para usar Cerca de mí.",
+  "location.unavailable": "Tu ubicación no está disponible ahora mismo.",
+  "location.timeout": "Esperando la ubicación…",
+
+  "header.theme": "Tema",
+  "header.language": "Idioma",
+  "header.units": "Unidades de distancia",
+  "header.unitsCurrent": "Unidades de distancia: {unit}",
+  "header.compare": "Comparar",
+  "header.compareHint": "Comparar este lugar con otros lado a lado",
+  "header.journal": "Diario",
+  "header.journalHint": "Tus lugares visitados, valoraciones y notas",
+
+  "map.youAreHere": "Estás aquí (±{accuracy})",
+  "map.densityHint": "¿Dónde están las joyas ocultas? Densidad ponderada por puntuación alrededor de esta vista",
+  "map.hideDensity": "Ocultar densidad",
+  "map.density": "Densidad de joyas",
+  "map.nearMeStop": "Dejar de seguir tu ubicación",
+  "map.nearMeHint": "Buscar alrededor de tu ubicación en directo",
+  "map.nearMeOn": "Cerca de mí: activado",
+  "map.nearMe": "Cerca de mí",
+  "map.searchAreaHint": "Buscar en la parte visible del mapa",
+  "map.searchArea": "Buscar en esta zona",
+  "map.areaModeHint": "Qué hacer con los resultados actuales",
+  "map.replace": "Reemplazar resultados",
+  "map.merge": "Combinar con los resultados",
+  "map.cluster_one": "{count} lugar – acercar",
+  "map.cluster_other": "{count} lugares – acercar",
+  "map.dropPin": "Soltar pin",
+  "map.dropPinOn": "Soltar pin: activado",
+  "map.dropPinHint": "Haz clic en el mapa para soltar un pin y buscar alrededor (clic derecho o pulsación larga siempre funcionan)",
+
+  "popup.scoreDistance": "Puntuación {score} · a {distance}",
+  "popup.saved": "Guardado",
+  "popup.save": "Guardar",
+  "popup.inPlan": "En el plan",
+  "popup.plan": "Plan",
+  "popup.details": "Detalles",
+  "popup.linkHint": "Copiar un enlace que abre el mapa en este lugar",
+  "popup.link": "Enlace",
+  "popup.linkPrompt": "Enlace a este lugar",
+
+  "sidebar.explore": "Explorar alrededor",
+  "sidebar.editCategories": "Editar categorías",
+  "sidebar.includeGems": "Incluir joyas ocultas",
+  "sidebar.radius": "Radio",
+  "sidebar.hours": "Horario",
+  "sidebar.anyTime": "Cualquier hora",
+  "sidebar.openNow": "Abierto ahora",
+  "sidebar.openAt": "Abierto a las…",
+  "sidebar.timeZoneHint": "Los horarios se evalúan en la hora local de la zona buscada",
+  "sidebar.refresh": "Actualizar resultados",
+  "sidebar.cancel": "Cancelar",
+  "sidebar.dayPlan": "Plan del día",
+  "sidebar.saved": "Lugares guardados",
+  "sidebar.openAtTime": "Fecha y hora",
+
+  "results.title": "Resultados",
+  "results.found_one": "{count} lugar encontrado",
+  "results.found_other": "{count} lugares encontrados",
+  "results.filtered": "{shown} de {count} lugares",
+  "results.unsave": "Quitar de {list}",
+  "results.save": "Guardar en {list}",
+  "results.unplan": "Quitar del plan del día",
+  "results.plan": "Añadir al plan del día",
+  "results.scores": "Calidad {quality} · Joya {gem}",
+  "results.away": "a {distance}",
+  "results.more": "Mostrar {count} más (quedan {left})",
+  "results.noMatch": "Ningún lugar coincide con estos filtros.",
+  "results.noneOpen_one": "El único lugar no está abierto a esa hora (se ocultan los lugares sin horario).",
+  "results.noneOpen_other": "Ninguno de los {count} lugares está abierto a esa hora (se ocultan los lugares sin horario).",
+  "results.empty": "Prueba con otra ciudad (p. ej., «Valencia, España») y pulsa Buscar.",
+  "results.hint": "Las flechas recorren los resultados y los abren en el mapa. Intro muestra los detalles y Escape cierra la ventana emergente.",
+
+  "footer.credits": "Datos: OpenStreetMap mediante la API de Overpass • Geocodificación: Nominatim • Mapa: Leaflet",
+  "footer.provider": "Proveedor: {name}",
+
+  "category.restaurants": "Restaurantes",
+  "category.attractions": "Atracciones",
+  "category.hotels": "Hoteles",
+  "category.safety": "Seguridad",
+  "category.transport": "Transporte",
+  "category.gems": "Joyas ocultas",
+
+  "hours.unclear": "Horario poco claro",
+  "hours.closingSoon": "Cierra pronto · {when}",
+  "hours.openUntil": "Abierto · hasta {when}",
+  "hours.open": "Abierto",
+  "hours.closedOpens": "Cerrado · abre {when}",
+  "hours.closed": "Cerrado",
+  "hours.tomorrow": "mañana {time}",
+  "hours.onDay": "{day} {time}",
+  "hours.checkHoliday": "{label} · consulta el horario de festivos",
+
+  "weekday.0": "dom",
+  "weekday.1": "lun",
+  "weekday.2": "mar",
+  "weekday.3": "mié",
+  "weekday.4": "jue",
+  "weekday.5": "vie",
+  "weekday.6": "sáb",
+
+  "theme.system": "Sistema",
+  "theme.dark": "Oscuro",
+  "theme.light": "Claro",
+  "theme.contrast": "Alto contraste",
+
+  "appearance.title": "Apariencia",
+  "appearance.accents": "Colores de acento",
+  "appearance.accent": "Principal",
+  "appearance.accent2": "Secundario",
+  "appearance.resetColors": "Restablecer colores",
+  "appearance.customTiles": "Teselas personalizadas",
+  "appearance.tileUrl": "Plantilla de URL XYZ",
+  "appearance.attribution": "Atribución",
+  "appearance.useCustom": "Usar estas teselas",
+  "appearance.customInUse": "En uso en el mapa",
+
+  "basemap.label": "Estilo del mapa",
+  "basemap.auto": "Según el tema",
+  "basemap.custom": "XYZ personalizado",
+  "basemap.error.scheme": "La URL debe empezar por http:// o https://.",
+  "basemap.error.placeholders": "La URL necesita los marcadores {z}, {x} e {y}.",
+
+  "compare.title": "Comparar lugares",
+  "common.explorer": "Explorador",
+  "compare.add": "Añadir lugar",
+  "compare.remove": "Quitar este lugar",
+  "compare.searchAll": "Buscar todo",
+  "compare.categories": "Categorías",
+  "compare.pane": "Lugar {n}",
+  "compare.stats": "Lado a lado",
+  "compare.total": "Lugares encontrados",
+  "compare.gemDensity": "Joyas ocultas por km²",
+  "compare.median.safety": "Distancia mediana a servicios de seguridad",
+  "compare.median.transport": "Distancia mediana al transporte",
+  "compare.top": "Mejores lugares",
+
+  "offline.title": "Zonas sin conexión",
+  "offline.offlineNow": "sin conexión",
+  "offline.hint": "Descarga el mapa visible y los lugares de las categorías elegidas para explorarlos sin conexión.",
+  "offline.name": "Nombre",
+  "offline.untitled": "Zona descargada",
+  "offline.detail": "Detalle del mapa",
+  "offline.zoomRange": "Zoom {from}–{to}",
+  "offline.estimate_one": "{count} tesela, unos {size}",
+  "offline.estimate_other": "{count} teselas, unos {size}",
+  "offline.tooLarge": "Demasiadas teselas (máx. {max}): acerca el mapa o elige menos detalle.",
+  "offline.download": "Descargar esta zona",
+  "offline.cancel": "Cancelar la descarga",
+  "offline.needsNetwork": "La descarga necesita conexión",
+  "offline.progressData": "Obteniendo lugares…",
+  "offline.progressTiles": "Teselas: {done} / {total}",
+  "offline.tilesFailed_one": "No se pudo descargar {count} tesela.",
+  "offline.tilesFailed_other": "No se pudieron descargar {count} teselas.",
+  "offline.failed": "Error en la descarga: {message}",
+  "offline.storage": "Almacenamiento: {used} de {quota}",
+  "offline.areaInfo_one": "{date} · {size} · {count} lugar",
+  "offline.areaInfo_other": "{date} · {size} · {count} lugares",
+  "offline.delete": "Eliminar {name}",
+  "offline.deleteConfirm": "¿Eliminar la zona descargada «{name}»?",
+  "offline.basemapForbids": "{name} no permite descargar sus teselas para usarlas sin conexión. Para guardar zonas, configura un servidor de teselas que lo permita en «Teselas personalizadas» en 🎨 Apariencia.",
+
+  "journal.title": "Mi diario",
+  "journal.mine": "Mis notas",
+  "journal.visited": "Visitado",
+  "journal.visitedOn": "Fecha de visita",
+  "journal.visitedDate": "visitado el {date}",
+  "journal.rating": "Mi valoración",
+  "journal.rate_one": "{count} estrella",
+  "journal.rate_other": "{count} estrellas",
+  "journal.clearRating": "Quitar la valoración",
+  "journal.notes": "Notas",
+  "journal.notesPlaceholder": "Notas: qué pediste, con quién ir, cuándo…",
+  "journal.tags": "Etiquetas",
+  "journal.tagsPlaceholder": "Etiquetas separadas por comas (terraza, cita)",
+  "journal.stats_one": "{count} lugar · {visited} visitados · {rated} valorados · {cities} ciudades",
+  "journal.stats_other": "{count} lugares · {visited} visitados · {rated} valorados · {cities} ciudades",
+  "journal.search": "Buscar en el diario",
+  "journal.searchPlaceholder": "Buscar nombres, notas, ciudades… o #etiqueta",
+  "journal.show": "Mostrar",
+  "journal.show.all": "Todos los lugares",
+  "journal.show.visited": "Visitados",
+  "journal.show.rated": "Valorados",
+  "journal.show.notes": "Con notas",
+  "journal.elsewhere": "Otros lugares",
+  "journal.empty": "Aún no hay nada. Abre los detalles de un lugar en el mapa para marcarlo como visitado, valorarlo o añadir notas.",
+  "journal.noMatch": "Ninguna entrada coincide.",
+  "journal.edit": "Editar",
+  "journal.delete": "Quitar del diario",
+  "journal.deletePlace": "Quitar {name} del diario",
+  "journal.deleteConfirm": "¿Quitar «{name}» y sus notas de tu diario?",
+  "journal.backup": "Copia de seguridad",
+  "journal.backupHint": "Descargar todo el diario como archivo JSON",
+  "journal.restore": "Restaurar…",
+  "journal.restoreHint": "Combinar una copia con este diario; gana la versión más reciente de cada lugar",
+  "journal.restored_one": "Se restauró {count} entrada.",
+  "journal.restored_other": "Se restauraron {count} entradas.",
+  "journal.restoreFailed": "Error al restaurar: {message}",
+
+  "pins.title": "Pines",
+  "pins.label": "Pin {n}",
+  "pins.lookingUp": "Buscando la dirección",
+  "pins.noAddress": "No hay dirección aquí",
+  "pins.searchHere": "Buscar aquí",
+  "pins.remove": "Quitar pin",
+  "pins.atCenter": "Pin en el centro",
+  "pins.atCenterHint": "Soltar un pin en el centro del mapa y buscar alrededor",
+  "pins.clear": "Borrar pines",
+};
@@ -0,0 +1,437 @@
+// French UI messages. Missing keys fall back to en.js.
+export default {
+  "search.placeholder": "Ville, région, pays (ex. Lyon, Rhône, France)",
+  "search.button": "Rechercher",
+  "search.label": "Lieu à rechercher",
+  "search.suggestions": "Suggestions",
+
+  "weights.title": "Pondération du score",
+  "weights.bias": "Qualité ↔ Pépite cachée",
+  "weights.qualitySignals": "Critères de qualité",
+  "weights.gemSignals": "Critères de pépite",
+  "weights.reset": "Réinitialiser",
+
+  "signal.completeness": "Fiche complète",
+  "signal.heritage": "Patrimoine / Wikidata",
+  "signal.proximity": "Proximité",
+  "signal.rarity": "Rareté dans les résultats",
+  "signal.niche": "Catégorie de niche",
+  "signal.obscurity": "Ni chaîne ni monument connu",
+
+  "score.quality": "Qualité",
+  "score.gem": "Pépite cachée",
+  "score.why": "Pourquoi ce score ?",
+  "score.formula": "Score {score} = {quality} % qualité + {gem} % pépite cachée. Calculé à partir des tags OSM, pas d’avis.",
+  "score.part": "critère {value} % × poids {weight} %",
+
+  "lists.newPrompt": "Nom de la nouvelle liste",
+  "lists.defaultName": "Liste {n}",
+  "lists.deleteConfirm_one": "Supprimer « {name} » et son lieu ?",
+  "lists.deleteConfirm_other": "Supprimer « {name} » et ses {count} lieux ?",
+  "lists.importEmpty": "Aucun lieu trouvé dans le fichier",
+  "lists.importFailed": "Échec de l’import : {message}",
+  "lists.none": "Aucune liste",
+  "lists.new": "Nouvelle liste",
+  "lists.rename": "Renommer la liste",
+  "lists.delete": "Supprimer la liste",
+  "lists.remove": "Retirer de la liste",
+  "lists.empty": "Vide – utilisez ☆ Enregistrer sur un résultat ou dans une bulle.",
+  "lists.intro": "Enregistrez un lieu pour créer « Mes lieux », ou importez un fichier.",
+  "lists.export": "Exporter",
+  "lists.import": "Importer…",
+  "lists.firstName": "Mes lieux",
+  "lists.active": "Liste active",
+  "lists.removePlace": "Retirer {name} de la liste",
+
+  "common.showOnMap": "Voir sur la carte",
+
+  "plan.leg": "{distance} · {time} à pied",
+  "plan.hours": "Horaires : {hours}",
+  "plan.summary_one": "{count} étape · {distance} · environ {time} de marche",
+  "plan.summary_other": "{count} étapes · {distance} · environ {time} de marche",
+  "plan.namePrompt": "Nom de ce parcours",
+  "plan.defaultName": "Parcours du jour",
+  "plan.deleteConfirm": "Supprimer le parcours « {name} » ?",
+  "plan.new": "Nouveau parcours",
+  "plan.unsaved": "Parcours non enregistré",
+  "plan.delete": "Supprimer le parcours",
+  "plan.moveUp": "Monter",
+  "plan.moveDown": "Descendre",
+  "plan.removeStop": "Retirer l’étape",
+  "plan.total": "Total : {distance} · environ {time} de marche",
+  "plan.empty": "Ajoutez des lieux avec « ＋ Parcours » sur un résultat ou dans une bulle.",
+  "plan.optimizeHint": "Trajet le plus court à partir de la première étape",
+  "plan.optimize": "Optimiser l’ordre",
+  "plan.save": "Enregistrer",
+  "plan.saveAs": "Enregistrer sous…",
+  "plan.print": "Imprimer",
+  "plan.choose": "Parcours enregistrés",
+  "plan.moveUpStop": "Monter {name}",
+  "plan.moveDownStop": "Descendre {name}",
+  "plan.removeStopNamed": "Retirer {name} du parcours",
+  "plan.stopTitle": "Étape {n} : {name}",
+  "plan.minutes": "{minutes} min",
+  "plan.hoursMinutes": "{hours} h {minutes}",
+
+  "facets.text": "Filtrer par nom, adresse ou description",
+  "facets.sortBy": "Trier par",
+  "facets.title": "Filtres",
+  "facets.titleActive_one": "Filtres ({count} actif)",
+  "facets.titleActive_other": "Filtres ({count} actifs)",
+  "facets.less": "Moins",
+  "facets.more": "+{count} de plus",
+  "facets.clear": "Effacer les filtres",
+
+  "sort.score": "Score",
+  "sort.distance": "Distance",
+  "sort.name": "Nom",
+
+  "facet.kind": "Type",
+  "facet.cuisine": "Cuisine",
+  "facet.wheelchair": "Fauteuil roulant",
+  "facet.website": "Site web",
+  "facet.hours": "Horaires",
+  "facet.distance": "Distance",
+  "facet.wheelchair.yes": "Accessible",
+  "facet.wheelchair.limited": "Partiel",
+  "facet.wheelchair.no": "Non accessible",
+  "facet.wheelchair.unknown": "Inconnu",
+  "facet.website.yes": "Avec site web",
+  "facet.website.no": "Sans site web",
+  "facet.hours.open": "Ouvert",
+  "facet.hours.closed": "Fermé",
+  "facet.hours.unknown": "Horaires inconnus",
+  "facet.distance.under": "< {distance}",
+  "facet.distance.between": "{from} – {to}",
+  "facet.distance.over": "{distance} et plus",
+
+  "details.close": "Fermer la fiche",
+  "details.hours": "Horaires",
+  "details.address": "Adresse",
+  "details.payment": "Paiement",
+  "details.paymentNo": "Pas de {method}",
+  "details.paymentOther": "{method} ({value})",
+  "details.paymentYes": "{method}",
+  "details.website": "Site web",
+  "details.phone": "Téléphone",
+  "details.email": "E-mail",
+  "details.cuisine": "Cuisine",
+  "details.wheelchair": "Fauteuil roulant",
+  "details.outdoorSeating": "Terrasse",
+  "details.takeaway": "À emporter",
+  "details.delivery": "Livraison",
+  "details.vegetarian": "Végétarien",
+  "details.vegan": "Végan",
+  "details.wifi": "Wi-Fi",
+  "details.smoking": "Fumeurs",
+  "details.operator": "Exploitant",
+  "details.opened": "Ouverture",
+  "details.heritage": "Patrimoine",
+  "details.value.yes": "Oui",
+  "details.value.no": "Non",
+  "details.value.accessible": "Accessible",
+  "details.value.limitedAccess": "Accès partiel",
+  "details.value.notAccessible": "Non accessible",
+  "details.value.wheelchairDesigned": "Conçu pour les fauteuils roulants",
+  "details.value.optionsAvailable": "Options disponibles",
+  "details.value.exclusively": "Exclusivement",
+  "details.value.listed": "Classé",
+  "details.value.listedBy": "Classé ({operator})",
+  "details.osmView": "Voir sur OpenStreetMap",
+  "details.osmEdit": "Modifier sur OpenStreetMap",
+  "details.rawTags": "Tags bruts ({count})",
+  "details.wikipedia": "Wikipédia : {title}",
+  "details.wikipediaArticle": "Article Wikipédia",
+  "details.wikidata": "Wikidata : {id}",
+
+  "categories.error.needSelector": "Ajoutez au moins un sélecteur",
+  "categories.title": "Catégories personnalisées",
+  "categories.done": "Terminé",
+  "categories.selectors_one": "{count} sélecteur",
+  "categories.selectors_other": "{count} sélecteurs",
+  "categories.edit": "Modifier",
+  "categories.delete": "Supprimer",
+  "categories.none": "Aucune catégorie personnalisée pour l’instant.",
+  "categories.editTitle": "Modifier la catégorie",
+  "categories.newTitle": "Nouvelle catégorie",
+  "categories.labelPlaceholder": "Nom (ex. Librairies)",
+  "categories.emoji": "Emoji",
+  "categories.color": "Couleur du marqueur",
+  "categories.selectorsPlaceholder": "Un sélecteur par ligne, ex.\nnwr[\"shop\"=\"books\"]\n[\"amenity\"=\"ice_cream\"]",
+  "categories.saveChanges": "Enregistrer",
+  "categories.add": "Ajouter la catégorie",
+  "categories.cancel": "Annuler",
+  "categories.gemsDefault": "Sélecteurs des pépites cachées (par défaut)",
+  "categories.gemsCustomised": "Sélecteurs des pépites cachées (personnalisés)",
+  "categories.saveGems": "Enregistrer les pépites",
+  "categories.resetGems": "Rétablir les valeurs par défaut",
+  "categories.syntax": "Les sélecteurs suivent la syntaxe Overpass : node/way/relation/nwr suivi de filtres comme [\"key\"], [!\"key\"], [\"key\"=\"value\"], [\"key\"!=\"value\"] ou [\"key\"~\"regex\"].",
+  "categories.lineError": "Ligne {line} : {message}",
+  "categories.selectorsLabel": "Sélecteurs Overpass, un par ligne",
+  "categories.editNamed": "Modifier {name}",
+  "categories.deleteNamed": "Supprimer {name}",
+  "categories.error.labelRequired": "Le nom est obligatoire",
+  "categories.error.invalidSelector": "Sélecteur invalide : {selector}",
+  "categories.error.invalidRegex": "Expression régulière invalide dans {selector}",
+  "categories.error.invalidColor": "Choisissez une couleur au format #rgb ou #rrggbb",
+
+  "density.cell_one": "{count} pépite · densité {density} – cliquez pour explorer",
+  "density.cell_other": "{count} pépites · densité {density} – cliquez pour explorer",
+  "density.title": "Densité de pépites cachées",
+  "density.low": "Peu / score faible",
+  "density.high": "Beaucoup / score élevé",
+  "density.loading": "Comptage des pépites…",
+  "density.summary_one": "{count} pépite dans {cells} cellules",
+  "density.summary_other": "{count} pépites dans {cells} cellules",
+  "density.empty": "Pas encore de données",
+  "density.recompute": "Recalculer pour cette vue",
+
+  "status.stale": "Hors ligne – résultats anciens ({age})",
+  "status.cached": "en cache ({age})",
+  "status.noSelectors": "Choisissez au moins une catégorie ou incluez les pépites cachées.",
+  "status.cancelled": "Recherche annulée.",
+  "status.busy": "serveur occupé ({reason})",
+  "status.retry": "nouvel essai",
+  "status.retryOn": "nouvel essai sur {host}",
+  "status.retryIn": "nouvel essai dans {seconds} s",
+  "status.retryOnIn": "nouvel essai sur {host} dans {seconds} s",
+  "status.findingPlaces": "Recherche des lieux",
+  "status.searchingLocation": "Recherche du lieu",
+  "status.error": "Erreur : {message}",
+  "status.noLocation": "Aucun résultat. Essayez : ville, région, pays",
+  "status.otherMatches_one": "{count} autre correspondance – choisissez-en une dans les suggestions",
+  "status.otherMatches_other": "{count} autres correspondances – choisissez-en une dans les suggestions",
+  "status.foundNear_one": "{count} lieu trouvé près de {where}",
+  "status.foundNear_other": "{count} lieux trouvés près de {where}",
+  "status.noneNear": "Aucun lieu trouvé dans ce rayon autour de {where}.",
+  "status.findingArea": "Recherche des lieux dans cette zone…",
+  "status.added_one": "{count} nouveau lieu ajouté ({total} au total)",
+  "status.added_other": "{count} nouveaux lieux ajoutés ({total} au total)",
+  "status.foundArea_one": "{count} lieu trouvé dans cette zone",
+  "status.foundArea_other": "{count} lieux trouvés dans cette zone",
+  "status.noneArea": "Aucun lieu trouvé dans cette zone.",
+  "status.openingPlace": "Ouverture du lieu",
+  "status.linkNotFound": "Le lieu {id} du lien est introuvable.",
+  "status.linkCopied": "Lien vers {name} copié.",
+  "status.findingNearYou": "Recherche des lieux autour de vous…",
+  "status.foundNearYou_one": "{count} lieu trouvé autour de vous",
+  "status.foundNearYou_other": "{count} lieux trouvés autour de vous",
+  "status.noneNearYou": "Aucun lieu trouvé autour de vous dans ce rayon.",
+  "status.locating": "Localisation en cours…",
+  "status.densityError": "Densité de pépites : {message}",
+  "status.offlineArea": "depuis une zone téléchargée ({age})",
+  "status.wentOffline": "Vous êtes hors ligne – les recherches utilisent les zones téléchargées",
+  "status.backOnline": "De nouveau en ligne",
+  "status.findingNearPin": "Recherche de lieux autour de l’épingle…",
+
+  "location.unsupported": "Ce navigateur ne peut pas partager votre position.",
+  "location.denied": "Accès à la position refusé – autorisez-le dans les réglages du navigateur pour utiliser Autour de moi.",
+  "location.unavailable": "Votre position est indisponible pour le moment.",
+  "location.timeout": "En attente de la localisation…",
+
+  "header.theme": "Thème",
+  "header.language": "Langue",
+  "header.units": "Unités de distance",
+  "header.unitsCurrent": "Unités de distance : {unit}",
+  "header.compare": "Comparer",
+  "header.compareHint": "Comparer ce lieu à d’autres côte à côte",
+  "header.journal": "Journal",
+  "header.journalHint": "Vos lieux visités, notes et commentaires",
+
+  "map.youAreHere": "Vous êtes ici (±{accuracy})",
+  "map.densityHint": "Où sont les pépites cachées ? Densité pondérée par le score autour de cette vue",
+  "map.hideDensity": "Masquer la densité",
+  "map.density": "Densité de pépites",
+  "map.nearMeStop": "Ne plus suivre votre position",
+  "map.nearMeHint": "Rechercher autour de votre position en direct",
+  "map.nearMeOn": "Autour de moi : activé",
+  "map.nearMe": "Autour de moi",
+  "map.searchAreaHint": "Rechercher dans la partie visible de la carte",
+  "map.searchArea": "Rechercher dans cette zone",
+  "map.areaModeHint": "Que faire des résultats actuels",
+  "map.replace": "Remplacer les résultats",
+  "map.merge": "Fusionner avec les résultats",
+  "map.cluster_one": "{count} lieu – zoomer",
+  "map.cluster_other": "{count} lieux – zoomer",
+  "map.dropPin": "Épingler",
+  "map.dropPinOn": "Épingler : activé",
+  "map.dropPinHint": "Cliquez sur la carte pour poser une épingle et chercher autour (clic droit ou appui long fonctionnent toujours)",
+
+  "popup.scoreDistance": "Score {score} · à {distance}",
+  "popup.saved": "Enregistré",
+  "popup.save": "Enregistrer",
+  "popup.inPlan": "Dans le parcours",
+  "popup.plan": "Parcours",
+  "popup.details": "Détails",
+  "popup.linkHint": "Copier un lien qui ouvre la carte sur ce lieu",
+  "popup.link": "Lien",
+  "popup.linkPrompt": "Lien vers ce lieu",
+
+  "sidebar.explore": "Explorer les environs",
+  "sidebar.editCategories": "Modifier les catégories",
+  "sidebar.includeGems": "Inclure les pépites cachées",
+  "sidebar.radius": "Rayon",
+  "sidebar.hours": "Horaires",
+  "sidebar.anyTime": "À tout moment",
+  "sidebar.openNow": "Ouvert maintenant",
+  "sidebar.openAt": "Ouvert à…",
+  "sidebar.timeZoneHint": "Les horaires sont évalués à l’heure locale de la zone recherchée",
+  "sidebar.refresh": "Actualiser les résultats",
+  "sidebar.cancel": "Annuler",
+  "sidebar.dayPlan": "Parcours du jour",
+  "sidebar.saved": "Lieux enregistrés",
+  "sidebar.openAtTime": "Date et heure",
+
+  "results.title": "Résultats",
+  "results.found_one": "{count} lieu trouvé",
+  "results.found_other": "{count} lieux trouvés",
+  "results.filtered": "{shown} lieux sur {count}",
+  "results.unsave": "Retirer de {list}",
+  "results.save": "Enregistrer dans {list}",
+  "results.unplan": "Retirer du parcours",
+  "results.plan": "Ajouter au parcours",
+  "results.scores": "Qualité {quality} · Pépite {gem}",
+  "results.away": "à {distance}",
+  "results.more": "Afficher {count} de plus ({left} restants)",
+  "results.noMatch": "Aucun lieu ne correspond à ces filtres.",
+  "results.noneOpen_one": "Le seul lieu n’est pas ouvert à ce moment-là (les lieux sans horaires sont masqués).",
+  "results.noneOpen_other": "Aucun des {count} lieux n’est ouvert à ce moment-là (les lieux sans horaires sont masqués).",
+  "results.empty": "Essayez une autre ville (ex. « Montréal, Québec, Canada ») puis Rechercher.",
+  "results.hint": "Les flèches parcourent les résultats et les ouvrent sur la carte. Entrée affiche la fiche, Échap ferme la bulle.",
+
+  "footer.credits": "Données : OpenStreetMap via l’API Overpass • Géocodage : Nominatim • Carte : Leaflet",
+  "footer.provider": "Fournisseur : {name}",
+
+  "category.restaurants": "Restaurants",
+  "category.attractions": "Sites à voir",
+  "category.hotels": "Hôtels",
+  "category.safety": "Sécurité",
+  "category.transport": "Transports",
+  "category.gems": "Pépites cachées",
+
+  "hours.unclear": "Horaires incertains",
+  "hours.closingSoon": "Ferme bientôt · {when}",
+  "hours.openUntil": "Ouvert · jusqu’à {when}",
+  "hours.open": "Ouvert",
+  "hours.closedOpens": "Fermé · ouvre {when}",
+  "hours.closed": "Fermé",
+  "hours.tomorrow": "demain {time}",
+  "hours.onDay": "{day} {time}",
+  "hours.checkHoliday": "{label} · vérifiez les horaires des jours fériés",
+
+  "weekday.0": "dim.",
+  "weekday.1": "lun.",
+  "weekday.2": "mar.",
+  "weekday.3": "mer.",
+  "weekday.4": "jeu.",
+  "weekday.5": "ven.",
+  "weekday.6": "sam.",
+
+  "theme.system": "Système",
+  "theme.dark": "Sombre",
+  "theme.light": "Clair",
+  "theme.contrast": "Contraste élevé",
+
+  "appearance.title": "Apparence",
+  "appearance.accents": "Couleurs d’accent",
+  "appearance.accent": "Principale",
+  "appearance.accent2": "Secondaire",
+  "appearance.resetColors": "Rétablir les couleurs",
+  "appearance.customTiles": "Tuiles personnalisées",
+  "appearance.tileUrl": "Modèle d’URL XYZ",
+  "appearance.attribution": "Attribution",
+  "appearance.useCustom": "Utiliser ces tuiles",
+  "appearance.customInUse": "Affichées sur la carte",
+
+  "basemap.label": "Fond de carte",
+  "basemap.auto": "Selon le thème",
+  "basemap.custom": "XYZ personnalisé",
+  "basemap.error.scheme": "L’URL doit commencer par http:// ou https://.",
+  "basemap.error.placeholders": "L’URL doit contenir {z}, {x} et {y}.",
+
+  "compare.title": "Comparer des lieux",
+  "common.explorer": "Explorateur",
+  "compare.add": "Ajouter un lieu",
+  "compare.remove": "Retirer ce lieu",
+  "compare.searchAll": "Tout rechercher",
+  "compare.categories": "Catégories",
+  "compare.pane": "Lieu {n}",
+  "compare.stats": "Côte à côte",
+  "compare.total": "Lieux trouvés",
+  "compare.gemDensity": "Pépites cachées par km²",
+  "compare.median.safety": "Distance médiane aux services de sécurité",
+  "compare.median.transport": "Distance médiane aux transports",
+  "compare.top": "Meilleurs lieux",
+
+  "offline.title": "Zones hors ligne",
+  "offline.offlineNow": "hors ligne",
+  "offline.hint": "Téléchargez la carte visible et les lieux des catégories choisies pour les explorer sans connexion.",
+  "offline.name": "Nom",
+  "offline.untitled": "Zone téléchargée",
+  "offline.detail": "Détail de la carte",
+  "offline.zoomRange": "Zoom {from}–{to}",
+  "offline.estimate_one": "{count} tuile, environ {size}",
+  "offline.estimate_other": "{count} tuiles, environ {size}",
+  "offline.tooLarge": "Trop de tuiles (max. {max}) : zoomez ou choisissez moins de détail.",
+  "offline.download": "Télécharger cette zone",
+  "offline.cancel": "Annuler le téléchargement",
+  "offline.needsNetwork": "Le téléchargement nécessite une connexion",
+  "offline.progressData": "Récupération des lieux…",
+  "offline.progressTiles": "Tuiles : {done} / {total}",
+  "offline.tilesFailed_one": "{count} tuile n’a pas pu être téléchargée.",
+  "offline.tilesFailed_other": "{count} tuiles n’ont pas pu être téléchargées.",
+  "offline.failed": "Échec du téléchargement : {message}",
+  "offline.storage": "Stockage : {used} sur {quota}",
+  "offline.areaInfo_one": "{date} · {size} · {count} lieu",
+  "offline.areaInfo_other": "{date} · {size} · {count} lieux",
+  "offline.delete": "Supprimer {name}",
+  "offline.deleteConfirm": "Supprimer la zone téléchargée « {name} » ?",
+  "offline.basemapForbids": "{name} n’autorise pas le téléchargement de ses tuiles pour un usage hors ligne. Pour enregistrer des zones, indiquez un serveur de tuiles qui le permet dans « Tuiles personnalisées » sous 🎨 Apparence.",
+
+  "journal.title": "Mon journal",
+  "journal.mine": "Mes notes",
+  "journal.visited": "Visité",
+  "journal.visitedOn": "Date de visite",
+  "journal.visitedDate": "visité le {date}",
+  "journal.rating": "Ma note",
+  "journal.rate_one": "{count} étoile",
+  "journal.rate_other": "{count} étoiles",
+  "journal.clearRating": "Effacer la note",
+  "journal.notes": "Notes",
+  "journal.notesPlaceholder": "Notes : ce que vous avez pris, avec qui y aller, quand…",
+  "journal.tags": "Étiquettes",
+  "journal.tagsPlaceholder": "Étiquettes, séparées par des virgules (terrasse, en amoureux)",
+  "journal.stats_one": "{count} lieu · {visited} visités · {rated} notés · {cities} villes",
+  "journal.stats_other": "{count} lieux · {visited} visités · {rated} notés · {cities} villes",
+  "journal.search": "Rechercher dans le journal",
+  "journal.searchPlaceholder": "Rechercher noms, notes, villes… ou #étiquette",
+  "journal.show": "Afficher",
+  "journal.show.all": "Tous les lieux",
+  "journal.show.visited": "Visités",
+  "journal.show.rated": "Notés",
+  "journal.show.notes": "Avec notes",
+  "journal.elsewhere": "Ailleurs",
+  "journal.empty": "Rien pour l’instant. Ouvrez les détails d’un lieu sur la carte pour le marquer visité, le noter ou ajouter des notes.",
+  "journal.noMatch": "Aucune entrée ne correspond.",
+  "journal.edit": "Modifier",
+  "journal.delete": "Retirer du journal",
+  "journal.deletePlace": "Retirer {name} du journal",
+  "journal.deleteConfirm": "Retirer « {name} » et ses notes de votre journal ?",
+  "journal.backup": "Sauvegarder",
+  "journal.backupHint": "Télécharger tout le journal en fichier JSON",
+  "journal.restore": "Restaurer…",
+  "journal.restoreHint": "Fusionner une sauvegarde avec ce journal ; la version la plus récente de chaque lieu l’emporte",
+  "journal.restored_one": "{count} entrée restaurée.",
+  "journal.restored_other": "{count} entrées restaurées.",
+  "journal.restoreFailed": "Échec de la restauration : {message}",
+
+  "pins.title": "Épingles",
+  "pins.label": "Épingle {n}",
+  "pins.lookingUp": "Recherche de l’adresse",
+  "pins.noAddress": "Aucune adresse ici",
+  "pins.searchHere": "Chercher ici",
+  "pins.remove": "Retirer l’épingle",
+  "pins.atCenter": "Épingler le centre",
+  "pins.atCenterHint": "Poser une épingle au centre de la carte et chercher autour",
+  "pins.clear": "Effacer les épingles",
+};
@@ -0,0 +1,377 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { CATEGORIES, HIDDEN_GEMS, compileCategories, loadCategorySettings } from "../lib/categories.js";
+import { REFERENCE_CATEGORIES, REFERENCE_SELECTORS, compareToCSV, compareToJSON, summarizeArea } from "../lib/compare.js";
+import { MAX_RESULTS, findPlaces, searchSelectors, toPlaces } from "../lib/search.js";
+import { loadWeights } from "../lib/scoring.js";
+import { createI18n, loadLocale, loadUnits } from "../lib/i18n.js";
+import { loadAccents, loadThemeKey, resolveTheme, themeVars } from "../lib/themes.js";
+import { loadBasemapSettings, resolveBasemap } from "../lib/basemaps.js";
+import { formatCompareState, formatUrlState, parseCompareState } from "../lib/urlState.js";
+import { isAbort } from "../lib/http.js";
+import { createProvider, readProviderConfig } from "../providers/index.js";
+import { createOfflineAreaStore } from "../lib/offlineAreas.js";
+import ComparePane from "../components/ComparePane.jsx";
+import { I18nContext, useI18n } from "../components/I18n.jsx";
+import { useEvent } from "../components/useEvent.js";
+import { styles } from "../styles.js";
+
+const provider = createProvider(readProviderConfig(), { offlineAreas: createOfflineAreaStore() });
+
+const MIN_PANES = 2;
+const MAX_PANES = 4;
+
+let paneIds = 0;
+
+function newPane(query = "") {
+  return { id: ++paneIds, query, picked: null, loading: false, status: "", result: null };
+}
+
+/**
+ * Two to four locations side by side, searched with the same categories and
+ * radius, with their summary stats in one table. Theme, language, custom
+ * categories and weights are the ones saved by the explorer.
+ */
+export default function CompareView() {
+  const theme = useMemo(() => resolveTheme(loadThemeKey(), loadAccents()), []);
+  const basemap = useMemo(() => resolveBasemap(loadBasemapSettings(), theme), [theme]);
+  const i18n = useMemo(() => createI18n(loadLocale(), loadUnits()), []);
+  const { t, locale } = i18n;
+
+  const restored = useMemo(() => parseCompareState(window.location.search), []);
+  const [panes, setPanes] = useState(() => {
+    const queries = restored.locations.slice(0, MAX_PANES);
+    while (queries.length < MIN_PANES) queries.push("");
+    return queries.map((q) => newPane(q));
+  });
+  const [activeCats, setActiveCats] = useState(restored.cats ?? ["restaurants"]);
+  const [useGems, setUseGems] = useState(restored.gems ?? true);
+  const [radiusKm, setRadiusKm] = useState(restored.radiusKm ?? 2);
+
+  const catSettings = useMemo(() => loadCategorySettings(), []);
+  const weights = useMemo(() => loadWeights(), []);
+  const allCategories = useMemo(() => [...CATEGORIES, ...catSettings.custom], [catSettings]);
+  const gemSelectors = catSettings.gems || HIDDEN_GEMS.overpass;
+  const selectedCategories = useMemo(
+    () => allCategories.filter((c) => activeCats.includes(c.key)),
+    [allCategories, activeCats]
+  );
+  const compiled = useMemo(
+    () => compileCategories([...selectedCategories, { ...HIDDEN_GEMS, overpass: gemSelectors }]),
+    [selectedCategories, gemSelectors]
+  );
+
+  const controllers = useRef(new Map());
+  // Joined so the URL only changes when a query does, not on every pane update.
+  const queriesKey = panes.map((p) => p.query).join("\n");
+  const settingsKey = `${activeCats.join(",")}#${useGems}#${radiusKm}`;
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  useEffect(() => {
+    const search = formatCompareState({ locations: queriesKey.split("\n"), cats: activeCats, gems: useGems, radiusKm });
+    window.history.replaceState(null, "", `?${search}`);
+  }, [queriesKey, activeCats, useGems, radiusKm]);
+
+  // Search the linked locations on load, and again when the shared settings change.
+  const searchedKey = useRef(null);
+  const searchForSettings = useEvent(() => {
+    const first = searchedKey.current == null;
+    searchedKey.current = settingsKey;
+    searchAll(first ? panes : panes.filter((p) => p.result));
+  });
+  useEffect(() => {
+    const timer = setTimeout(searchForSettings, searchedKey.current == null ? 0 : 600);
+    return () => clearTimeout(timer);
+  }, [settingsKey, searchForSettings]);
+
+  function categoryLabel(c) {
+    return i18n.has(`category.${c.key}`) ? t(`category.${c.key}`) : c.label;
+  }
+
+  function updatePane(id, patch) {
+    setPanes((ps) => ps.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+  }
+
+  async function searchPane(pane) {
+    if (!pane.query.trim()) return;
+    if (!searchSelectors(selectedCategories, { gems: useGems, gemSelectors }).length) {
+      updatePane(pane.id, { status: t("status.noSelectors") });
+      return;
+    }
+    controllers.current.get(pane.id)?.abort();
+    const controller = new AbortController();
+    controllers.current.set(pane.id, controller);
+    const { signal } = controller;
+
+    updatePane(pane.id, { loading: true, status: `${t("status.findingPlaces")}…` });
+    try {
+      const picked = pane.picked?.display_name === pane.query ? pane.picked : null;
+      const { location, places } = await findPlaces({
+        provider,
+        location: picked ? { lat: picked.lat, lon: picked.lon, name: picked.display_name } : pane.query,
+        categories: selectedCategories,
+        gems: useGems,
+        gemSelectors,
+        radiusKm,
+        weights,
+        lang: locale,
+        signal,
+      });
+      if (signal.aborted) return;
+      if (!location) {
+        updatePane(pane.id, { loading: false, status: t("status.noLocation"), result: null });
+        return;
+      }
+
+      const reference = await provider.pois({
+        area: { type: "around", lat: location.lat, lon: location.lon, radiusM: Math.round(radiusKm * 1000) },
+        selectors: REFERENCE_SELECTORS,
+        limit: MAX_RESULTS,
+        signal,
+      });
+      if (signal.aborted) return;
+
+      const summary = summarizeArea({
+        places,
+        reference: toPlaces(reference, { lat: location.lat, lng: location.lon }),
+        categories: selectedCategories,
+        gems: useGems,
+        gemSelectors,
+        radiusKm,
+      });
+      updatePane(pane.id, { loading: false, status: "", result: { location, places, summary } });
+    } catch (e) {
+      if (!isAbort(e, signal)) updatePane(pane.id, { loading: false, status: t("status.error", { message: e.message }) });
+    }
+  }
+
+  // One pane at a time, to go easy on the public Overpass servers.
+  async function searchAll(list = panes) {
+    for (const pane of list) await searchPane(pane);
+  }
+
+  function pickLocation(pane, candidate) {
+    const next = { ...pane, query: candidate.display_name, picked: candidate };
+    updatePane(pane.id, { query: next.query, picked: candidate });
+    searchPane(next);
+  }
+
+  function removePane(id) {
+    controllers.current.get(id)?.abort();
+    controllers.current.delete(id);
+    setPanes((ps) => ps.filter((p) => p.id !== id));
+  }
+
+  function toggleCategory(key) {
+    setActiveCats((keys) => (keys.includes(key) ? keys.filter((k) => k !== key) : [...keys, key]));
+  }
+
+  const compared = panes.filter((p) => p.result).map((p) => ({ query: p.query, ...p.result }));
+
+  function download(format) {
+    const text =
+      format === "csv"
+        ? compareToCSV(compared, { categories: selectedCategories })
+        : compareToJSON(compared, { categories: selectedCategories, gems: useGems, radiusKm });
+    const blob = new Blob([text], { type: format === "csv" ? "text/csv" : "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `worldgems-compare.${format}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  const explorerHref = `?${formatUrlState({ query: panes[0]?.query || null, cats: activeCats, gems: useGems, radiusKm })}`;
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <div style={{ ...styles.shell(theme), ...themeVars(theme) }}>
+        <div style={{ maxWidth: 1400, margin: "0 auto", display: "grid", gap: 18 }}>
+          <header style={{ ...styles.card(theme), padding: 14, display: "grid", gap: 12 }}>
+            <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+              <a href={explorerHref} style={{ ...styles.button(theme), textDecoration: "none" }}>
+                ← {t("common.explorer")}
+              </a>
+              <h1 style={{ fontSize: 20, fontWeight: 900, margin: 0, flex: 1 }}>⚖️ {t("compare.title")}</h1>
+              <button
+                style={styles.button(theme)}
+                onClick={() => setPanes((ps) => [...ps, newPane()])}
+                disabled={panes.length >= MAX_PANES}
+              >
+                ＋ {t("compare.add")}
+              </button>
+              <button style={styles.button(theme)} onClick={() => searchAll()} disabled={panes.some((p) => p.loading)}>
+                {t("compare.searchAll")}
+              </button>
+              <button style={styles.button(theme)} onClick={() => download("csv")} disabled={!compared.length}>
+                ⬇ CSV
+              </button>
+              <button style={styles.button(theme)} onClick={() => download("json")} disabled={!compared.length}>
+                ⬇ JSON
+              </button>
+            </div>
+
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }} role="group" aria-label={t("compare.categories")}>
+              {allCategories.map((c) => {
+                const active = activeCats.includes(c.key);
+                return (
+                  <button
+                    key={c.key}
+                    type="button"
+                    style={{ ...styles.pill(theme, active), width: "auto", padding: "8px 12px" }}
+                    onClick={() => toggleCategory(c.key)}
+                    aria-pressed={active}
+                  >
+                    <span aria-hidden="true">{c.icon}</span>
+                    <span style={{ fontWeight: 700 }}>{categoryLabel(c)}</span>
+                  </button>
+                );
+              })}
+              <label style={{ display: "flex", gap: 8, alignItems: "center", marginLeft: 6 }}>
+                <input type="checkbox" checked={useGems} onChange={(e) => setUseGems(e.target.checked)} />
+                <span style={{ fontWeight: 700 }}>
+                  <span aria-hidden="true">{HIDDEN_GEMS.icon}</span> {t("sidebar.includeGems")}
+                </span>
+              </label>
+              <label htmlFor="compare-radius" style={{ opacity: 0.75, fontSize: 12, marginLeft: 6 }}>
+                {t("sidebar.radius")}
+              </label>
+              <input
+                id="compare-radius"
+                type="range"
+                min={1}
+                max={20}
+                value={radiusKm}
+                onChange={(e) => setRadiusKm(Number(e.target.value))}
+                aria-valuetext={i18n.formatDistance(radiusKm)}
+              />
+              <span style={{ minWidth: 44, fontWeight: 700 }} aria-hidden="true">
+                {i18n.formatDistance(radiusKm)}
+              </span>
+            </div>
+          </header>
+
+          <div style={{ display: "grid", gridTemplateColumns: `repeat(${panes.length}, minmax(0, 1fr))`, gap: 18 }}>
+            {panes.map((pane, index) => (
+              <ComparePane
+                key={pane.id}
+                theme={theme}
+                basemap={basemap}
+                provider={provider}
+                pane={pane}
+                index={index}
+                radiusKm={radiusKm}
+                compiled={compiled}
+                canRemove={panes.length > MIN_PANES}
+                onQueryChange={(query) => updatePane(pane.id, { query })}
+                onPick={(candidate) => pickLocation(pane, candidate)}
+                onSearch={() => searchPane(pane)}
+                onRemove={() => removePane(pane.id)}
+              />
+            ))}
+          </div>
+
+          {compared.length > 0 && (
+            <section style={{ ...styles.card(theme), padding: 14, overflowX: "auto" }} aria-labelledby="compare-stats-title">
+              <h2 id="compare-stats-title" style={{ fontWeight: 900, fontSize: 16, margin: "0 0 12px" }}>
+                {t("compare.stats")}
+              </h2>
+              <CompareTable
+                theme={theme}
+                compared={compared}
+                categories={selectedCategories}
+                gems={useGems}
+                categoryLabel={categoryLabel}
+              />
+            </section>
+          )}
+        </div>
+      </div>
+    </I18nContext.Provider>
+  );
+}
+
+/**
+ * One row per stat, one column per location; the best value in a row is bold.
+ */
+function CompareTable({ theme, compared, categories, gems, categoryLabel }) {
+  const { t, formatNumber, formatDistance } = useI18n();
+  const rows = [
+    { label: t("compare.total"), values: compared.map((c) => c.summary.total), best: "max", format: formatNumber },
+    ...categories.map((cat) => ({
+      label: `${cat.icon} ${categoryLabel(cat)}`,
+      values: compared.map((c) => c.summary.counts[cat.key]),
+      best: "max",
+      format: formatNumber,
+    })),
+    ...(gems
+      ? [
+          {
+            label: `${HIDDEN_GEMS.icon} ${t("compare.gemDensity")}`,
+            values: compared.map((c) => c.summary.gemsPerKm2),
+            best: "max",
+            format: (n) => formatNumber(Math.round(n * 10) / 10),
+          },
+        ]
+      : []),
+    ...REFERENCE_CATEGORIES.map((cat) => ({
+      label: `${cat.icon} ${t(`compare.median.${cat.key}`)}`,
+      values: compared.map((c) => c.summary.medianKm[cat.key]),
+      best: "min",
+      format: formatDistance,
+    })),
+  ];
+  const cell = { padding: "8px 10px", borderBottom: styles.divider(theme), textAlign: "left", verticalAlign: "top" };
+
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+      <thead>
+        <tr>
+          <td style={cell} />
+          {compared.map((c, i) => (
+            <th key={i} style={cell} scope="col">
+              {c.location.name.split(",").slice(0, 2).join(",")}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => {
+          const known = row.values.filter((v) => v != null);
+          const best = known.length > 1 ? (row.best === "max" ? Math.max(...known) : Math.min(...known)) : null;
+          return (
+            <tr key={row.label}>
+              <th style={{ ...cell, fontWeight: 700, opacity: 0.85 }} scope="row">
+                {row.label}
+              </th>
+              {row.values.map((v, i) => (
+                <td key={i} style={{ ...cell, fontWeight: v === best ? 900 : 400 }}>
+                  {v == null ? "—" : row.format(v)}
+                </td>
+              ))}
+            </tr>
+          );
+        })}
+        <tr>
+          <th style={{ ...cell, fontWeight: 700, opacity: 0.85 }} scope="row">
+            {t("compare.top")}
+          </th>
+          {compared.map((c, i) => (
+            <td key={i} style={cell}>
+              <ol style={{ margin: 0, paddingLeft: 18 }}>
+                {c.summary.top.map((p) => (
+                  <li key={p.id}>
+                    {p.name} <span style={{ opacity: 0.7 }}>· {p.score}</span>
+                  </li>
+                ))}
+              </ol>
+            </td>
+          ))}
+        </tr>
+      </tbody>
+    </table>
+  );
+}
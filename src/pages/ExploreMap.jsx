@@ -1,6 +1,63 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { MapContainer, Marker, Popup, TileLayer, useMap } from "react-leaflet";
+import {
+  Circle,
+  CircleMarker,
+  MapContainer,
+  Marker,
+  Polygon,
+  Polyline,
+  Popup,
+  TileLayer,
+  useMap,
+  useMapEvents,
+} from "react-leaflet";
 import L from "leaflet";
+import { bboxFromNominatim, haversineKm, radiusForBbox } from "../lib/geo.js";
+import { loadWeights, saveWeights, scorePlaces } from "../lib/scoring.js";
+import { MAX_RESULTS, findPlaces, rankPlaces, searchSelectors, toPlaces } from "../lib/search.js";
+import ClusteredMarkers from "../components/ClusteredMarkers.jsx";
+import LocationSearch from "../components/LocationSearch.jsx";
+import ScoreBreakdown from "../components/ScoreBreakdown.jsx";
+import WeightsPanel from "../components/WeightsPanel.jsx";
+import OpenBadge from "../components/OpenBadge.jsx";
+import PlaceDetails from "../components/PlaceDetails.jsx";
+import FacetsPanel from "../components/FacetsPanel.jsx";
+import { facetCounts, filterPlaces, prettyType, sortPlaces } from "../lib/facets.js";
+import { localParts, openingStatus, partsFromLocalInput } from "../lib/openingHours.js";
+import {
+  CATEGORIES,
+  HIDDEN_GEMS,
+  categoryOf,
+  compileCategories,
+  loadCategorySettings,
+  saveCategorySettings,
+} from "../lib/categories.js";
+import CategoryEditor from "../components/CategoryEditor.jsx";
+import SavedLists from "../components/SavedLists.jsx";
+import { addToList, createList, loadLists, removeFromList, saveLists, toSavedPlace } from "../lib/lists.js";
+import { dropPinIcon, placeIcon, stopIcon } from "../components/markerIcons.js";
+import JournalEditor, { journalSummary } from "../components/JournalEditor.jsx";
+import ItineraryPanel from "../components/ItineraryPanel.jsx";
+import { loadPlans, savePlans } from "../lib/itinerary.js";
+import { createProvider, readProviderConfig } from "../providers/index.js";
+import { createOfflineAreaStore } from "../lib/offlineAreas.js";
+import OfflinePanel from "../components/OfflinePanel.jsx";
+import PinsBar from "../components/PinsBar.jsx";
+import { isAbort } from "../lib/http.js";
+import { formatCompareState, formatUrlState, parseUrlState, placePermalink } from "../lib/urlState.js";
+import { watchLocation } from "../lib/geolocation.js";
+import { cellSizeForBbox, hexBin } from "../lib/hexgrid.js";
+import DensityLayer, { DensityLegend } from "../components/DensityLayer.jsx";
+import { I18nContext } from "../components/I18n.jsx";
+import { useEvent } from "../components/useEvent.js";
+import { usePins } from "../components/usePins.js";
+import { useJournal } from "../components/useJournal.js";
+import { useOnline } from "../components/useOnline.js";
+import { LOCALES, createI18n, loadLocale, loadUnits, localName, saveLocale, saveUnits } from "../lib/i18n.js";
+import AppearancePanel, { basemapLabel } from "../components/AppearancePanel.jsx";
+import { THEMES, loadAccents, loadThemeKey, prefersDark, resolveTheme, saveAccents, saveThemeKey, themeVars } from "../lib/themes.js";
+import { BASEMAPS, loadBasemapSettings, resolveBasemap, saveBasemapSettings, validateTileUrl } from "../lib/basemaps.js";
+import { styles } from "../styles.js";
 
 /**
  * Fix Leaflet marker icons in Vite (common gotcha)
@@ -16,645 +73,1788 @@ L.Icon.Default.mergeOptions({
   shadowUrl: markerShadow,
 });
 
-function FlyTo({ center, zoom }) {
+function FlyTo({ center, zoom, bounds }) {
   const map = useMap();
   useEffect(() => {
+    if (bounds) {
+      map.flyToBounds(
+        [
+          [bounds.south, bounds.west],
+          [bounds.north, bounds.east],
+        ],
+        { duration: 1.1 }
+      );
+      return;
+    }
     if (!center) return;
     map.flyTo(center, zoom ?? map.getZoom(), { duration: 1.1 });
-  }, [center, zoom, map]);
+  }, [center, zoom, bounds, map]);
   return null;
 }
 
 /**
- * Categories + Overpass tag queries
- * We use Overpass around (lat,lon) to pull POIs.
+ * Reports the visible bounds + center whenever the map stops moving.
  */
-const CATEGORIES = [
-  {
-    key: "restaurants",
-    label: "Restaurants",
-    icon: "🍽️",
-    overpass: [
-      'node["amenity"="restaurant"]',
-      'node["amenity"="cafe"]',
-      'node["amenity"="bar"]',
-      'node["amenity"="fast_food"]',
-    ],
-  },
-  {
-    key: "attractions",
-    label: "Attractions",
-    icon: "📍",
-    overpass: [
-      'node["tourism"="attraction"]',
-      'node["tourism"="museum"]',
-      'node["tourism"="gallery"]',
-      'node["tourism"="zoo"]',
-      'node["tourism"="theme_park"]',
-      'node["tourism"="viewpoint"]',
-      'node["historic"]',
-      'node["leisure"="park"]',
-    ],
-  },
-  {
-    key: "hotels",
-    label: "Hotels",
-    icon: "🏨",
-    overpass: [
-      'node["tourism"="hotel"]',
-      'node["tourism"="hostel"]',
-      'node["tourism"="guest_house"]',
-      'node["tourism"="motel"]',
-    ],
-  },
-  {
-    key: "safety",
-    label: "Safety Info",
-    icon: "🛡️",
-    overpass: [
-      'node["amenity"="police"]',
-      'node["amenity"="hospital"]',
-      'node["amenity"="clinic"]',
-      'node["amenity"="pharmacy"]',
-      'node["amenity"="fire_station"]',
-    ],
-  },
-  {
-    key: "transport",
-    label: "Transport",
-    icon: "🚆",
-    overpass: [
-      'node["railway"="station"]',
-      'node["railway"="subway_entrance"]',
-      'node["public_transport"="station"]',
-      'node["amenity"="bus_station"]',
-      'node["aeroway"="aerodrome"]',
-    ],
-  },
-];
+function ViewportWatcher({ onChange }) {
+  const map = useMapEvents({
+    moveend: () => onChange(readViewport(map)),
+  });
+  useEffect(() => {
+    onChange(readViewport(map));
+  }, [map, onChange]);
+  return null;
+}
 
 /**
- * Hidden gems = niche/less obvious POIs
+ * Drops a pin where the map is right-clicked or long-pressed, and on plain
+ * clicks while `armed` (plain clicks also close popups, so they only drop
+ * pins on request).
  */
-const HIDDEN_GEMS = {
-  key: "gems",
-  label: "Hidden Gems",
-  icon: "✨",
-  overpass: [
-    'node["tourism"="artwork"]',
-    'node["tourism"="information"]["information"="board"]',
-    'node["amenity"="library"]',
-    'node["amenity"="community_centre"]',
-    'node["leisure"="garden"]',
-    'node["leisure"="escape_game"]',
-    'node["amenity"="arts_centre"]',
-    'node["amenity"="studio"]',
-    'node["shop"="antique"]',
-    'node["shop"="vintage"]',
-    'node["shop"="second_hand"]',
-    'node["craft"]',
-    'node["amenity"="music_venue"]',
-    'node["amenity"="theatre"]',
-  ],
-};
-
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
+function PinDropper({ armed, onDrop }) {
+  useMapEvents({
+    click: (e) => armed && onDrop(e.latlng),
+    contextmenu: (e) => onDrop(e.latlng),
+  });
+  return null;
 }
 
-function haversineKm(a, b) {
-  const toRad = (x) => (x * Math.PI) / 180;
-  const R = 6371;
-  const dLat = toRad(b.lat - a.lat);
-  const dLon = toRad(b.lng - a.lng);
-  const lat1 = toRad(a.lat);
-  const lat2 = toRad(b.lat);
-  const s =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
-  return 2 * R * Math.asin(Math.sqrt(s));
+function readViewport(map) {
+  const b = map.getBounds();
+  const c = map.getCenter();
+  return {
+    bounds: { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() },
+    center: { lat: c.lat, lng: c.lng },
+    zoom: map.getZoom(),
+  };
 }
 
-async function fetchOverpass({ lat, lon, radiusM, selectors }) {
-  const around = `(around:${radiusM},${lat},${lon})`;
-  const body = `
-    [out:json][timeout:25];
-    (
-      ${selectors.map((s) => `${s}${around};`).join("\n")}
-    );
-    out body 80;
-  `.trim();
+const provider = createProvider(readProviderConfig(), { offlineAreas: createOfflineAreaStore() });
 
-  const res = await fetch("https://overpass-api.de/api/interpreter", {
-    method: "POST",
-    headers: { "Content-Type": "text/plain;charset=UTF-8" },
-    body,
-  });
+const PAGE_SIZE = 50;
 
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`Overpass error: ${res.status} ${txt.slice(0, 180)}`);
-  }
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
-  const json = await res.json();
-  return json.elements || [];
+// Near me re-runs the search once you are this far from where it last ran.
+function nearRefreshKm(radiusKm) {
+  return Math.max(0.3, radiusKm / 4);
 }
 
-async function geocode(q) {
-  const url =
-    "https://nominatim.openstreetmap.org/search?" +
-    new URLSearchParams({
-      q,
-      format: "json",
-      addressdetails: "1",
-      limit: "1",
-    }).toString();
-
-  const res = await fetch(url, {
-    headers: {
-      "Accept-Language": "en",
-    },
-  });
-
-  if (!res.ok) throw new Error(`Geocode failed (${res.status})`);
-  const data = await res.json();
-  return data?.[0] || null;
+/**
+ * Status suffix telling the user where results came from.
+ */
+function cacheNote(meta, { t, locale }) {
+  if (!meta || meta.source === "network") return "";
+  const age = timeAgo(meta.storedAt, locale);
+  if (meta.source === "offline") return ` · 📦 ${t("status.offlineArea", { age })}`;
+  return meta.stale ? ` · ⚠️ ${t("status.stale", { age })}` : ` · ${t("status.cached", { age })}`;
 }
 
-const styles = {
-  shell: (dark) => ({
-    minHeight: "100vh",
-    padding: "24px",
-    background: dark
-      ? "radial-gradient(1000px 600px at 30% 10%, rgba(140,80,255,0.25), transparent 60%), radial-gradient(900px 500px at 80% 20%, rgba(0,200,255,0.18), transparent 60%), #0b0b12"
-      : "radial-gradient(900px 600px at 25% 10%, rgba(140,80,255,0.18), transparent 60%), radial-gradient(900px 500px at 80% 20%, rgba(0,200,255,0.12), transparent 60%), #f7f7ff",
-    color: dark ? "#eef" : "#111",
-    fontFamily:
-      'ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, Helvetica, Arial',
-  }),
-  card: (dark) => ({
-    background: dark ? "rgba(255,255,255,0.06)" : "rgba(255,255,255,0.8)",
-    border: dark
-      ? "1px solid rgba(255,255,255,0.10)"
-      : "1px solid rgba(20,20,40,0.10)",
-    boxShadow: dark
-      ? "0 20px 80px rgba(0,0,0,0.45), 0 0 0 1px rgba(150,110,255,0.10) inset"
-      : "0 20px 80px rgba(25,25,70,0.12), 0 0 0 1px rgba(140,80,255,0.08) inset",
-    borderRadius: 18,
-    backdropFilter: "blur(12px)",
-  }),
-  pill: (dark, active) => ({
-    display: "flex",
-    alignItems: "center",
-    gap: 10,
-    width: "100%",
-    padding: "12px 14px",
-    borderRadius: 14,
-    border: active
-      ? "1px solid rgba(140,80,255,0.65)"
-      : dark
-        ? "1px solid rgba(255,255,255,0.10)"
-        : "1px solid rgba(20,20,40,0.10)",
-    background: active
-      ? dark
-        ? "linear-gradient(90deg, rgba(140,80,255,0.28), rgba(0,200,255,0.12))"
-        : "linear-gradient(90deg, rgba(140,80,255,0.14), rgba(0,200,255,0.10))"
-      : dark
-        ? "rgba(255,255,255,0.05)"
-        : "rgba(255,255,255,0.75)",
-    cursor: "pointer",
-    transition: "transform 0.08s ease, border-color 0.2s ease",
-    userSelect: "none",
-  }),
-  input: (dark) => ({
-    width: "100%",
-    padding: "12px 14px",
-    borderRadius: 14,
-    border: dark
-      ? "1px solid rgba(255,255,255,0.12)"
-      : "1px solid rgba(20,20,40,0.12)",
-    background: dark ? "rgba(255,255,255,0.05)" : "rgba(255,255,255,0.85)",
-    color: dark ? "#eef" : "#111",
-    outline: "none",
-  }),
-  button: (dark) => ({
-    padding: "10px 12px",
-    borderRadius: 14,
-    border: dark
-      ? "1px solid rgba(255,255,255,0.12)"
-      : "1px solid rgba(20,20,40,0.12)",
-    background: dark ? "rgba(255,255,255,0.06)" : "rgba(255,255,255,0.9)",
-    color: dark ? "#eef" : "#111",
-    cursor: "pointer",
-  }),
-};
+function timeAgo(ts, locale) {
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: "auto", style: "short" });
+  const mins = Math.round((Date.now() - ts) / 60000);
+  if (mins < 60) return format.format(-mins, "minute");
+  const hours = Math.round(mins / 60);
+  if (hours < 48) return format.format(-hours, "hour");
+  return format.format(-Math.round(hours / 24), "day");
+}
 
 export default function ExploreMap() {
-  const [dark, setDark] = useState(() => {
-    const v = localStorage.getItem("wm_theme");
-    return v ? v === "dark" : true;
-  });
+  // Theme ("system" follows the OS setting), accent overrides and map tiles.
+  const [themeKey, setThemeKey] = useState(() => loadThemeKey());
+  const [accents, setAccents] = useState(() => loadAccents());
+  const [systemDark, setSystemDark] = useState(() => prefersDark());
+  const [basemapSettings, setBasemapSettings] = useState(() => loadBasemapSettings());
+  const theme = useMemo(() => resolveTheme(themeKey, accents, systemDark), [themeKey, accents, systemDark]);
+  const basemap = resolveBasemap(basemapSettings, theme);
+
+  useEffect(() => {
+    saveThemeKey(themeKey);
+  }, [themeKey]);
+
+  useEffect(() => {
+    saveAccents(accents);
+  }, [accents]);
 
   useEffect(() => {
-    localStorage.setItem("wm_theme", dark ? "dark" : "light");
-  }, [dark]);
+    saveBasemapSettings(basemapSettings);
+  }, [basemapSettings]);
 
-  const [query, setQuery] = useState("Paris, France");
-  const [center, setCenter] = useState({ lat: 48.8566, lng: 2.3522 });
-  const [zoom, setZoom] = useState(12);
+  useEffect(() => {
+    const query = window.matchMedia?.("(prefers-color-scheme: dark)");
+    if (!query) return;
+    const onChange = (e) => setSystemDark(e.matches);
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+  }, []);
+
+  // UI language (also used for geocoding and `name:<lang>` tags) and distance units.
+  const [locale, setLocale] = useState(() => loadLocale());
+  const [units, setUnits] = useState(() => loadUnits());
+  const i18n = useMemo(() => createI18n(locale, units), [locale, units]);
+  const { t, formatDistance } = i18n;
 
-  const [activeCat, setActiveCat] = useState("restaurants");
-  const [useGems, setUseGems] = useState(true);
+  useEffect(() => {
+    saveLocale(locale);
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  useEffect(() => {
+    saveUnits(units);
+  }, [units]);
 
-  const [radiusKm, setRadiusKm] = useState(6);
+  // The URL holds the last search and the view (see lib/urlState.js). It is
+  // applied on load and on back/forward; `restored` then triggers the search.
+  const [restored, setRestored] = useState(() => parseUrlState(window.location.search));
+
+  const [query, setQuery] = useState(restored.query ?? "Paris, France");
+  const [center, setCenter] = useState(restored.center ?? { lat: 48.8566, lng: 2.3522 });
+  const [zoom, setZoom] = useState(restored.zoom ?? 12);
+  const [bounds, setBounds] = useState(null);
+  const [picked, setPicked] = useState(null);
+
+  const [activeCats, setActiveCats] = useState(restored.cats ?? ["restaurants"]);
+  const [useGems, setUseGems] = useState(restored.gems ?? true);
+  const [catSettings, setCatSettings] = useState(() => loadCategorySettings());
+  const [editingCats, setEditingCats] = useState(false);
+
+  const [radiusKm, setRadiusKm] = useState(restored.radiusKm ?? 6);
   const [places, setPlaces] = useState([]);
+  const [weights, setWeights] = useState(() => loadWeights());
   const [selectedId, setSelectedId] = useState(null);
+  const [detailsId, setDetailsId] = useState(null);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  // Opening hours are evaluated in the searched area's time zone.
+  const [timeZone, setTimeZone] = useState(BROWSER_TIME_ZONE);
+  const [now, setNow] = useState(() => new Date());
+  const [hoursFilter, setHoursFilter] = useState("any");
+  const [hoursAt, setHoursAt] = useState("");
+
+  const [lists, setLists] = useState(() => loadLists());
+  const [activeListId, setActiveListId] = useState(() => localStorage.getItem("wm_active_list"));
+
+  const { journal, annotatePlace } = useJournal();
+
+  const [plan, setPlan] = useState({ id: null, name: "", stops: [] });
+  const [plans, setPlans] = useState(() => loadPlans());
+
+  const [filterText, setFilterText] = useState("");
+  const [facetSelection, setFacetSelection] = useState({});
+  const [sort, setSort] = useState("score");
+
+  // Near me: live position from watchPosition, with distances measured from it.
+  const [nearMe, setNearMe] = useState(false);
+  const [userPos, setUserPos] = useState(null);
+
+  // Dropped pins to search around; `pinMode` drops them on plain clicks.
+  const {
+    pins,
+    activePin,
+    activePinId,
+    setActivePinId,
+    pinMode,
+    setPinMode,
+    addPin,
+    removePin,
+    clearPins,
+    pinAddress,
+    pinName,
+  } = usePins({ provider, locale, t });
+
+  // Gem density layer: its own Overpass query over a wider area than the results.
+  const [showDensity, setShowDensity] = useState(false);
+  const [density, setDensity] = useState(null);
+  const [densityLoading, setDensityLoading] = useState(false);
+
+  const [viewport, setViewport] = useState(null);
+  const [areaMode, setAreaMode] = useState("replace");
 
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState("");
 
   const markerRefs = useRef(new Map());
+  const resultRefs = useRef(new Map());
+  const resultsRef = useRef(null);
+  const detailsRef = useRef(null);
+  // Keyboard focus waiting for its target to render: "result" or "details".
+  const pendingFocus = useRef(null);
+  // Place whose popup was opened from the keyboard; focus moves into it.
+  const popupFocus = useRef(null);
+  // What "Refresh results" and AutoRefresh repeat: the named place or a map area.
+  const lastSearch = useRef({ kind: "place" });
+  const searchRef = useRef(null);
+  // URL fields of the last search, and the settings it ran with (for AutoRefresh).
+  const searchedUrl = useRef(null);
+  const searchedKey = useRef(null);
+  // Where the last Near me search ran; null until the first fix.
+  const nearOrigin = useRef(null);
+  const nearPush = useRef(true);
+  const densityRef = useRef(null);
+
+  useEffect(() => {
+    saveCategorySettings(catSettings);
+  }, [catSettings]);
+
+  useEffect(() => {
+    saveLists(lists);
+  }, [lists]);
+
+  useEffect(() => {
+    if (activeListId) localStorage.setItem("wm_active_list", activeListId);
+    else localStorage.removeItem("wm_active_list");
+  }, [activeListId]);
+
+  useEffect(() => {
+    savePlans(plans);
+  }, [plans]);
+
+  // Searches fall back to downloaded areas while offline (see OfflinePanel).
+  useOnline((online) => setStatus(t(online ? "status.backOnline" : "status.wentOffline")));
+
+  const planIds = useMemo(() => new Set(plan.stops.map((s) => s.id)), [plan]);
+
+  function togglePlanStop(p) {
+    setPlan((current) => ({
+      ...current,
+      stops: current.stops.some((s) => s.id === p.id)
+        ? current.stops.filter((s) => s.id !== p.id)
+        : [...current.stops, toSavedPlace(p)],
+    }));
+  }
+
+  const activeList = lists.find((l) => l.id === activeListId) || lists[0] || null;
+  const savedIds = useMemo(() => new Set(activeList?.places.map((p) => p.id)), [activeList]);
+
+  const allCategories = useMemo(() => [...CATEGORIES, ...catSettings.custom], [catSettings]);
+  const gemsCategory = useMemo(
+    () => ({ ...HIDDEN_GEMS, overpass: catSettings.gems || HIDDEN_GEMS.overpass }),
+    [catSettings]
+  );
+  const selectedCategories = useMemo(
+    () => allCategories.filter((c) => activeCats.includes(c.key)),
+    [allCategories, activeCats]
+  );
+
+  // Built-in categories are translated; custom ones keep the user's label.
+  function categoryLabel(c) {
+    return i18n.has(`category.${c.key}`) ? t(`category.${c.key}`) : c.label;
+  }
+
+  function toggleCategory(key) {
+    setActiveCats((keys) => (keys.includes(key) ? keys.filter((k) => k !== key) : [...keys, key]));
+  }
+
+  useEffect(() => {
+    saveWeights(weights);
+  }, [weights]);
+
+  // Names follow the UI language; in Near me mode distances follow the user.
+  const located = useMemo(
+    () =>
+      places.map((p) => ({
+        ...p,
+        name: localName(p.tags, locale) || p.name,
+        ...(nearMe && userPos ? { distanceKm: haversineKm(userPos, { lat: p.lat, lng: p.lon }) } : {}),
+      })),
+    [places, nearMe, userPos, locale]
+  );
+
+  // Scores depend on the whole result set (rarity) and the user's weights,
+  // so they are derived here rather than stored with each place.
+
+  const ranked = useMemo(
+    () => rankPlaces(located, weights, gemsCategory.overpass),
+    [located, weights, gemsCategory]
+  );
+
+  // Marker color/emoji: the first selected category a place matches, else Hidden Gems.
+  const categoryById = useMemo(() => {
+    const compiled = compileCategories([...selectedCategories, gemsCategory]);
+    const map = new Map();
+    for (const p of ranked) map.set(p.id, categoryOf(p, compiled));
+    return map;
+  }, [ranked, selectedCategories, gemsCategory]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Local wall-clock time the badges and the hours filter refer to.
+  const hoursParts = useMemo(
+    () => (hoursFilter === "at" && partsFromLocalInput(hoursAt)) || localParts(now, timeZone),
+    [hoursFilter, hoursAt, now, timeZone]
+  );
+
+  const hoursById = useMemo(() => {
+    const map = new Map();
+    for (const p of ranked) {
+      map.set(p.id, openingStatus(p.tags, hoursParts, { lat: p.lat, lon: p.lon, timeZone, t }));
+    }
+    return map;
+  }, [ranked, hoursParts, timeZone, t]);
+
+  const visible = useMemo(() => {
+    if (hoursFilter === "any") return ranked;
+    return ranked.filter((p) => {
+      const st = hoursById.get(p.id)?.state;
+      return st === "open" || st === "closing-soon";
+    });
+  }, [ranked, hoursById, hoursFilter]);
+
+  // Facets and the text filter narrow both the list and the map markers.
+  const facetOptions = useMemo(
+    () => ({ selection: facetSelection, text: filterText, hoursById, units }),
+    [facetSelection, filterText, hoursById, units]
+  );
+  const counts = useMemo(() => facetCounts(visible, facetOptions), [visible, facetOptions]);
+  const listed = useMemo(() => sortPlaces(filterPlaces(visible, facetOptions), sort), [visible, facetOptions, sort]);
+
+  const detailsPlace = detailsId ? ranked.find((p) => p.id === detailsId) : null;
+
+  const shown = listed.slice(0, visibleCount);
+  // The results list has one tab stop: the selected result, else the first.
+  const tabbableId = shown.some((p) => p.id === selectedId) ? selectedId : shown[0]?.id;
+
+  const effectiveSelectors = useMemo(
+    () => searchSelectors(selectedCategories, { gems: useGems, gemSelectors: gemsCategory.overpass }),
+    [selectedCategories, gemsCategory, useGems]
+  );
+
+  const settingsKey = `${effectiveSelectors.join("|")}#${radiusKm}#${picked?.display_name ?? ""}`;
+
+  /**
+   * Puts a search in the URL: a new history entry, or in place when restoring.
+   */
+  function recordSearch(fields, { push, focusId }) {
+    searchedKey.current = settingsKey;
+    searchedUrl.current = { ...fields, cats: activeCats, gems: useGems, radiusKm };
+    const url = urlFor({
+      ...searchedUrl.current,
+      center: viewport?.center ?? center,
+      zoom: viewport?.zoom ?? zoom,
+      placeId: focusId,
+    });
+    if (push) window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+  }
+
+  // Panning and selecting only update the current entry.
+  useEffect(() => {
+    if (!searchedUrl.current || !viewport) return;
+    window.history.replaceState(
+      null,
+      "",
+      urlFor({ ...searchedUrl.current, center: viewport.center, zoom: viewport.zoom, placeId: selectedId })
+    );
+  }, [viewport, selectedId]);
+
+  useEffect(() => {
+    function onPopState() {
+      const next = parseUrlState(window.location.search);
+      if (next.query != null) setQuery(next.query);
+      setPicked(null);
+      if (next.cats) setActiveCats(next.cats);
+      setUseGems(next.gems ?? true);
+      if (next.radiusKm) setRadiusKm(next.radiusKm);
+      if (next.center) {
+        setBounds(null);
+        setCenter(next.center);
+        if (next.zoom != null) setZoom(next.zoom);
+      }
+      setRestored(next);
+    }
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  // Runs the search a restored URL describes; only a new `restored` triggers it.
+  const searchRestored = useEvent((restored) => {
+    searchedKey.current = settingsKey;
+    const opts = { push: false, keepView: !!restored.center, focusId: restored.placeId };
+    if (restored.near) {
+      nearPush.current = false;
+      if (nearMe && userPos) runNearSearch(userPos, { push: false });
+      else setNearMe(true);
+    } else if (restored.pin) {
+      if (!restored.center) {
+        setBounds(null);
+        setCenter(restored.pin);
+        setZoom(15);
+      }
+      runPinSearch(restored.pin, opts);
+    } else if (restored.area) {
+      if (!restored.center) setBounds(restored.area);
+      runAreaSearch(viewForBounds(restored.area), "replace", opts);
+    } else {
+      runSearch(opts);
+    }
+  });
+
+  useEffect(() => {
+    searchRestored(restored);
+  }, [restored, searchRestored]);
+
+  /**
+   * Cancels whatever search is in flight so a slow, older response can
+   * never overwrite newer results. Returns the new search's signal.
+   */
+  function startSearch() {
+    searchRef.current?.abort();
+    const controller = new AbortController();
+    searchRef.current = controller;
+    return controller.signal;
+  }
+
+  function cancelSearch() {
+    searchRef.current?.abort();
+    searchRef.current = null;
+    setLoading(false);
+    setStatus(t("status.cancelled"));
+  }
+
+  function requestOptions(signal, what) {
+    return {
+      signal,
+      onProgress: (e) => {
+        if (signal.aborted || e.type !== "retry") return;
+        const host = e.nextUrl && e.nextUrl !== e.url ? new URL(e.nextUrl).host : null;
+        const seconds = e.delayMs ? Math.ceil(e.delayMs / 1000) : null;
+        const retry = host
+          ? seconds
+            ? t("status.retryOnIn", { host, seconds })
+            : t("status.retryOn", { host })
+          : seconds
+            ? t("status.retryIn", { seconds })
+            : t("status.retry");
+        setStatus(`${what}: ${t("status.busy", { reason: e.reason })}, ${retry}…`);
+      },
+    };
+  }
 
-  const category = useMemo(() => {
-    const base = CATEGORIES.find((c) => c.key === activeCat) || CATEGORIES[0];
-    return base;
-  }, [activeCat]);
+  function lookupTimeZone(lat, lon, signal) {
+    provider
+      .timezone({ lat, lon, signal })
+      .then((tz) => {
+        if (!signal.aborted) setTimeZone(tz || BROWSER_TIME_ZONE);
+      })
+      .catch(() => {
+        if (!signal.aborted) setTimeZone(BROWSER_TIME_ZONE);
+      });
+  }
 
-  const effectiveSelectors = useMemo(() => {
-    const selectors = [...category.overpass];
-    if (useGems) selectors.push(...HIDDEN_GEMS.overpass);
-    return selectors;
-  }, [category, useGems]);
+  /**
+   * Every search goes through lib/search.js with the current categories,
+   * radius and weights; callers pass the location (and area) that differs.
+   */
+  function findPlacesFor(location, options) {
+    return findPlaces({
+      provider,
+      location,
+      categories: selectedCategories,
+      gems: useGems,
+      gemSelectors: gemsCategory.overpass,
+      radiusKm,
+      weights,
+      lang: locale,
+      ...options,
+    });
+  }
 
-  async function runSearch() {
+  /**
+   * Search around the named place. `keepView` leaves the map where it is
+   * (restored from the URL); `focusId` selects that place once loaded.
+   */
+  async function runSearch({ push = true, keepView = false, focusId = null } = {}) {
+    lastSearch.current = { kind: "place" };
+    setNearMe(false);
+    setActivePinId(null);
+    if (!effectiveSelectors.length) {
+      setStatus(t("status.noSelectors"));
+      return;
+    }
+    recordSearch({ query }, { push, focusId });
+    const signal = startSearch();
     setLoading(true);
-    setStatus("Searching location…");
+    setStatus(`${t("status.searchingLocation")}…`);
     setSelectedId(null);
     setPlaces([]);
 
+    // Retry notices name the step in progress.
+    let step = t("status.searchingLocation");
     try {
-      const geo = await geocode(query);
-      if (!geo) {
-        setStatus("No results. Try: City, State, Country");
-        setLoading(false);
+      const target = picked && picked.display_name === query ? picked : query;
+      const { location, places: list, meta } = await findPlacesFor(target, {
+        signal,
+        onProgress: (e) => requestOptions(signal, step).onProgress(e),
+        onLocation: ({ lat, lon, bbox }) => {
+          // Fit small places (neighbourhoods, towns) to their extent; for anything
+          // larger than the search circle just center on it.
+          if (keepView) {
+            // Map position came from the URL.
+          } else if (bbox && radiusForBbox(bbox, { max: Infinity }) <= 20) {
+            setBounds(bbox);
+          } else {
+            setBounds(null);
+            setCenter({ lat, lng: lon });
+            setZoom(12);
+          }
+          lookupTimeZone(lat, lon, signal);
+          step = t("status.findingPlaces");
+          setStatus(`${step}…`);
+        },
+      });
+      if (signal.aborted) return;
+      if (!location) {
+        setStatus(t("status.noLocation"));
         return;
       }
 
-      const lat = parseFloat(geo.lat);
-      const lon = parseFloat(geo.lon);
-      const nextCenter = { lat, lng: lon };
-      setCenter(nextCenter);
-      setZoom(12);
-
-      setStatus("Finding places…");
-      const elements = await fetchOverpass({
-        lat,
-        lon,
-        radiusM: Math.round(radiusKm * 1000),
-        selectors: effectiveSelectors,
+      setPlaces(list);
+      const where = location.name.split(",").slice(0, 2).join(",");
+      const ambiguity = location.otherMatches ? ` (${t("status.otherMatches", { count: location.otherMatches })})` : "";
+      setStatus(
+        (list.length ? t("status.foundNear", { count: list.length, where }) : t("status.noneNear", { where })) +
+          ambiguity +
+          cacheNote(meta, i18n)
+      );
+      if (focusId) await revealPlace(focusId, list, { lat: location.lat, lng: location.lon }, signal, keepView);
+    } catch (e) {
+      if (!isAbort(e, signal)) setStatus(t("status.error", { message: e.message }));
+    } finally {
+      if (searchRef.current?.signal === signal) setLoading(false);
+    }
+  }
+
+  /**
+   * "Search this area": query the visible map bounds, distances from the viewport center.
+   * mode "merge" keeps current results and adds the new ones.
+   */
+  async function runAreaSearch(view = viewport, mode = areaMode, { push = true, keepView = false, focusId = null } = {}) {
+    if (!view) return;
+    lastSearch.current = { kind: "area", view };
+    setNearMe(false);
+    setActivePinId(null);
+    if (!effectiveSelectors.length) {
+      setStatus(t("status.noSelectors"));
+      return;
+    }
+    recordSearch({ area: view.bounds }, { push, focusId });
+    const signal = startSearch();
+    const origin = view.center;
+    lookupTimeZone(origin.lat, origin.lng, signal);
+
+    setLoading(true);
+    setStatus(t("status.findingArea"));
+    setSelectedId(null);
+
+    try {
+      const { places: found, meta } = await findPlacesFor(origin, {
+        area: view.bounds,
+        ...requestOptions(signal, t("status.findingPlaces")),
       });
+      if (signal.aborted) return;
 
-      const unique = new Map();
-      for (const el of elements) {
-        if (!el?.lat || !el?.lon) continue;
-        const name =
-          el.tags?.name ||
-          el.tags?.["name:en"] ||
-          el.tags?.brand ||
-          el.tags?.amenity ||
-          el.tags?.tourism ||
-          el.tags?.shop ||
-          el.tags?.leisure ||
-          "Unknown Place";
-
-        const isSafetyOrTransport =
-          el.tags?.amenity === "police" ||
-          el.tags?.amenity === "hospital" ||
-          el.tags?.amenity === "clinic" ||
-          el.tags?.amenity === "pharmacy" ||
-          el.tags?.amenity === "fire_station" ||
-          el.tags?.railway ||
-          el.tags?.public_transport ||
-          el.tags?.aeroway;
-
-        if (!el.tags?.name && !isSafetyOrTransport) continue;
-
-        const id = `${el.type}:${el.id}`;
-        if (unique.has(id)) continue;
-
-        const kind =
-          el.tags?.amenity ||
-          el.tags?.tourism ||
-          el.tags?.shop ||
-          el.tags?.leisure ||
-          el.tags?.railway ||
-          el.tags?.public_transport ||
-          el.tags?.historic ||
-          "place";
-
-        const addrParts = [
-          el.tags?.["addr:housenumber"],
-          el.tags?.["addr:street"],
-          el.tags?.["addr:city"],
-          el.tags?.["addr:postcode"],
-          el.tags?.["addr:country"],
-        ].filter(Boolean);
-
-        const address =
-          addrParts.join(" ") ||
-          el.tags?.["addr:full"] ||
-          el.tags?.["contact:street"] ||
-          "";
-
-        const dist = haversineKm(nextCenter, { lat: el.lat, lng: el.lon });
-        const hasWebsite = !!(el.tags?.website || el.tags?.["contact:website"]);
-        const hasPhone = !!(el.tags?.phone || el.tags?.["contact:phone"]);
-        const hasOpening = !!el.tags?.opening_hours;
-        const rating = clamp(
-          3.6 +
-            (hasWebsite ? 0.3 : 0) +
-            (hasPhone ? 0.15 : 0) +
-            (hasOpening ? 0.15 : 0) -
-            dist * 0.02,
-          3.6,
-          4.9
+      let list;
+      if (mode === "merge") {
+        const byId = new Map(
+          places.map((p) => [p.id, { ...p, distanceKm: haversineKm(origin, { lat: p.lat, lng: p.lon }) }])
         );
+        for (const p of found) byId.set(p.id, p);
+        list = Array.from(byId.values());
+      } else {
+        list = found;
+      }
 
-        unique.set(id, {
-          id,
-          name: String(name),
-          kind: String(kind),
-          lat: el.lat,
-          lon: el.lon,
-          address,
-          distanceKm: dist,
-          rating: Number(rating.toFixed(1)),
-          description:
-            el.tags?.description ||
-            el.tags?.tourism ||
-            el.tags?.amenity ||
-            el.tags?.shop ||
-            el.tags?.leisure ||
-            el.tags?.historic ||
-            "Point of interest",
-          tags: el.tags || {},
-        });
+      setPlaces(list);
+      setStatus(
+        (found.length
+          ? mode === "merge"
+            ? t("status.added", { count: list.length - places.length, total: list.length })
+            : t("status.foundArea", { count: list.length })
+          : t("status.noneArea")) + cacheNote(meta, i18n)
+      );
+      if (focusId) await revealPlace(focusId, list, origin, signal, keepView);
+    } catch (e) {
+      if (!isAbort(e, signal)) setStatus(t("status.error", { message: e.message }));
+    } finally {
+      if (searchRef.current?.signal === signal) setLoading(false);
+    }
+  }
+
+  /**
+   * Select a permalinked place, fetching it by id when the search didn't return it.
+   */
+  async function revealPlace(id, list, origin, signal, keepView) {
+    let place = list.find((p) => p.id === id);
+    if (!place) {
+      const elements = await provider.lookup({ ids: [id], ...requestOptions(signal, t("status.openingPlace")) });
+      if (signal.aborted) return;
+      place = toPlaces(elements, origin)[0];
+      if (!place) {
+        setStatus(t("status.linkNotFound", { id }));
+        return;
       }
+      setPlaces((ps) => [...ps, place]);
+    }
+    if (keepView) setSelectedId(place.id);
+    else focusPlace(place);
+  }
 
-      const list = Array.from(unique.values())
-        .sort((a, b) => b.rating - a.rating || a.distanceKm - b.distanceKm)
-        .slice(0, 30);
+  function copyPermalink(p) {
+    // A Near me search can't be replayed elsewhere; link the visible area instead.
+    const searched = searchedUrl.current?.near
+      ? { ...searchedUrl.current, near: false, area: viewport?.bounds }
+      : searchedUrl.current;
+    const url = placePermalink(p, { ...searched, zoom: viewport?.zoom ?? zoom });
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(
+        () => setStatus(t("status.linkCopied", { name: p.name })),
+        () => window.prompt(t("popup.linkPrompt"), url)
+      );
+    } else {
+      window.prompt(t("popup.linkPrompt"), url);
+    }
+  }
 
+  /**
+   * Search around the user's live position. Refreshes triggered by walking
+   * replace the current history entry instead of adding one.
+   */
+  async function runNearSearch(pos, { push = true } = {}) {
+    lastSearch.current = { kind: "near" };
+    nearOrigin.current = pos;
+    setActivePinId(null);
+    if (!effectiveSelectors.length) {
+      setStatus(t("status.noSelectors"));
+      return;
+    }
+    recordSearch({ near: true }, { push, focusId: null });
+    const signal = startSearch();
+    lookupTimeZone(pos.lat, pos.lng, signal);
+
+    setLoading(true);
+    setStatus(t("status.findingNearYou"));
+
+    try {
+      const { places: list, meta } = await findPlacesFor(pos, requestOptions(signal, t("status.findingPlaces")));
+      if (signal.aborted) return;
       setPlaces(list);
-      setStatus(list.length ? `Found ${list.length} places` : "No places found in this radius.");
+      setStatus(
+        (list.length ? t("status.foundNearYou", { count: list.length }) : t("status.noneNearYou")) +
+          cacheNote(meta, i18n)
+      );
     } catch (e) {
-      setStatus(`Error: ${e.message}`);
+      if (!isAbort(e, signal)) setStatus(t("status.error", { message: e.message }));
     } finally {
-      setLoading(false);
+      if (searchRef.current?.signal === signal) setLoading(false);
     }
   }
 
+  /**
+   * Search around a point (a new or existing pin) with the current
+   * categories and radius; distances are measured from the pin.
+   */
+  async function runPinSearch(pos, { push = true, keepView = true, focusId = null } = {}) {
+    const pin = addPin(pos);
+    lastSearch.current = { kind: "pin", pin };
+    setNearMe(false);
+    setActivePinId(pin.id);
+    if (!effectiveSelectors.length) {
+      setStatus(t("status.noSelectors"));
+      return;
+    }
+    recordSearch({ pin: { lat: pin.lat, lng: pin.lng } }, { push, focusId });
+    const signal = startSearch();
+    lookupTimeZone(pin.lat, pin.lng, signal);
+
+    setLoading(true);
+    setStatus(t("status.findingNearPin"));
+    setSelectedId(null);
+    // Looked up alongside the places, but results don't wait for it.
+    const address = pinAddress(pin);
+
+    try {
+      const { places: list, meta } = await findPlacesFor(pin, requestOptions(signal, t("status.findingPlaces")));
+      if (signal.aborted) return;
+      setPlaces(list);
+      const note = cacheNote(meta, i18n);
+      const report = (where) =>
+        setStatus(
+          (list.length ? t("status.foundNear", { count: list.length, where }) : t("status.noneNear", { where })) + note
+        );
+      report(pinName(pin));
+      address.then((found) => {
+        if (found && !signal.aborted) report(pinName(pin, found));
+      });
+      if (focusId) await revealPlace(focusId, list, pin, signal, keepView);
+    } catch (e) {
+      if (!isAbort(e, signal)) setStatus(t("status.error", { message: e.message }));
+    } finally {
+      if (searchRef.current?.signal === signal) setLoading(false);
+    }
+  }
+
+  // Switching to another pin: fly there and search around it.
+  function openPin(pin) {
+    setBounds(null);
+    setCenter({ lat: pin.lat, lng: pin.lng });
+    runPinSearch(pin);
+  }
+
+  const locationStatus = useEvent((err) => {
+    setStatus(err ? t(`location.${err.code}`) : t("status.locating"));
+    // Timeouts and lost signal are retried by watchPosition itself.
+    if (err?.code === "denied" || err?.code === "unsupported") setNearMe(false);
+  });
+
   useEffect(() => {
-    runSearch();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+    if (!nearMe) return;
+    nearOrigin.current = null;
+    locationStatus(null);
+    const stop = watchLocation({ onPosition: setUserPos, onError: locationStatus });
+    return () => {
+      stop();
+      setUserPos(null);
+    };
+  }, [nearMe, locationStatus]);
+
+  // Searches on the first fix, then again once the user has walked far enough.
+  const followUser = useEvent((pos) => {
+    if (!nearOrigin.current) {
+      setBounds(null);
+      setCenter({ lat: pos.lat, lng: pos.lng });
+      setZoom(15);
+      runNearSearch(pos, { push: nearPush.current });
+      nearPush.current = true;
+      return;
+    }
+    if (lastSearch.current.kind === "near" && haversineKm(nearOrigin.current, pos) >= nearRefreshKm(radiusKm)) {
+      runNearSearch(pos, { push: false });
+    }
+  });
+
+  useEffect(() => {
+    if (nearMe && userPos) followUser(userPos);
+  }, [nearMe, userPos, followUser]);
+
+  /**
+   * Bins Hidden Gems around the visible map (padded by half a screen each
+   * way) into hexagons, weighted by each gem's score.
+   */
+  async function loadDensity(view = viewport) {
+    if (!view) return;
+    densityRef.current?.abort();
+    const controller = new AbortController();
+    densityRef.current = controller;
+    const { signal } = controller;
+
+    const b = view.bounds;
+    const padLat = (b.north - b.south) / 2;
+    const padLon = (b.east - b.west) / 2;
+    const area = { south: b.south - padLat, west: b.west - padLon, north: b.north + padLat, east: b.east + padLon };
+
+    setDensityLoading(true);
+    try {
+      const elements = await provider.pois({
+        area: { type: "bbox", ...area },
+        selectors: gemsCategory.overpass,
+        limit: MAX_RESULTS,
+        signal,
+      });
+      if (signal.aborted) return;
+      const gems = scorePlaces(toPlaces(elements, view.center), { weights, gemSelectors: gemsCategory.overpass });
+      const cells = hexBin(gems, { cellKm: cellSizeForBbox(area), weight: (p) => p.score / 100 });
+      setDensity({ cells, maxWeight: Math.max(0, ...cells.map((c) => c.weight)), total: gems.length });
+    } catch (e) {
+      if (!isAbort(e, signal)) setStatus(t("status.densityError", { message: e.message }));
+    } finally {
+      if (densityRef.current === controller) setDensityLoading(false);
+    }
+  }
+
+  const startDensity = useEvent(() => loadDensity());
+
+  useEffect(() => {
+    if (!showDensity) {
+      densityRef.current?.abort();
+      setDensity(null);
+      setDensityLoading(false);
+      return;
+    }
+    startDensity();
+  }, [showDensity, startDensity]);
+
+  function exploreCell(cell) {
+    setBounds(cell.bounds);
+    runAreaSearch(viewForBounds(cell.bounds), "replace");
+  }
+
+  // Stable, so AutoRefresh only re-runs when the settings change.
+  const refresh = useEvent(() => {
+    const last = lastSearch.current;
+    if (last.kind === "area") runAreaSearch(last.view, "replace");
+    else if (last.kind === "near") {
+      if (userPos) runNearSearch(userPos);
+    } else if (last.kind === "pin") {
+      // Only while the pin is still there; refreshing must not drop it again.
+      const pin = pins.find((p) => p.id === last.pin.id);
+      if (pin) runPinSearch(pin);
+      else lastSearch.current = { kind: null };
+    } else if (last.kind === "place") runSearch();
+  });
+
+  /**
+   * A suggestion was chosen: search exactly that place, sized to its extent.
+   */
+  function pickLocation(candidate) {
+    setQuery(candidate.display_name);
+    setPicked(candidate);
+    const bbox = bboxFromNominatim(candidate.boundingbox);
+    if (bbox) setRadiusKm(radiusForBbox(bbox));
+  }
+
+  // The marker may only mount once it is pulled out of its cluster, so open
+  // the popup after the selection has rendered.
+  const revealSelected = useEvent((id) => {
+    markerRefs.current.get(id)?.openPopup();
+    const index = listed.findIndex((p) => p.id === id);
+    if (index >= visibleCount) setVisibleCount(Math.ceil((index + 1) / PAGE_SIZE) * PAGE_SIZE);
+  });
+
+  useEffect(() => {
+    if (selectedId) revealSelected(selectedId);
+  }, [selectedId, revealSelected]);
+
+  // Keep the selected result in view in the list, and focus it when it was
+  // picked from the keyboard (it may only render once the next page is shown).
+  useEffect(() => {
+    const card = selectedId && resultRefs.current.get(selectedId);
+    if (!card) return;
+    scrollIntoContainer(card, resultsRef.current);
+    if (pendingFocus.current === "result") {
+      pendingFocus.current = null;
+      card.focus({ preventScroll: true });
+    }
+  }, [selectedId, visibleCount]);
+
+  useEffect(() => {
+    if (!detailsId || pendingFocus.current !== "details") return;
+    pendingFocus.current = null;
+    detailsRef.current?.focus();
+  }, [detailsId]);
+
+  /**
+   * Results list keys: arrows/Home/End select (and open the popup),
+   * Enter/Space shows details, Escape closes the popup.
+   */
+  function onResultKeyDown(e, index) {
+    if (e.target !== e.currentTarget) return;
+    const p = listed[index];
+    let next;
+    if (e.key === "ArrowDown") next = Math.min(index + 1, listed.length - 1);
+    else if (e.key === "ArrowUp") next = Math.max(index - 1, 0);
+    else if (e.key === "Home") next = 0;
+    else if (e.key === "End") next = listed.length - 1;
+    else if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      showDetails(p);
+      return;
+    } else if (e.key === "Escape") {
+      markerRefs.current.get(p.id)?.closePopup();
+      return;
+    } else return;
+
+    e.preventDefault();
+    const id = listed[next].id;
+    if (id === selectedId) resultRefs.current.get(id)?.focus();
+    else {
+      pendingFocus.current = "result";
+      setSelectedId(id);
+    }
+  }
+
+  /**
+   * Open the details panel from the keyboard and move focus into it.
+   */
+  function showDetails(p) {
+    if (detailsId === p.id) detailsRef.current?.focus();
+    else pendingFocus.current = "details";
+    focusPlace(p);
+  }
+
+  function closeDetails() {
+    const card = resultRefs.current.get(detailsId);
+    setDetailsId(null);
+    card?.focus();
+  }
+
+  useEffect(() => {
+    setVisibleCount(PAGE_SIZE);
+  }, [places, facetSelection, filterText, sort]);
 
   function focusPlace(p) {
     setSelectedId(p.id);
-    const ref = markerRefs.current.get(p.id);
-    if (ref) ref.openPopup();
+    setDetailsId(p.id);
+    setBounds(null);
     setCenter({ lat: p.lat, lng: p.lon });
     setZoom(14);
   }
 
+  /**
+   * Toggle a place in the active list; the first save creates "My places".
+   */
+  function toggleSaved(p) {
+    if (activeList && savedIds.has(p.id)) {
+      setLists(removeFromList(lists, activeList.id, p.id));
+      return;
+    }
+    if (activeList) {
+      setLists(addToList(lists, activeList.id, p));
+      return;
+    }
+    const next = createList(lists, t("lists.firstName"), [p]);
+    setLists(next.lists);
+    setActiveListId(next.list.id);
+  }
+
+  // Journal entries are grouped under the searched place's name unless their
+  // address says otherwise.
+  function searchedCity() {
+    return (searchedUrl.current?.query || "").split(",")[0].trim();
+  }
+
+  /**
+   * Shows a downloaded area with the tiles it was saved with, and searches it
+   * (answered from the download when offline).
+   */
+  function openOfflineArea(area) {
+    if (area.tileTemplate !== basemap.url) {
+      const key =
+        Object.keys(BASEMAPS).find((k) => BASEMAPS[k].url === area.tileTemplate) ||
+        (basemapSettings.custom.url.trim() === area.tileTemplate ? "custom" : null);
+      if (key) setBasemapSettings((s) => ({ ...s, key }));
+    }
+    setBounds(area.bounds);
+    runAreaSearch(viewForBounds(area.bounds), "replace");
+  }
+
+  /**
+   * Saved places may not be part of the current results: add them so they get
+   * a marker, measuring distance from the map center.
+   */
+  function focusSaved(saved) {
+    if (!places.some((p) => p.id === saved.id)) {
+      const origin = viewport?.center || center;
+      setPlaces((list) => [
+        ...list,
+        { ...saved, shapes: [], distanceKm: haversineKm(origin, { lat: saved.lat, lng: saved.lon }) },
+      ]);
+    }
+    focusPlace(saved);
+  }
+
   return (
-    <div style={styles.shell(dark)}>
-      <div
-        style={{
-          maxWidth: 1200,
-          margin: "0 auto",
-          display: "grid",
-          gridTemplateColumns: "1.55fr 1fr",
-          gap: 18,
-          alignItems: "start",
-        }}
-      >
-        <div style={{ ...styles.card(dark), padding: 12 }}>
-          <div
-            style={{
-              display: "flex",
-              gap: 10,
-              alignItems: "center",
-              justifyContent: "space-between",
-              padding: "10px 10px 12px",
-            }}
-          >
-            <div style={{ display: "flex", gap: 10, alignItems: "center", width: "100%" }}>
-              <input
-                style={styles.input(dark)}
+    <I18nContext.Provider value={i18n}>
+      <div style={{ ...styles.shell(theme), ...themeVars(theme) }}>
+        <div
+          style={{
+            maxWidth: 1200,
+            margin: "0 auto",
+            display: "grid",
+            gridTemplateColumns: "1.55fr 1fr",
+            gap: 18,
+            alignItems: "start",
+          }}
+        >
+          <div style={{ ...styles.card(theme), padding: 12 }}>
+            <div
+              style={{
+                display: "flex",
+                gap: 10,
+                alignItems: "center",
+                justifyContent: "space-between",
+                padding: "10px 10px 12px",
+              }}
+            >
+              <LocationSearch
+                theme={theme}
+                provider={provider}
                 value={query}
-                onChange={(e) => setQuery(e.target.value)}
-                placeholder="City, State/Province, Country (e.g., Toronto, ON, Canada)"
-                onKeyDown={(e) => {
-                  if (e.key === "Enter") runSearch();
-                }}
+                onChange={setQuery}
+                onPick={pickLocation}
+                onSubmit={() => runSearch()}
+                loading={loading}
               />
-              <button style={styles.button(dark)} onClick={runSearch} disabled={loading}>
-                {loading ? "…" : "Search"}
+
+              <select
+                style={{ ...styles.button(theme), marginLeft: 10 }}
+                value={themeKey}
+                onChange={(e) => setThemeKey(e.target.value)}
+                title={t("header.theme")}
+                aria-label={t("header.theme")}
+              >
+                {Object.keys(THEMES).map((key) => (
+                  <option key={key} value={key}>
+                    {t(`theme.${key}`)}
+                  </option>
+                ))}
+              </select>
+              <select
+                style={styles.button(theme)}
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                title={t("header.language")}
+                aria-label={t("header.language")}
+              >
+                {Object.entries(LOCALES).map(([key, l]) => (
+                  <option key={key} value={key}>
+                    {l.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                style={styles.button(theme)}
+                onClick={() => setUnits((u) => (u === "imperial" ? "metric" : "imperial"))}
+                title={t("header.units")}
+                aria-label={t("header.unitsCurrent", { unit: units === "imperial" ? "mi" : "km" })}
+              >
+                {units === "imperial" ? "mi" : "km"}
               </button>
+              <a
+                href={`?${formatCompareState({ locations: [query], cats: activeCats, gems: useGems, radiusKm })}`}
+                style={{ ...styles.button(theme), textDecoration: "none", whiteSpace: "nowrap" }}
+                title={t("header.compareHint")}
+              >
+                ⚖️ {t("header.compare")}
+              </a>
+              <a
+                href="?view=journal"
+                style={{ ...styles.button(theme), textDecoration: "none", whiteSpace: "nowrap" }}
+                title={t("header.journalHint")}
+              >
+                📓 {t("header.journal")}
+              </a>
             </div>
 
-            <button
+            <div
               style={{
-                ...styles.button(dark),
-                marginLeft: 10,
-                display: "flex",
-                gap: 8,
-                alignItems: "center",
+                position: "relative",
+                height: 520,
+                borderRadius: 14,
+                overflow: "hidden",
+                border: styles.divider(theme),
               }}
-              onClick={() => setDark((v) => !v)}
-              title="Toggle theme"
             >
-              {dark ? "🌙" : "☀️"} {dark ? "Dark" : "Light"}
-            </button>
-          </div>
+              <MapContainer
+                center={center}
+                zoom={zoom}
+                style={{ width: "100%", height: "100%" }}
+                scrollWheelZoom
+                preferCanvas
+              >
+                <FlyTo center={center} zoom={zoom} bounds={bounds} />
+                <ViewportWatcher onChange={setViewport} />
+                <PinDropper armed={pinMode} onDrop={(latlng) => runPinSearch({ lat: latlng.lat, lng: latlng.lng })} />
+
+                <TileLayer
+                  key={`${basemap.url}|${basemap.attribution}`}
+                  attribution={basemap.attribution}
+                  url={basemap.url}
+                  maxZoom={basemap.maxZoom}
+                />
+
+                {density && (
+                  <DensityLayer cells={density.cells} maxWeight={density.maxWeight} onCellClick={exploreCell} />
+                )}
+
+                {plan.stops.length > 1 && (
+                  <Polyline
+                    positions={plan.stops.map((s) => [s.lat, s.lon])}
+                    pathOptions={{ color: "#ff4f8b", weight: 4, opacity: 0.85, dashArray: "8 8" }}
+                  />
+                )}
+                {plan.stops.map((s, i) => (
+                  <Marker
+                    key={`stop:${s.id}`}
+                    position={[s.lat, s.lon]}
+                    icon={stopIcon(i + 1)}
+                    title={t("plan.stopTitle", { n: i + 1, name: s.name })}
+                    zIndexOffset={1000}
+                    eventHandlers={{
+                      click: () => focusSaved(s),
+                      keypress: (e) => e.originalEvent.key === "Enter" && focusSaved(s),
+                    }}
+                  />
+                ))}
+
+                {pins.map((pin) => (
+                  <Marker
+                    key={`pin:${pin.id}`}
+                    position={[pin.lat, pin.lng]}
+                    icon={dropPinIcon(pin.id, pin.id === activePinId)}
+                    title={t("pins.label", { n: pin.id })}
+                    zIndexOffset={900}
+                  >
+                    <Popup>
+                      <div style={{ minWidth: 200 }}>
+                        <div style={{ fontWeight: 800, marginBottom: 4 }}>📌 {t("pins.label", { n: pin.id })}</div>
+                        <div style={{ fontSize: 13, opacity: 0.85, marginBottom: 4 }}>
+                          {pin.address === undefined
+                            ? `${t("pins.lookingUp")}…`
+                            : pin.address || t("pins.noAddress")}
+                        </div>
+                        <div style={{ fontSize: 11, opacity: 0.65, fontFamily: "ui-monospace, monospace" }}>
+                          {pin.lat.toFixed(5)}, {pin.lng.toFixed(5)}
+                        </div>
+                        {pin.id !== activePinId && (
+                          <button
+                            style={{ ...styles.button(theme), marginTop: 8, padding: "6px 10px" }}
+                            onClick={() => runPinSearch(pin)}
+                            disabled={loading}
+                          >
+                            🔎 {t("pins.searchHere")}
+                          </button>
+                        )}
+                        <button
+                          style={{
+                            ...styles.button(theme),
+                            marginTop: 8,
+                            marginLeft: pin.id !== activePinId ? 6 : 0,
+                            padding: "6px 10px",
+                          }}
+                          onClick={() => removePin(pin.id)}
+                        >
+                          ✕ {t("pins.remove")}
+                        </button>
+                      </div>
+                    </Popup>
+                  </Marker>
+                ))}
+                {activePin && (
+                  <Circle
+                    center={[activePin.lat, activePin.lng]}
+                    radius={radiusKm * 1000}
+                    pathOptions={{ color: theme.colors.accent2, weight: 1, dashArray: "6 6", fillOpacity: 0.03 }}
+                    interactive={false}
+                  />
+                )}
+
+                {userPos && (
+                  <>
+                    <Circle
+                      center={[userPos.lat, userPos.lng]}
+                      radius={userPos.accuracyM}
+                      pathOptions={{ color: "#2f80ff", weight: 1, fillColor: "#2f80ff", fillOpacity: 0.12 }}
+                    />
+                    <CircleMarker
+                      center={[userPos.lat, userPos.lng]}
+                      radius={7}
+                      pathOptions={{ color: "#fff", weight: 2, fillColor: "#2f80ff", fillOpacity: 1 }}
+                    >
+                      <Popup>{t("map.youAreHere", { accuracy: formatDistance(userPos.accuracyM / 1000) })}</Popup>
+                    </CircleMarker>
+                  </>
+                )}
+
+                <ClusteredMarkers
+                  places={listed}
+                  selectedId={selectedId}
+                  renderFootprint={(p) =>
+                    p.shapes.map((shape, i) => (
+                      <PlaceShape
+                        key={i}
+                        theme={theme}
+                        shape={shape}
+                        active={p.id === selectedId}
+                        onClick={() => {
+                          setSelectedId(p.id);
+                          markerRefs.current.get(p.id)?.openPopup();
+                        }}
+                      />
+                    ))
+                  }
+                  renderPlace={(p) => (
+                    <Marker
+                      key={p.id}
+                      position={[p.lat, p.lon]}
+                      icon={placeIcon(categoryById.get(p.id) || undefined, p.id === selectedId, journal[p.id])}
+                      title={p.name}
+                      ref={(ref) => {
+                        if (ref) markerRefs.current.set(p.id, ref);
+                        else markerRefs.current.delete(p.id);
+                      }}
+                      eventHandlers={{
+                        click: () => setSelectedId(p.id),
+                        keypress: (e) => {
+                          if (e.originalEvent.key !== "Enter") return;
+                          popupFocus.current = p.id;
+                          setSelectedId(p.id);
+                        },
+                        popupopen: (e) => {
+                          if (popupFocus.current !== p.id) return;
+                          popupFocus.current = null;
+                          e.popup.getElement()?.querySelector("button")?.focus();
+                        },
+                        popupclose: (e) => {
+                          // Closing a popup that had focus hands it back to its marker.
+                          const active = document.activeElement;
+                          if (active === document.body || e.popup.getElement()?.contains(active)) {
+                            e.target.getElement()?.focus();
+                          }
+                        },
+                      }}
+                    >
+                      <Popup>
+                        <div
+                          style={{ minWidth: 220 }}
+                          onKeyDown={(e) => e.key === "Escape" && markerRefs.current.get(p.id)?.closePopup()}
+                        >
+                          <div style={{ fontWeight: 800, marginBottom: 4 }}>{p.name}</div>
+                          <div style={{ opacity: 0.8, fontSize: 13, marginBottom: 8 }}>{p.description}</div>
+                          {hoursById.get(p.id) ? (
+                            <div style={{ marginBottom: 6 }}>
+                              <OpenBadge status={hoursById.get(p.id)} />
+                              <div style={{ fontSize: 11, opacity: 0.65, marginTop: 4 }}>{p.tags.opening_hours}</div>
+                            </div>
+                          ) : null}
+                          <div style={{ fontSize: 13, opacity: 0.9 }}>
+                            {t("popup.scoreDistance", { score: p.score, distance: formatDistance(p.distanceKm) })}
+                          </div>
+                          {p.address ? (
+                            <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>{p.address}</div>
+                          ) : null}
+                          {journal[p.id] ? (
+                            <div style={{ fontSize: 12, fontWeight: 700, marginTop: 6 }}>
+                              {journalSummary(journal[p.id], { t, locale })}
+                            </div>
+                          ) : null}
+                          <ScoreBreakdown place={p} />
+                          <button
+                            style={{ ...styles.button(theme), marginTop: 8, padding: "6px 10px" }}
+                            onClick={() => toggleSaved(p)}
+                            aria-pressed={savedIds.has(p.id)}
+                          >
+                            {savedIds.has(p.id) ? `★ ${t("popup.saved")}` : `☆ ${t("popup.save")}`}
+                            {activeList ? ` · ${activeList.name}` : ""}
+                          </button>
+                          <button
+                            style={{ ...styles.button(theme), marginTop: 8, marginLeft: 6, padding: "6px 10px" }}
+                            onClick={() => togglePlanStop(p)}
+                            aria-pressed={planIds.has(p.id)}
+                          >
+                            {planIds.has(p.id) ? `✓ ${t("popup.inPlan")}` : `＋ ${t("popup.plan")}`}
+                          </button>
+                          <button
+                            style={{ ...styles.button(theme), marginTop: 8, marginLeft: 6, padding: "6px 10px" }}
+                            onClick={() => {
+                              pendingFocus.current = "details";
+                              setDetailsId(p.id);
+                            }}
+                          >
+                            ℹ️ {t("popup.details")}
+                          </button>
+                          <button
+                            style={{ ...styles.button(theme), marginTop: 8, marginLeft: 6, padding: "6px 10px" }}
+                            onClick={() => copyPermalink(p)}
+                            title={t("popup.linkHint")}
+                          >
+                            🔗 {t("popup.link")}
+                          </button>
+                        </div>
+                      </Popup>
+                    </Marker>
+                  )}
+                />
+              </MapContainer>
+
+              <div style={styles.mapOverlay}>
+                <button
+                  style={{ ...styles.button(theme), fontWeight: 700, ...(showDensity ? { borderColor: HIDDEN_GEMS.color } : {}) }}
+                  onClick={() => setShowDensity((v) => !v)}
+                  aria-pressed={showDensity}
+                  disabled={!viewport}
+                  title={t("map.densityHint")}
+                >
+                  🔥 {showDensity ? t("map.hideDensity") : t("map.density")}
+                </button>
+                <button
+                  style={{ ...styles.button(theme), fontWeight: 700, ...(nearMe ? { borderColor: "#2f80ff" } : {}) }}
+                  onClick={() => setNearMe((v) => !v)}
+                  aria-pressed={nearMe}
+                  title={nearMe ? t("map.nearMeStop") : t("map.nearMeHint")}
+                >
+                  📍 {nearMe ? t("map.nearMeOn") : t("map.nearMe")}
+                </button>
+                <button
+                  style={{ ...styles.button(theme), fontWeight: 700, ...(pinMode ? { borderColor: theme.colors.accent2 } : {}) }}
+                  onClick={() => setPinMode((v) => !v)}
+                  aria-pressed={pinMode}
+                  title={t("map.dropPinHint")}
+                >
+                  📌 {pinMode ? t("map.dropPinOn") : t("map.dropPin")}
+                </button>
+                <button
+                  style={{ ...styles.button(theme), fontWeight: 700 }}
+                  onClick={() => runAreaSearch()}
+                  disabled={loading || !viewport}
+                  title={t("map.searchAreaHint")}
+                >
+                  🔎 {t("map.searchArea")}
+                </button>
+                <select
+                  style={styles.button(theme)}
+                  value={areaMode}
+                  onChange={(e) => setAreaMode(e.target.value)}
+                  title={t("map.areaModeHint")}
+                  aria-label={t("map.areaModeHint")}
+                >
+                  <option value="replace">{t("map.replace")}</option>
+                  <option value="merge">{t("map.merge")}</option>
+                </select>
+              </div>
+
+              <select
+                style={{ ...styles.button(theme), position: "absolute", right: 10, bottom: 26, zIndex: 1000 }}
+                value={basemap.key === basemapSettings.key ? basemap.key : "auto"}
+                onChange={(e) => setBasemapSettings((s) => ({ ...s, key: e.target.value }))}
+                title={t("basemap.label")}
+                aria-label={t("basemap.label")}
+              >
+                {Object.keys(BASEMAPS).map((key) => (
+                  <option
+                    key={key}
+                    value={key}
+                    disabled={key === "custom" && validateTileUrl(basemapSettings.custom.url).length > 0}
+                  >
+                    {basemapLabel(key, t)}
+                  </option>
+                ))}
+              </select>
 
-          <div
-            style={{
-              height: 520,
-              borderRadius: 14,
-              overflow: "hidden",
-              border: dark ? "1px solid rgba(255,255,255,0.10)" : "1px solid rgba(20,20,40,0.10)",
-            }}
-          >
-            <MapContainer center={center} zoom={zoom} style={{ width: "100%", height: "100%" }} scrollWheelZoom>
-              <FlyTo center={center} zoom={zoom} />
-
-              <TileLayer
-                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-                url={
-                  dark
-                    ? "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
-                    : "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                }
+              {showDensity && (
+                <DensityLegend
+                  theme={theme}
+                  density={density}
+                  loading={densityLoading}
+                  onRecompute={() => loadDensity()}
+                />
+              )}
+            </div>
+
+            {(pinMode || pins.length > 0) && (
+              <PinsBar
+                theme={theme}
+                pins={pins}
+                activePinId={activePinId}
+                onOpen={openPin}
+                onAddAtCenter={() => viewport && runPinSearch(viewport.center)}
+                onClear={clearPins}
+                disabled={!viewport || loading}
               />
+            )}
+          </div>
+
+          <div style={{ display: "grid", gap: 14 }}>
+            {detailsPlace && (
+              <section
+                ref={detailsRef}
+                tabIndex={-1}
+                aria-labelledby="place-details-title"
+                style={{ ...styles.card(theme), padding: 14 }}
+              >
+                <PlaceDetails
+                  theme={theme}
+                  place={detailsPlace}
+                  hours={hoursById.get(detailsPlace.id)}
+                  onClose={closeDetails}
+                />
+                <h3 style={{ fontWeight: 800, fontSize: 14, margin: "14px 0 8px", paddingTop: 12, borderTop: styles.divider(theme) }}>
+                  <span aria-hidden="true">📓</span> {t("journal.mine")}
+                </h3>
+                <JournalEditor
+                  key={detailsPlace.id}
+                  theme={theme}
+                  entry={journal[detailsPlace.id] || null}
+                  onChange={(patch) => annotatePlace(detailsPlace, patch, { city: searchedCity() })}
+                />
+              </section>
+            )}
 
-              {places.map((p) => (
-                <Marker
-                  key={p.id}
-                  position={[p.lat, p.lon]}
-                  ref={(ref) => {
-                    if (ref) markerRefs.current.set(p.id, ref);
+            <div style={{ ...styles.card(theme), padding: 14 }}>
+              <h2 style={{ fontWeight: 900, fontSize: 16, margin: "0 0 12px" }}>{t("sidebar.explore")}</h2>
+
+              <div style={{ display: "grid", gap: 10 }}>
+                {allCategories.map((c) => {
+                  const active = activeCats.includes(c.key);
+                  return (
+                    <button
+                      key={c.key}
+                      type="button"
+                      style={styles.pill(theme, active)}
+                      onClick={() => toggleCategory(c.key)}
+                      aria-pressed={active}
+                    >
+                      <span style={{ fontSize: 18 }} aria-hidden="true">
+                        {c.icon}
+                      </span>
+                      <span style={{ fontWeight: 700, flex: 1 }}>{categoryLabel(c)}</span>
+                      <span style={{ width: 10, height: 10, borderRadius: "50%", background: c.color }} aria-hidden="true" />
+                    </button>
+                  );
+                })}
+              </div>
+
+              {editingCats ? (
+                <CategoryEditor
+                  theme={theme}
+                  settings={catSettings}
+                  onChange={(next) => {
+                    setCatSettings(next);
+                    setActiveCats((keys) =>
+                      keys.filter((k) => CATEGORIES.some((c) => c.key === k) || next.custom.some((c) => c.key === k))
+                    );
                   }}
-                  eventHandlers={{
-                    click: () => setSelectedId(p.id),
+                  onClose={() => setEditingCats(false)}
+                />
+              ) : (
+                <button style={{ ...styles.button(theme), marginTop: 10 }} onClick={() => setEditingCats(true)}>
+                  ✏️ {t("sidebar.editCategories")}
+                </button>
+              )}
+
+              <div
+                style={{
+                  display: "flex",
+                  gap: 10,
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  marginTop: 14,
+                  paddingTop: 14,
+                  borderTop: styles.divider(theme),
+                }}
+              >
+                <label style={{ display: "flex", gap: 10, alignItems: "center" }}>
+                  <input type="checkbox" checked={useGems} onChange={(e) => setUseGems(e.target.checked)} />
+                  <span style={{ fontWeight: 700 }}>
+                    <span aria-hidden="true">{HIDDEN_GEMS.icon}</span> {t("sidebar.includeGems")}
+                  </span>
+                </label>
+
+                <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <label htmlFor="search-radius" style={{ opacity: 0.75, fontSize: 12 }}>
+                    {t("sidebar.radius")}
+                  </label>
+                  <input
+                    id="search-radius"
+                    type="range"
+                    min={1}
+                    max={20}
+                    value={radiusKm}
+                    onChange={(e) => setRadiusKm(Number(e.target.value))}
+                    aria-valuetext={formatDistance(radiusKm)}
+                  />
+                  <span style={{ minWidth: 44, textAlign: "right", fontWeight: 700 }} aria-hidden="true">
+                    {formatDistance(radiusKm)}
+                  </span>
+                </div>
+              </div>
+
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 10 }}>
+                <label htmlFor="hours-filter" style={{ fontWeight: 700 }}>
+                  <span aria-hidden="true">🕒</span> {t("sidebar.hours")}
+                </label>
+                <select
+                  id="hours-filter"
+                  style={styles.button(theme)}
+                  value={hoursFilter}
+                  onChange={(e) => {
+                    if (e.target.value === "at" && !hoursAt) setHoursAt(toLocalInput(localParts(new Date(), timeZone)));
+                    setHoursFilter(e.target.value);
                   }}
                 >
-                  <Popup>
-                    <div style={{ minWidth: 220 }}>
-                      <div style={{ fontWeight: 800, marginBottom: 4 }}>{p.name}</div>
-                      <div style={{ opacity: 0.8, fontSize: 13, marginBottom: 8 }}>{p.description}</div>
-                      <div style={{ fontSize: 13, opacity: 0.9 }}>
-                        ⭐ {p.rating} · {p.distanceKm.toFixed(1)} km away
-                      </div>
-                      {p.address ? (
-                        <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>{p.address}</div>
-                      ) : null}
-                    </div>
-                  </Popup>
-                </Marker>
-              ))}
-            </MapContainer>
-          </div>
-        </div>
-
-        <div style={{ display: "grid", gap: 14 }}>
-          <div style={{ ...styles.card(dark), padding: 14 }}>
-            <div style={{ fontWeight: 900, fontSize: 16, marginBottom: 12 }}>Explore Nearby</div>
-
-            <div style={{ display: "grid", gap: 10 }}>
-              {CATEGORIES.map((c) => {
-                const active = c.key === activeCat;
-                return (
-                  <div key={c.key} style={styles.pill(dark, active)} onClick={() => setActiveCat(c.key)}>
-                    <span style={{ fontSize: 18 }}>{c.icon}</span>
-                    <span style={{ fontWeight: 700 }}>{c.label}</span>
-                  </div>
-                );
-              })}
-            </div>
+                  <option value="any">{t("sidebar.anyTime")}</option>
+                  <option value="now">{t("sidebar.openNow")}</option>
+                  <option value="at">{t("sidebar.openAt")}</option>
+                </select>
+                {hoursFilter === "at" && (
+                  <input
+                    type="datetime-local"
+                    style={{ ...styles.input(theme), width: "auto", padding: "8px 10px" }}
+                    value={hoursAt}
+                    onChange={(e) => setHoursAt(e.target.value)}
+                    aria-label={t("sidebar.openAtTime")}
+                  />
+                )}
+                <span style={{ opacity: 0.6, fontSize: 12 }} title={t("sidebar.timeZoneHint")}>
+                  {timeZone}
+                </span>
+              </div>
 
-            <div
-              style={{
-                display: "flex",
-                gap: 10,
-                alignItems: "center",
-                justifyContent: "space-between",
-                marginTop: 14,
-                paddingTop: 14,
-                borderTop: dark ? "1px solid rgba(255,255,255,0.10)" : "1px solid rgba(20,20,40,0.10)",
-              }}
-            >
-              <label style={{ display: "flex", gap: 10, alignItems: "center" }}>
-                <input type="checkbox" checked={useGems} onChange={(e) => setUseGems(e.target.checked)} />
-                <span style={{ fontWeight: 700 }}>{HIDDEN_GEMS.icon} Include Hidden Gems</span>
-              </label>
-
-              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-                <span style={{ opacity: 0.75, fontSize: 12 }}>Radius</span>
-                <input type="range" min={2} max={20} value={radiusKm} onChange={(e) => setRadiusKm(Number(e.target.value))} />
-                <span style={{ width: 44, textAlign: "right", fontWeight: 700 }}>{radiusKm}km</span>
+              <div style={{ marginTop: 10, display: "flex", gap: 10 }}>
+                <button style={styles.button(theme)} onClick={refresh} disabled={loading}>
+                  {t("sidebar.refresh")}
+                </button>
+                {loading && (
+                  <button style={styles.button(theme)} onClick={cancelSearch}>
+                    {t("sidebar.cancel")}
+                  </button>
+                )}
+                <div role="status" style={{ opacity: 0.75, alignSelf: "center", fontSize: 13 }}>
+                  {status}
+                </div>
               </div>
+
+              <WeightsPanel theme={theme} weights={weights} onChange={setWeights} />
+              {provider.offlineAreas && (
+                <OfflinePanel
+                  theme={theme}
+                  provider={provider}
+                  viewport={viewport}
+                  basemap={basemap}
+                  selectors={effectiveSelectors}
+                  defaultName={query}
+                  onOpen={openOfflineArea}
+                />
+              )}
+              <AppearancePanel
+                theme={theme}
+                accents={accents}
+                onAccentsChange={setAccents}
+                basemapSettings={basemapSettings}
+                onBasemapChange={setBasemapSettings}
+              />
             </div>
 
-            <div style={{ marginTop: 10, display: "flex", gap: 10 }}>
-              <button style={styles.button(dark)} onClick={runSearch} disabled={loading}>
-                Refresh results
-              </button>
-              <div style={{ opacity: 0.75, alignSelf: "center", fontSize: 13 }}>{status}</div>
+            <div style={{ ...styles.card(theme), padding: 14 }}>
+              <h2 style={{ fontWeight: 900, fontSize: 16, margin: "0 0 10px" }}>
+                <span aria-hidden="true">🗺️</span> {t("sidebar.dayPlan")}
+              </h2>
+              <ItineraryPanel
+                theme={theme}
+                plan={plan}
+                plans={plans}
+                onPlanChange={setPlan}
+                onPlansChange={setPlans}
+                onFocus={focusSaved}
+              />
             </div>
-          </div>
 
-          <div style={{ ...styles.card(dark), padding: 14 }}>
-            <div style={{ fontWeight: 900, fontSize: 16, marginBottom: 10 }}>
-              {places.length ? `Found ${places.length} places` : "Results"}
+            <div style={{ ...styles.card(theme), padding: 14 }}>
+              <h2 style={{ fontWeight: 900, fontSize: 16, margin: "0 0 10px" }}>
+                <span aria-hidden="true">⭐</span> {t("sidebar.saved")}
+              </h2>
+              <SavedLists
+                theme={theme}
+                lists={lists}
+                activeListId={activeList?.id || null}
+                onSelect={setActiveListId}
+                onChange={setLists}
+                onFocus={focusSaved}
+              />
             </div>
 
-            <div style={{ maxHeight: 420, overflow: "auto", display: "grid", gap: 10, paddingRight: 6 }}>
-              {places.map((p) => {
-                const active = p.id === selectedId;
-                return (
-                  <div
-                    key={p.id}
-                    onClick={() => focusPlace(p)}
-                    style={{
-                      padding: 12,
-                      borderRadius: 14,
-                      cursor: "pointer",
-                      border: active
-                        ? "1px solid rgba(140,80,255,0.7)"
-                        : dark
-                          ? "1px solid rgba(255,255,255,0.10)"
-                          : "1px solid rgba(20,20,40,0.10)",
-                      background: active
-                        ? dark
-                          ? "linear-gradient(90deg, rgba(140,80,255,0.25), rgba(0,200,255,0.10))"
-                          : "linear-gradient(90deg, rgba(140,80,255,0.12), rgba(0,200,255,0.08))"
-                        : dark
-                          ? "rgba(255,255,255,0.04)"
-                          : "rgba(255,255,255,0.85)",
-                    }}
-                  >
-                    <div style={{ display: "flex", justifyContent: "space-between", gap: 10 }}>
-                      <div style={{ fontWeight: 900 }}>{p.name}</div>
-                      <div style={{ fontWeight: 800, opacity: 0.9 }}>⭐ {p.rating}</div>
-                    </div>
-
-                    <div style={{ opacity: 0.8, marginTop: 6, fontSize: 13 }}>
-                      {prettyType(p.kind)} • {p.distanceKm.toFixed(1)} km away
-                    </div>
-
-                    {p.address ? (
-                      <div style={{ opacity: 0.7, marginTop: 6, fontSize: 12 }}>{p.address}</div>
-                    ) : null}
-                  </div>
-                );
-              })}
+            <div style={{ ...styles.card(theme), padding: 14 }}>
+              <h2 id="results-title" style={{ fontWeight: 900, fontSize: 16, margin: "0 0 10px" }}>
+                {!ranked.length
+                  ? t("results.title")
+                  : listed.length === ranked.length
+                    ? t("results.found", { count: ranked.length })
+                    : t("results.filtered", { count: ranked.length, shown: listed.length })}
+              </h2>
+              <div id="results-hint" hidden>
+                {t("results.hint")}
+              </div>
 
-              {!places.length && (
-                <div style={{ opacity: 0.75, fontSize: 13, padding: 10 }}>
-                  Try searching another city (e.g., “Toronto, Ontario, Canada”) and hit Search.
-                </div>
+              {!!visible.length && (
+                <FacetsPanel
+                  theme={theme}
+                  text={filterText}
+                  onTextChange={setFilterText}
+                  sort={sort}
+                  onSortChange={setSort}
+                  selection={facetSelection}
+                  onSelectionChange={setFacetSelection}
+                  counts={counts}
+                />
               )}
+
+              <div ref={resultsRef} style={{ maxHeight: 420, overflow: "auto", display: "grid", gap: 10, paddingRight: 6 }}>
+                <div role="list" aria-labelledby="results-title" style={{ display: "grid", gap: 10 }}>
+                  {shown.map((p, index) => {
+                    const active = p.id === selectedId;
+                    const savedTitle = savedIds.has(p.id)
+                      ? t("results.unsave", { list: activeList.name })
+                      : t("results.save", { list: activeList?.name || t("lists.firstName") });
+                    const planTitle = planIds.has(p.id) ? t("results.unplan") : t("results.plan");
+                    return (
+                      <div
+                        key={p.id}
+                        ref={(el) => {
+                          if (el) resultRefs.current.set(p.id, el);
+                          else resultRefs.current.delete(p.id);
+                        }}
+                        role="listitem"
+                        tabIndex={p.id === tabbableId ? 0 : -1}
+                        aria-current={active || undefined}
+                        aria-describedby="results-hint"
+                        onClick={() => focusPlace(p)}
+                        onKeyDown={(e) => onResultKeyDown(e, index)}
+                        style={styles.result(theme, active)}
+                      >
+                        <div style={{ display: "flex", justifyContent: "space-between", gap: 10 }}>
+                          <div style={{ fontWeight: 900, flex: 1 }}>{p.name}</div>
+                          <button
+                            style={{ ...styles.button(theme), padding: "2px 8px" }}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              toggleSaved(p);
+                            }}
+                            title={savedTitle}
+                            aria-label={`${savedTitle}: ${p.name}`}
+                            aria-pressed={savedIds.has(p.id)}
+                          >
+                            {savedIds.has(p.id) ? "★" : "☆"}
+                          </button>
+                          <button
+                            style={{ ...styles.button(theme), padding: "2px 8px" }}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              togglePlanStop(p);
+                            }}
+                            title={planTitle}
+                            aria-label={`${planTitle}: ${p.name}`}
+                            aria-pressed={planIds.has(p.id)}
+                          >
+                            {planIds.has(p.id) ? "✓" : "＋"}
+                          </button>
+                          <div
+                            style={{ fontWeight: 800, opacity: 0.9, whiteSpace: "nowrap" }}
+                            title={t("results.scores", { quality: p.scores.quality, gem: p.scores.gem })}
+                          >
+                            {p.score}
+                            <span style={{ opacity: 0.6, fontWeight: 600, fontSize: 12 }}> · ✨{p.scores.gem}</span>
+                          </div>
+                        </div>
+
+                        <div style={{ opacity: 0.8, marginTop: 6, fontSize: 13 }}>
+                          {prettyType(p.kind)} • {t("results.away", { distance: formatDistance(p.distanceKm) })}
+                        </div>
+
+                        {journal[p.id] ? (
+                          <div style={{ marginTop: 6, fontSize: 12, fontWeight: 700 }}>
+                            {journalSummary(journal[p.id], { t, locale })}
+                          </div>
+                        ) : null}
+
+                        {hoursById.get(p.id) ? (
+                          <div style={{ marginTop: 6 }}>
+                            <OpenBadge status={hoursById.get(p.id)} />
+                          </div>
+                        ) : null}
+
+                        {p.address ? (
+                          <div style={{ opacity: 0.7, marginTop: 6, fontSize: 12 }}>{p.address}</div>
+                        ) : null}
+                      </div>
+                    );
+                  })}
+                </div>
+
+                {listed.length > visibleCount && (
+                  <button style={styles.button(theme)} onClick={() => setVisibleCount((n) => n + PAGE_SIZE)}>
+                    {t("results.more", { count: Math.min(PAGE_SIZE, listed.length - visibleCount), left: listed.length - visibleCount })}
+                  </button>
+                )}
+
+                {!!visible.length && !listed.length && (
+                  <div style={{ opacity: 0.75, fontSize: 13, padding: 10 }}>{t("results.noMatch")}</div>
+                )}
+
+                {!!ranked.length && !visible.length && (
+                  <div style={{ opacity: 0.75, fontSize: 13, padding: 10 }}>
+                    {t("results.noneOpen", { count: ranked.length })}
+                  </div>
+                )}
+
+                {!places.length && (
+                  <div style={{ opacity: 0.75, fontSize: 13, padding: 10 }}>
+                    {t("results.empty")}
+                  </div>
+                )}
+              </div>
             </div>
           </div>
         </div>
-      </div>
 
-      <div style={{ maxWidth: 1200, margin: "14px auto 0", opacity: 0.65, fontSize: 12 }}>
-        Data: OpenStreetMap via Overpass API • Geocoding: Nominatim • Map: Leaflet
+        <div style={{ maxWidth: 1200, margin: "14px auto 0", opacity: 0.65, fontSize: 12 }}>
+          {t("footer.credits")}
+          {provider.name !== "osm" ? ` • ${t("footer.provider", { name: provider.name })}` : ""}
+        </div>
+
+        <AutoRefresh settingsKey={settingsKey} searchedKey={searchedKey} onRefresh={refresh} />
       </div>
+    </I18nContext.Provider>
+  );
+}
 
-      <AutoRefresh deps={[activeCat, useGems, radiusKm]} onRefresh={runSearch} />
-    </div>
+/**
+ * Footprint of a way/relation result, drawn under its marker.
+ */
+function PlaceShape({ theme, shape, active, onClick }) {
+  const pathOptions = {
+    color: theme.colors.accent,
+    weight: active ? 3 : 2,
+    opacity: active ? 0.95 : 0.7,
+    fillColor: theme.colors.accent2,
+    fillOpacity: active ? 0.25 : 0.12,
+  };
+  const eventHandlers = { click: onClick };
+
+  return shape.kind === "polygon" ? (
+    <Polygon positions={shape.rings} pathOptions={pathOptions} eventHandlers={eventHandlers} />
+  ) : (
+    <Polyline positions={shape.rings[0]} pathOptions={pathOptions} eventHandlers={eventHandlers} />
   );
 }
 
-function AutoRefresh({ deps, onRefresh }) {
-  const first = useRef(true);
+/**
+ * Re-runs the last search when the settings change, unless a search with
+ * these settings already ran (e.g. one restored from history). `onRefresh`
+ * must keep its identity (see useEvent).
+ */
+function AutoRefresh({ settingsKey, searchedKey, onRefresh }) {
   useEffect(() => {
-    if (first.current) {
-      first.current = false;
-      return;
-    }
-    const t = setTimeout(() => onRefresh(), 350);
+    if (searchedKey.current == null) return;
+    const t = setTimeout(() => {
+      if (settingsKey !== searchedKey.current) onRefresh();
+    }, 350);
     return () => clearTimeout(t);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, deps);
+  }, [settingsKey, searchedKey, onRefresh]);
   return null;
 }
 
-function prettyType(kind) {
-  const k = String(kind).replaceAll("_", " ");
-  return k.charAt(0).toUpperCase() + k.slice(1);
+function urlFor(state) {
+  return `${window.location.pathname}?${formatUrlState(state)}`;
+}
+
+function viewForBounds(b) {
+  return { bounds: b, center: { lat: (b.south + b.north) / 2, lng: (b.west + b.east) / 2 } };
+}
+
+/**
+ * Scrolls `container` (a scrolling list) so `el` is fully visible, leaving
+ * the page itself where it is.
+ */
+function scrollIntoContainer(el, container) {
+  if (!container) return;
+  const box = container.getBoundingClientRect();
+  const r = el.getBoundingClientRect();
+  if (r.top < box.top) container.scrollTop -= box.top - r.top;
+  else if (r.bottom > box.bottom) container.scrollTop += r.bottom - box.bottom;
+}
+
+function toLocalInput({ year, month, day, minutes }) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${year}-${pad(month + 1)}-${pad(day)}T${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
 }
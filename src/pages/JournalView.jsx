@@ -0,0 +1,251 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { exportJournal, importJournal, journalTags, removeEntry, searchJournal } from "../lib/journal.js";
+import { createI18n, loadLocale, loadUnits } from "../lib/i18n.js";
+import { loadAccents, loadThemeKey, resolveTheme, themeVars } from "../lib/themes.js";
+import { prettyType } from "../lib/facets.js";
+import { placePermalink } from "../lib/urlState.js";
+import JournalEditor, { journalSummary } from "../components/JournalEditor.jsx";
+import { I18nContext, useI18n } from "../components/I18n.jsx";
+import { useJournal } from "../components/useJournal.js";
+import { styles } from "../styles.js";
+
+// Half-size in degrees of the area searched when opening an entry on the map.
+const OPEN_SPAN = 0.005;
+
+/**
+ * Everything in the journal (lib/journal.js), across all cities: search,
+ * filter, edit, and back up to / restore from a JSON file. Theme and language
+ * are the ones saved by the explorer.
+ */
+export default function JournalView() {
+  const theme = useMemo(() => resolveTheme(loadThemeKey(), loadAccents()), []);
+  const i18n = useMemo(() => createI18n(loadLocale(), loadUnits()), []);
+  const { t, locale, formatNumber } = i18n;
+
+  const { journal, setJournal, annotatePlace } = useJournal();
+  const [text, setText] = useState("");
+  const [show, setShow] = useState("all");
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState("");
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const all = Object.values(journal);
+  const found = useMemo(() => searchJournal(journal, { text, show }), [journal, text, show]);
+  const tags = useMemo(() => journalTags(journal), [journal]);
+
+  // Grouped by city, cities A–Z with places of unknown city last.
+  const groups = useMemo(() => {
+    const byCity = new Map();
+    for (const e of found) {
+      const city = e.city || "";
+      if (!byCity.has(city)) byCity.set(city, []);
+      byCity.get(city).push(e);
+    }
+    return Array.from(byCity).sort(([a], [b]) => (!a ? 1 : !b ? -1 : a.localeCompare(b, locale)));
+  }, [found, locale]);
+
+  function remove(entry) {
+    if (!window.confirm(t("journal.deleteConfirm", { name: entry.name }))) return;
+    setJournal((j) => removeEntry(j, entry.id));
+  }
+
+  function backup() {
+    const blob = new Blob([exportJournal(journal)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `worldgems-journal-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function restore(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { journal: next, count } = importJournal(await file.text(), journal);
+      setJournal(next);
+      setMessage(t("journal.restored", { count }));
+    } catch (err) {
+      setMessage(t("journal.restoreFailed", { message: err.message }));
+    }
+  }
+
+  function mapHref(entry) {
+    const area = {
+      south: entry.lat - OPEN_SPAN,
+      west: entry.lon - OPEN_SPAN,
+      north: entry.lat + OPEN_SPAN,
+      east: entry.lon + OPEN_SPAN,
+    };
+    return placePermalink(entry, { area, zoom: 17 });
+  }
+
+  const cities = new Set(all.map((e) => e.city).filter(Boolean)).size;
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <div style={{ ...styles.shell(theme), ...themeVars(theme) }}>
+        <div style={{ maxWidth: 900, margin: "0 auto", display: "grid", gap: 18 }}>
+          <header style={{ ...styles.card(theme), padding: 14, display: "grid", gap: 12 }}>
+            <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+              <a href="?" style={{ ...styles.button(theme), textDecoration: "none" }}>
+                ← {t("common.explorer")}
+              </a>
+              <h1 style={{ fontSize: 20, fontWeight: 900, margin: 0, flex: 1 }}>📓 {t("journal.title")}</h1>
+              <button style={styles.button(theme)} onClick={backup} disabled={!all.length} title={t("journal.backupHint")}>
+                ⬇ {t("journal.backup")}
+              </button>
+              <button style={styles.button(theme)} onClick={() => fileRef.current?.click()} title={t("journal.restoreHint")}>
+                ⬆ {t("journal.restore")}
+              </button>
+              <input ref={fileRef} type="file" accept=".json" style={{ display: "none" }} onChange={restore} />
+            </div>
+
+            <div style={{ opacity: 0.8, fontSize: 13 }}>
+              {t("journal.stats", {
+                count: all.length,
+                visited: formatNumber(all.filter((e) => e.visitedOn).length),
+                rated: formatNumber(all.filter((e) => e.rating).length),
+                cities: formatNumber(cities),
+              })}
+            </div>
+
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+              <input
+                type="search"
+                style={{ ...styles.input(theme), flex: 1, minWidth: 200, padding: "8px 10px" }}
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={t("journal.searchPlaceholder")}
+                aria-label={t("journal.search")}
+              />
+              <select
+                style={styles.button(theme)}
+                value={show}
+                onChange={(e) => setShow(e.target.value)}
+                aria-label={t("journal.show")}
+              >
+                {["all", "visited", "rated", "notes"].map((key) => (
+                  <option key={key} value={key}>
+                    {t(`journal.show.${key}`)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {tags.length > 0 && (
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }} role="group" aria-label={t("journal.tags")}>
+                {tags.map(({ tag, count }) => {
+                  const active = text === `#${tag}`;
+                  return (
+                    <button
+                      key={tag}
+                      style={{ ...styles.pill(theme, active), width: "auto", padding: "4px 10px", fontSize: 12 }}
+                      onClick={() => setText(active ? "" : `#${tag}`)}
+                      aria-pressed={active}
+                    >
+                      #{tag} <span style={{ opacity: 0.6 }}>{count}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+
+            {message && (
+              <div role="status" style={{ fontSize: 12, opacity: 0.85 }}>
+                {message}
+              </div>
+            )}
+          </header>
+
+          {!all.length && <div style={{ ...styles.card(theme), padding: 14, opacity: 0.8 }}>{t("journal.empty")}</div>}
+          {!!all.length && !found.length && (
+            <div style={{ ...styles.card(theme), padding: 14, opacity: 0.8 }}>{t("journal.noMatch")}</div>
+          )}
+
+          {groups.map(([city, entries]) => (
+            <section key={city} style={{ ...styles.card(theme), padding: 14 }} aria-label={city || t("journal.elsewhere")}>
+              <h2 style={{ fontWeight: 900, fontSize: 16, margin: "0 0 10px" }}>
+                {city || t("journal.elsewhere")} <span style={{ opacity: 0.6, fontWeight: 600 }}>· {entries.length}</span>
+              </h2>
+              <div style={{ display: "grid", gap: 10 }}>
+                {entries.map((entry) => (
+                  <JournalCard
+                    key={entry.id}
+                    theme={theme}
+                    entry={entry}
+                    href={mapHref(entry)}
+                    editing={editingId === entry.id}
+                    onEdit={() => setEditingId(editingId === entry.id ? null : entry.id)}
+                    onChange={(patch) => annotatePlace(entry, patch)}
+                    onRemove={() => remove(entry)}
+                    onTag={(tag) => setText(`#${tag}`)}
+                  />
+                ))}
+              </div>
+            </section>
+          ))}
+        </div>
+      </div>
+    </I18nContext.Provider>
+  );
+}
+
+function JournalCard({ theme, entry, href, editing, onEdit, onChange, onRemove, onTag }) {
+  const { t, locale } = useI18n();
+  return (
+    <article style={{ ...styles.result(theme, editing), cursor: "default" }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "start" }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <a href={href} style={{ fontWeight: 900, color: "inherit" }} title={t("common.showOnMap")}>
+            {entry.name}
+          </a>
+          <div style={{ opacity: 0.75, fontSize: 12, marginTop: 2 }}>
+            {prettyType(entry.kind)}
+            {entry.address ? ` • ${entry.address}` : ""}
+          </div>
+        </div>
+        <button style={styles.button(theme)} onClick={onEdit} aria-expanded={editing}>
+          ✏️ {t("journal.edit")}
+        </button>
+        <button
+          style={styles.button(theme)}
+          onClick={onRemove}
+          title={t("journal.delete")}
+          aria-label={t("journal.deletePlace", { name: entry.name })}
+        >
+          🗑️
+        </button>
+      </div>
+
+      <div style={{ fontSize: 12, fontWeight: 700, marginTop: 6 }}>{journalSummary(entry, { t, locale })}</div>
+
+      {editing ? (
+        <div style={{ marginTop: 10 }}>
+          <JournalEditor key={entry.id} theme={theme} entry={entry} onChange={onChange} />
+        </div>
+      ) : (
+        <>
+          {entry.notes.trim() && (
+            <p style={{ margin: "6px 0 0", fontSize: 13, whiteSpace: "pre-wrap" }}>{entry.notes}</p>
+          )}
+          {entry.tags.length > 0 && (
+            <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 6 }}>
+              {entry.tags.map((tag) => (
+                <button key={tag} style={{ ...styles.plainButton, fontSize: 12, opacity: 0.8 }} onClick={() => onTag(tag)}>
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </article>
+  );
+}
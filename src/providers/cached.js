@@ -0,0 +1,90 @@
+import { normalizeQuery } from "./fixture.js";
+
+const meta = new WeakMap();
+
+/**
+ * How a provider result was obtained:
+ * { source: "network" | "cache" | "offline", stale: boolean, storedAt?: number }.
+ * "offline" results come from a downloaded area (see providers/offline.js).
+ * Results that did not go through a cached provider have no meta.
+ */
+export function getResponseMeta(result) {
+  return (result && meta.get(result)) || null;
+}
+
+/**
+ * Wraps a provider so geocode/reverse/POI responses are served from `cache` while
+ * younger than `ttlMs`. When the network call fails, an expired entry is
+ * returned instead (marked stale) before giving up.
+ *
+ * Geocode calls can pass `cache: false` to skip the store: type-ahead
+ * suggestions fire on every pause in typing and would otherwise push the
+ * place results out of the LRU.
+ */
+export function withCache(provider, cache, { ttlMs = 60 * 60 * 1000 } = {}) {
+  async function cached(key, load) {
+    const hit = await cache.get(key).catch(() => null);
+    if (hit && Date.now() - hit.storedAt < ttlMs) {
+      return tagResponse(hit.value, { source: "cache", stale: false, storedAt: hit.storedAt });
+    }
+
+    try {
+      const value = await load();
+      cache.set(key, value).catch(() => {});
+      return tagResponse(value, { source: "network", stale: false });
+    } catch (e) {
+      if (hit && e?.name !== "AbortError") {
+        return tagResponse(hit.value, { source: "cache", stale: true, storedAt: hit.storedAt });
+      }
+      throw e;
+    }
+  }
+
+  return {
+    ...provider,
+
+    geocode(q, opts = {}) {
+      if (opts.cache === false) return provider.geocode(q, opts);
+      const key = `geocode|${normalizeQuery(q)}|${opts.limit ?? 1}|${opts.lang ?? "en"}`;
+      return cached(key, () => provider.geocode(q, opts));
+    },
+
+    reverse(opts) {
+      const r = (n) => Number(n).toFixed(5);
+      const key = `reverse|${r(opts.lat)},${r(opts.lon)}|${opts.zoom ?? 18}|${opts.lang ?? "en"}`;
+      return cached(key, () => provider.reverse(opts));
+    },
+
+    pois(opts) {
+      const key = `pois|${areaKey(opts.area)}|${[...opts.selectors].sort().join(";")}|${opts.limit ?? ""}`;
+      return cached(key, () => provider.pois(opts));
+    },
+
+    lookup(opts) {
+      return cached(`lookup|${[...opts.ids].sort().join(";")}`, () => provider.lookup(opts));
+    },
+
+    timezone(opts) {
+      // Zones don't move; ~1 km rounding is plenty.
+      const key = `timezone|${Number(opts.lat).toFixed(2)},${Number(opts.lon).toFixed(2)}`;
+      return cached(key, () => provider.timezone(opts));
+    },
+
+    cache,
+  };
+}
+
+/**
+ * Round coordinates so tiny map jitters still hit the same entry (~1 m).
+ */
+function areaKey(area) {
+  const r = (n) => Number(n).toFixed(5);
+  if (area?.type === "around") return `around:${Math.round(area.radiusM)},${r(area.lat)},${r(area.lon)}`;
+  if (area?.type === "bbox") return `bbox:${r(area.south)},${r(area.west)},${r(area.north)},${r(area.east)}`;
+  return JSON.stringify(area);
+}
+
+export function tagResponse(value, info) {
+  if (value && typeof value === "object") meta.set(value, info);
+  return value;
+}
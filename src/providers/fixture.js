@@ -0,0 +1,111 @@
+import { inArea, matchesSelector, parseElementIds, parseSelector } from "../lib/overpass.js";
+import { sleep } from "../lib/http.js";
+import { haversineKm } from "../lib/geo.js";
+import { elementCenter } from "../lib/elements.js";
+
+/**
+ * Offline provider that answers from recorded responses.
+ * `fixtures` has the shape:
+ *   { geocode: { "<normalized query>": [nominatim results] },
+ *     overpass: { elements: [overpass elements] },
+ *     timezone: "<IANA zone of the recorded area>" }
+ * POI requests are filtered locally by selector and area, so switching
+ * categories or radius behaves like the real thing. Reverse geocoding answers
+ * with the nearest recorded address, else the smallest recorded place around.
+ */
+export function createFixtureProvider({ fixtures, latencyMs = 150 } = {}) {
+  if (!fixtures) throw new Error("Fixture provider needs fixture data");
+
+  const geocodes = fixtures.geocode || {};
+  const elements = fixtures.overpass?.elements || [];
+
+  return {
+    name: "fixture",
+
+    async geocode(q, { limit = 1, signal } = {}) {
+      await sleep(latencyMs, signal);
+      const key = normalizeQuery(q);
+      const hit =
+        geocodes[key] ||
+        Object.entries(geocodes).find(([k]) => key && (k.includes(key) || key.includes(k)))?.[1] ||
+        [];
+      return hit.slice(0, limit);
+    },
+
+    async reverse({ lat, lon, signal }) {
+      await sleep(latencyMs, signal);
+      const nearest = elements
+        .filter((el) => el.tags?.["addr:street"])
+        .map((el) => ({ el, pos: elementCenter(el) }))
+        .filter((c) => c.pos)
+        .map((c) => ({ ...c, km: haversineKm({ lat, lng: lon }, { lat: c.pos.lat, lng: c.pos.lon }) }))
+        .filter((c) => c.km <= REVERSE_MAX_KM)
+        .sort((a, b) => a.km - b.km)[0];
+      if (nearest) return addressResult(nearest.el, nearest.pos);
+
+      const around = Object.values(geocodes)
+        .flat()
+        .filter((g) => {
+          const [south, north, west, east] = (g.boundingbox || []).map(Number);
+          return lat >= south && lat <= north && lon >= west && lon <= east;
+        })
+        .sort((a, b) => bboxArea(a.boundingbox) - bboxArea(b.boundingbox));
+      return around[0] || null;
+    },
+
+    async pois({ area, selectors, limit = Infinity, signal }) {
+      await sleep(latencyMs, signal);
+      const parsed = selectors.map(parseSelector);
+      return elements
+        .filter((el) => inArea(el, area) && parsed.some((s) => matchesSelector(el, s)))
+        .slice(0, limit);
+    },
+
+    async lookup({ ids, signal }) {
+      await sleep(latencyMs, signal);
+      const wanted = new Set(parseElementIds(ids).map(({ type, id }) => `${type}:${id}`));
+      return elements.filter((el) => wanted.has(`${el.type}:${el.id}`));
+    },
+
+    async timezone({ signal } = {}) {
+      await sleep(latencyMs, signal);
+      return fixtures.timezone || null;
+    },
+  };
+}
+
+// How far from a recorded address a reverse lookup still answers with it.
+const REVERSE_MAX_KM = 0.15;
+
+// Shaped like a Nominatim /reverse result for a building.
+function addressResult(el, { lat, lon }) {
+  const t = el.tags;
+  const street = [t["addr:housenumber"], t["addr:street"]].filter(Boolean).join(" ");
+  return {
+    place_id: `${el.type}:${el.id}`,
+    osm_type: el.type,
+    osm_id: el.id,
+    lat: String(lat),
+    lon: String(lon),
+    name: t.name || "",
+    display_name: [t.name, street, t["addr:postcode"], t["addr:city"]].filter(Boolean).join(", "),
+    address: {
+      road: t["addr:street"],
+      house_number: t["addr:housenumber"],
+      postcode: t["addr:postcode"],
+      city: t["addr:city"],
+    },
+  };
+}
+
+function bboxArea(bbox = []) {
+  const [south, north, west, east] = bbox.map(Number);
+  return (north - south) * (east - west);
+}
+
+export function normalizeQuery(q) {
+  return String(q || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
@@ -0,0 +1,61 @@
+import { createCustomProvider, createOsmProvider } from "./osm.js";
+import { createFixtureProvider } from "./fixture.js";
+import { withCache } from "./cached.js";
+import { withOfflineAreas } from "./offline.js";
+import { createResponseCache } from "../lib/cache.js";
+import parisFixture from "../fixtures/paris.json";
+
+/**
+ * Picks the data provider from Vite env:
+ *   VITE_DATA_PROVIDER = osm (default) | custom | fixture
+ *   VITE_OVERPASS_URL / VITE_NOMINATIM_URL for "custom"
+ *   VITE_CACHE_TTL_MINUTES (default 60, 0 disables the cache)
+ *   VITE_CACHE_MAX_ENTRIES (default 300)
+ */
+export function readProviderConfig(env = import.meta.env || {}) {
+  return {
+    provider: env.VITE_DATA_PROVIDER || "osm",
+    overpassUrl: env.VITE_OVERPASS_URL,
+    nominatimUrl: env.VITE_NOMINATIM_URL,
+    cacheTtlMinutes: numberOr(env.VITE_CACHE_TTL_MINUTES, 60),
+    cacheMaxEntries: numberOr(env.VITE_CACHE_MAX_ENTRIES, 300),
+  };
+}
+
+/**
+ * `offlineAreas` (lib/offlineAreas.js) adds the downloaded areas as a last
+ * resort when the network is unavailable.
+ */
+export function createProvider(config = readProviderConfig(), { offlineAreas } = {}) {
+  const provider = createBaseProvider(config);
+  // Fixtures are already offline; caching them would only hide fixture edits.
+  if (provider.name === "fixture") return provider;
+
+  const cached =
+    config.cacheTtlMinutes > 0
+      ? withCache(
+          provider,
+          createResponseCache({ dbName: `worldgems-cache-${provider.name}`, maxEntries: config.cacheMaxEntries }),
+          { ttlMs: config.cacheTtlMinutes * 60 * 1000 }
+        )
+      : provider;
+  return offlineAreas ? withOfflineAreas(cached, offlineAreas) : cached;
+}
+
+function createBaseProvider(config) {
+  switch (config.provider) {
+    case "osm":
+      return createOsmProvider();
+    case "custom":
+      return createCustomProvider(config);
+    case "fixture":
+      return createFixtureProvider({ fixtures: config.fixtures || parisFixture });
+    default:
+      throw new Error(`Unknown data provider: ${config.provider}`);
+  }
+}
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return value === undefined || value === "" || Number.isNaN(n) ? fallback : n;
+}
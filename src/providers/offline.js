@@ -0,0 +1,134 @@
+import { inArea, matchesSelector, parseElementIds, parseSelector } from "../lib/overpass.js";
+import { containsPoint } from "../lib/offlineAreas.js";
+import { normalizeQuery } from "./fixture.js";
+import { tagResponse } from "./cached.js";
+
+/**
+ * Wraps a provider so downloaded areas (lib/offlineAreas.js) answer when the
+ * network can't. While the browser is offline they are asked first, skipping
+ * the retries and backoff; online they are only used once the wrapped
+ * provider has failed. POI requests are filtered locally by selector and
+ * area, like the fixture provider, and only count as covered when the
+ * request's center lies inside a downloaded area that was saved with every
+ * requested selector; otherwise the answer would look complete but miss the
+ * categories that were never downloaded.
+ */
+export function withOfflineAreas(provider, areas) {
+  async function withFallback(load, answer) {
+    if (globalThis.navigator?.onLine === false) {
+      const local = await answer().catch(() => null);
+      if (local) return local;
+    }
+    try {
+      return await load();
+    } catch (e) {
+      if (e?.name === "AbortError") throw e;
+      const local = await answer().catch(() => null);
+      if (local) return local;
+      throw e;
+    }
+  }
+
+  const offline = (value, area) => tagResponse(value, { source: "offline", stale: false, storedAt: area.createdAt });
+
+  return {
+    ...provider,
+
+    geocode(q, opts = {}) {
+      return withFallback(
+        () => provider.geocode(q, opts),
+        async () => {
+          const key = normalizeQuery(q);
+          const hits = (await areas.list()).filter((a) => key && normalizeQuery(a.name).includes(key));
+          if (!hits.length) return null;
+          return offline(hits.slice(0, opts.limit ?? 1).map(toGeocode), hits[0]);
+        }
+      );
+    },
+
+    reverse(opts) {
+      return withFallback(
+        () => provider.reverse(opts),
+        async () => {
+          const area = (await areas.list()).find((a) => containsPoint(a.bounds, opts.lat, opts.lon));
+          return area ? offline(toGeocode(area), area) : null;
+        }
+      );
+    },
+
+    pois(opts) {
+      return withFallback(
+        () => provider.pois(opts),
+        async () => {
+          const center = areaCenter(opts.area);
+          const covering = (await areas.list()).filter(
+            (a) =>
+              center &&
+              containsPoint(a.bounds, center.lat, center.lon) &&
+              opts.selectors.every((s) => a.selectors.includes(s))
+          );
+          if (!covering.length) return null;
+          const parsed = opts.selectors.map(parseSelector);
+          const seen = new Set();
+          const found = covering
+            .flatMap((a) => a.elements)
+            .filter((el) => {
+              const id = `${el.type}:${el.id}`;
+              if (seen.has(id)) return false;
+              seen.add(id);
+              return inArea(el, opts.area) && parsed.some((s) => matchesSelector(el, s));
+            })
+            .slice(0, opts.limit ?? Infinity);
+          return offline(found, covering[0]);
+        }
+      );
+    },
+
+    lookup(opts) {
+      return withFallback(
+        () => provider.lookup(opts),
+        async () => {
+          const wanted = new Set(parseElementIds(opts.ids).map(({ type, id }) => `${type}:${id}`));
+          const list = await areas.list();
+          for (const a of list) {
+            const found = a.elements.filter((el) => wanted.has(`${el.type}:${el.id}`));
+            if (found.length) return offline(found, a);
+          }
+          return null;
+        }
+      );
+    },
+
+    timezone(opts) {
+      return withFallback(
+        () => provider.timezone(opts),
+        async () => (await areas.list()).find((a) => a.timezone && containsPoint(a.bounds, opts.lat, opts.lon))?.timezone
+      );
+    },
+
+    offlineAreas: areas,
+  };
+}
+
+function areaCenter(area) {
+  if (area?.type === "around") return { lat: area.lat, lon: area.lon };
+  if (area?.type === "bbox") return { lat: (area.south + area.north) / 2, lon: (area.west + area.east) / 2 };
+  return null;
+}
+
+// Shaped like a Nominatim result, so a downloaded area can be searched by name
+// (and names the points inside it).
+function toGeocode(area) {
+  const { south, west, north, east } = area.bounds;
+  return {
+    place_id: area.id,
+    osm_type: "offline",
+    osm_id: area.id,
+    name: area.name.split(",")[0],
+    display_name: area.name,
+    type: "offline",
+    lat: String((south + north) / 2),
+    lon: String((west + east) / 2),
+    boundingbox: [south, north, west, east].map(String),
+  };
+}
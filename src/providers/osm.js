@@ -0,0 +1,165 @@
+import { buildLookupQuery, buildOverpassQuery, buildTimezoneQuery } from "../lib/overpass.js";
+import { fetchWithRetry } from "../lib/http.js";
+
+/**
+ * Public Overpass instances, tried in order when one is rate limited or down.
+ */
+export const PUBLIC_OVERPASS_URLS = [
+  "https://overpass-api.de/api/interpreter",
+  "https://overpass.kumi.systems/api/interpreter",
+  "https://overpass.private.coffee/api/interpreter",
+];
+export const PUBLIC_NOMINATIM_URL = "https://nominatim.openstreetmap.org";
+
+/**
+ * Provider backed by Overpass interpreter(s) + a Nominatim instance.
+ * Defaults to the public OSM services; pass your own URLs for self-hosted ones.
+ * Every call accepts { signal, onProgress } (see lib/http.js).
+ * `userAgent` identifies scripts to the services (browsers send their own).
+ */
+export function createOsmProvider({
+  name = "osm",
+  overpassUrls = PUBLIC_OVERPASS_URLS,
+  nominatimUrl = PUBLIC_NOMINATIM_URL,
+  userAgent,
+} = {}) {
+  const nominatimBase = nominatimUrl.replace(/\/+$/, "");
+  const agent = userAgent ? { "User-Agent": userAgent } : {};
+
+  return {
+    name,
+
+    async geocode(q, { limit = 1, lang = "en", signal, onProgress } = {}) {
+      const url =
+        `${nominatimBase}/search?` +
+        new URLSearchParams({
+          q,
+          format: "json",
+          addressdetails: "1",
+          limit: String(limit),
+        }).toString();
+
+      const res = await fetchWithRetry(
+        url,
+        {
+          headers: {
+            "Accept-Language": lang,
+            ...agent,
+          },
+        },
+        { signal, onProgress }
+      );
+
+      if (!res.ok) throw new Error(`Geocode failed (${res.status})`);
+      const data = await res.json();
+      return Array.isArray(data) ? data : [];
+    },
+
+    /**
+     * Address at a point (Nominatim /reverse), or null where there is none
+     * (e.g. at sea). `zoom` 18 asks for a building, lower values for coarser areas.
+     */
+    async reverse({ lat, lon, zoom = 18, lang = "en", signal, onProgress }) {
+      const url =
+        `${nominatimBase}/reverse?` +
+        new URLSearchParams({
+          lat: String(lat),
+          lon: String(lon),
+          zoom: String(zoom),
+          format: "json",
+          addressdetails: "1",
+        }).toString();
+
+      const res = await fetchWithRetry(
+        url,
+        {
+          headers: {
+            "Accept-Language": lang,
+            ...agent,
+          },
+        },
+        { signal, onProgress }
+      );
+
+      if (!res.ok) throw new Error(`Reverse geocode failed (${res.status})`);
+      const data = await res.json();
+      return data && !data.error ? data : null;
+    },
+
+    async pois({ area, selectors, limit, signal, onProgress }) {
+      const body = buildOverpassQuery({ area, selectors, limit });
+
+      const res = await fetchWithRetry(
+        overpassUrls,
+        {
+          method: "POST",
+          headers: { "Content-Type": "text/plain;charset=UTF-8", ...agent },
+          body,
+        },
+        { signal, onProgress }
+      );
+
+      if (!res.ok) {
+        const txt = await res.text();
+        throw new Error(`Overpass error: ${res.status} ${txt.slice(0, 180)}`);
+      }
+
+      const json = await res.json();
+      return json.elements || [];
+    },
+
+    /**
+     * Elements by id ("node:123"), e.g. to open a permalinked place.
+     */
+    async lookup({ ids, signal, onProgress }) {
+      const res = await fetchWithRetry(
+        overpassUrls,
+        {
+          method: "POST",
+          headers: { "Content-Type": "text/plain;charset=UTF-8", ...agent },
+          body: buildLookupQuery({ ids }),
+        },
+        { signal, onProgress }
+      );
+
+      if (!res.ok) throw new Error(`Overpass error: ${res.status}`);
+      const json = await res.json();
+      return json.elements || [];
+    },
+
+    /**
+     * IANA time zone at a point, from the most local admin area tagged with one.
+     */
+    async timezone({ lat, lon, signal, onProgress }) {
+      const res = await fetchWithRetry(
+        overpassUrls,
+        {
+          method: "POST",
+          headers: { "Content-Type": "text/plain;charset=UTF-8", ...agent },
+          body: buildTimezoneQuery({ lat, lon }),
+        },
+        { signal, onProgress }
+      );
+
+      if (!res.ok) throw new Error(`Overpass error: ${res.status}`);
+      const json = await res.json();
+      const areas = (json.elements || []).filter((a) => a.tags?.timezone);
+      areas.sort((a, b) => Number(b.tags.admin_level || 0) - Number(a.tags.admin_level || 0));
+      return areas[0]?.tags.timezone || null;
+    },
+  };
+}
+
+/**
+ * Same protocol as the public services, but the endpoints are required.
+ * `overpassUrl` may be a list (or comma-separated string) of mirrors.
+ */
+export function createCustomProvider({ overpassUrl, nominatimUrl, userAgent } = {}) {
+  const overpassUrls = (Array.isArray(overpassUrl) ? overpassUrl : String(overpassUrl || "").split(","))
+    .map((u) => u.trim())
+    .filter(Boolean);
+  if (!overpassUrls.length || !nominatimUrl) {
+    throw new Error("Custom provider needs both an Overpass and a Nominatim URL");
+  }
+  return createOsmProvider({ name: "custom", overpassUrls, nominatimUrl, userAgent });
+}
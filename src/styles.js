@@ -0,0 +1,112 @@
+import { alpha } from "./lib/themes.js";
+
+// Every style takes a resolved theme (see lib/themes.js).
+export const styles = {
+  shell: ({ colors: c }) => ({
+    minHeight: "100vh",
+    padding: "24px",
+    background: `radial-gradient(1000px 600px at 30% 10%, ${alpha(c.accent, c.glow[0])}, transparent 60%), radial-gradient(900px 500px at 80% 20%, ${alpha(c.accent2, c.glow[1])}, transparent 60%), ${c.background}`,
+    color: c.text,
+    fontFamily:
+      'ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, Helvetica, Arial',
+  }),
+  card: ({ colors: c }) => ({
+    background: c.surface,
+    border: `1px solid ${c.border}`,
+    boxShadow: c.shadow === "none" ? "none" : `${c.shadow}, 0 0 0 1px ${alpha(c.accent, 0.08)} inset`,
+    borderRadius: 18,
+    backdropFilter: "blur(12px)",
+  }),
+  pill: ({ dark, colors: c }, active) => ({
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    width: "100%",
+    padding: "12px 14px",
+    borderRadius: 14,
+    border: `1px solid ${active ? alpha(c.accent, 0.65) : c.border}`,
+    background: active
+      ? `linear-gradient(90deg, ${alpha(c.accent, dark ? 0.28 : 0.14)}, ${alpha(c.accent2, dark ? 0.12 : 0.1)})`
+      : c.field,
+    color: "inherit",
+    font: "inherit",
+    textAlign: "left",
+    cursor: "pointer",
+    transition: "transform 0.08s ease, border-color 0.2s ease",
+    userSelect: "none",
+  }),
+  input: ({ colors: c }) => ({
+    width: "100%",
+    padding: "12px 14px",
+    borderRadius: 14,
+    border: `1px solid ${c.borderStrong}`,
+    background: c.field,
+    color: c.text,
+  }),
+  button: ({ colors: c }) => ({
+    padding: "10px 12px",
+    borderRadius: 14,
+    border: `1px solid ${c.borderStrong}`,
+    background: c.button,
+    color: c.text,
+    cursor: "pointer",
+  }),
+  // A button that looks like the text inside it (clickable names in lists).
+  plainButton: {
+    padding: 0,
+    border: 0,
+    background: "none",
+    color: "inherit",
+    font: "inherit",
+    textAlign: "left",
+    cursor: "pointer",
+  },
+  chip: ({ dark, colors: c }, active) => ({
+    padding: "4px 10px",
+    borderRadius: 999,
+    fontSize: 12,
+    border: `1px solid ${active ? alpha(c.accent, 0.65) : c.borderStrong}`,
+    background: active ? alpha(c.accent, dark ? 0.28 : 0.14) : c.field,
+    color: c.text,
+    cursor: "pointer",
+  }),
+  dropdown: ({ dark, colors: c }) => ({
+    position: "absolute",
+    top: "calc(100% + 6px)",
+    left: 0,
+    right: 0,
+    zIndex: 1100,
+    maxHeight: 320,
+    overflow: "auto",
+    padding: 6,
+    borderRadius: 14,
+    border: `1px solid ${c.borderStrong}`,
+    background: c.raised,
+    boxShadow: dark ? "0 20px 60px rgba(0,0,0,0.5)" : "0 20px 60px rgba(25,25,70,0.15)",
+  }),
+  option: ({ dark, colors: c }, active) => ({
+    padding: "8px 10px",
+    borderRadius: 10,
+    cursor: "pointer",
+    background: active ? alpha(c.accent, dark ? 0.25 : 0.12) : "transparent",
+  }),
+  result: ({ dark, colors: c }, active) => ({
+    padding: 12,
+    borderRadius: 14,
+    cursor: "pointer",
+    border: `1px solid ${active ? alpha(c.accent, 0.7) : c.border}`,
+    background: active
+      ? `linear-gradient(90deg, ${alpha(c.accent, dark ? 0.25 : 0.12)}, ${alpha(c.accent2, dark ? 0.1 : 0.08)})`
+      : c.field,
+  }),
+  divider: ({ colors: c }) => `1px solid ${c.border}`,
+  mapOverlay: {
+    position: "absolute",
+    top: 10,
+    left: "50%",
+    transform: "translateX(-50%)",
+    zIndex: 1000,
+    display: "flex",
+    gap: 8,
+  },
+};
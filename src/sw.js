@@ -0,0 +1,102 @@
+/**
+ * WorldGems service worker.
+ *
+ * - App shell: every file of the build is cached on install, so the app boots
+ *   offline right after the first visit. Pages fall back to the cached
+ *   index.html when the network is slow or gone; assets are served cache-first.
+ * - Map tiles: served from TILE_CACHE when an offline area download put them
+ *   there (see src/lib/tiles.js); other tiles go straight to the network and
+ *   are not kept, so the storage only holds what the user chose to download.
+ *
+ * Overpass/Nominatim data is not handled here; the app keeps it in IndexedDB.
+ *
+ * This is a template: the build (serviceWorker() in vite.config.js) writes it
+ * to dist/sw.js with BUILD_ID and PRECACHE filled in.
+ */
+const BUILD_ID = "__BUILD_ID__";
+const PRECACHE = [/* __PRECACHE__ */];
+
+// One shell cache per build; older ones are deleted on activate.
+const SHELL_CACHE = `worldgems-shell-${BUILD_ID}`;
+const TILE_CACHE = "worldgems-tiles"; // same name as in src/lib/tiles.js
+const PUBLIC_FILES = ["./manifest.webmanifest", "./icon.svg", "./icon-192.png", "./icon-512.png"];
+const SHELL = [...new Set(["./", "./index.html", ...PUBLIC_FILES, ...PRECACHE])];
+const NAVIGATION_TIMEOUT_MS = 4000;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((k) => k.startsWith("worldgems-shell-") && k !== SHELL_CACHE).map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(page(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(asset(request));
+  } else if (request.destination === "image") {
+    event.respondWith(tile(request));
+  }
+});
+
+// Network first (the latest build), cached shell when offline or too slow.
+async function page(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await withTimeout(fetch(request), NAVIGATION_TIMEOUT_MS);
+    if (res.ok) cache.put("./index.html", res.clone());
+    return res;
+  } catch {
+    return (await cache.match("./index.html")) || Response.error();
+  }
+}
+
+async function asset(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request, res.clone());
+  return res;
+}
+
+async function tile(request) {
+  const cache = await caches.open(TILE_CACHE);
+  return (await cache.match(request.url)) || fetch(request);
+}
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("timeout")), ms);
+    promise.then(
+      (v) => {
+        clearTimeout(timer);
+        resolve(v);
+      },
+      (e) => {
+        clearTimeout(timer);
+        reject(e);
+      }
+    );
+  });
+}
@@ -1,6 +1,31 @@
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+/**
+ * Emits src/sw.js as dist/sw.js with the list of built files to precache and
+ * a build id (a hash of their content-hashed names) that keys its cache.
+ */
+function serviceWorker() {
+  return {
+    name: "worldgems-service-worker",
+    apply: "build",
+    // After the HTML plugin, so index.html is part of the bundle.
+    enforce: "post",
+    generateBundle(_options, bundle) {
+      const files = Object.keys(bundle)
+        .filter((name) => !name.endsWith(".map"))
+        .sort();
+      const buildId = createHash("sha256").update(files.join("\n")).digest("hex").slice(0, 10);
+      const source = readFileSync(new URL("./src/sw.js", import.meta.url), "utf8")
+        .replace('"__BUILD_ID__"', JSON.stringify(buildId))
+        .replace("[/* __PRECACHE__ */]", JSON.stringify(files.map((name) => `./${name}`)));
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 });